@@ -5,19 +5,55 @@ var logger = require('morgan');
 var cors = require('cors');
 
 var indexRouter = require('./routes/index');
+var pedalHub = require('./services/pedalHub');
 
 var app = express();
 
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Data-Source'] }));
 app.use(logger('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Informar en cada respuesta de la fuente de datos activa: cabecera X-Data-Source y
+// campo "source" en las respuestas de la API (no en documentos exportados)
+app.use(function(req, res, next) {
+  var json = res.json;
+
+  res.set('X-Data-Source', pedalHub.source);
+  res.json = function(body) {
+    if (body && typeof body.success === 'boolean' && body.source === undefined) {
+      body = Object.assign({}, body, { source: pedalHub.source });
+    }
+    this.set('X-Data-Source', pedalHub.source);
+    return json.call(this, body);
+  };
+
+  next();
+});
+
 app.use('/', indexRouter);
 
+var deviceRouter = require('./routes/deviceRoute');
+app.use('/api/device', deviceRouter);
+
 var brakeRouter = require('./routes/brakeRoute');
 app.use('/api/brake', brakeRouter);
 
+var throttleRouter = require('./routes/throttleRoute');
+app.use('/api/throttle', throttleRouter);
+
+var clutchRouter = require('./routes/clutchRoute');
+app.use('/api/clutch', clutchRouter);
+
+var profileRouter = require('./routes/profileRoute');
+app.use('/api/profiles', profileRouter);
+
+var sessionRouter = require('./routes/sessionRoute');
+app.use('/api/session', sessionRouter);
+
+var statsRouter = require('./routes/statsRoute');
+app.use('/api/stats', statsRouter);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,318 @@
+// Backend/config/index.js
+const fs = require('fs');
+const path = require('path');
+const { PEDALS, FRAME_PROTOCOLS } = require('../services/arduinoProtocol');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Cargar .env del backend sin pisar variables ya definidas en el entorno
+require('dotenv').config({ path: path.join(BACKEND_DIR, '.env'), quiet: true });
+
+// Archivo de configuración por defecto (opcional)
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'pedals.json');
+
+// Modos de conexión al arrancar:
+//   auto        - primer puerto que parezca un Arduino (sin preguntar)
+//   fixed       - el puerto indicado en serial.path
+//   simulation  - no abrir ningún puerto
+//   interactive - preguntar por consola (solo si se pide explícitamente)
+//   emulator    - dispositivo serie virtual (pruebas de punta a punta sin placa)
+const SERIAL_MODES = ['auto', 'fixed', 'simulation', 'interactive', 'emulator'];
+
+// Protocolos que puede hablar el emulador (los mismos que reconoce el parser)
+const EMULATOR_PROTOCOLS = FRAME_PROTOCOLS;
+
+// Fuente a la que se pasa cuando el Arduino deja de enviar datos
+const FALLBACK_SOURCES = ['simulation', 'none'];
+
+// Valores por defecto; el archivo y las variables de entorno los sobrescriben (en ese orden)
+const DEFAULT_CONFIG = {
+  http: {
+    port: 3000
+  },
+  serial: {
+    mode: 'auto',
+    path: null,
+    baudRate: 9600,
+    // Pedales que aporta el dispositivo principal (null = los que no declare ninguna placa de "devices")
+    channels: null,
+    // Reintentos con espera exponencial: delayMs, 2·delayMs, 4·delayMs... hasta maxDelayMs,
+    // reducida al azar hasta un factor "jitter" para que varias placas no reintenten a la vez
+    retry: {
+      maxRetries: 5,
+      delayMs: 3000,
+      maxDelayMs: 30000,
+      jitter: 0.3
+    }
+  },
+  // Placas adicionales: [{ id, path, baudRate, channels }]
+  devices: [],
+  // Cambio automático de fuente: sin tramas durante staleAfterMs se pasa a "fallback";
+  // se vuelve al Arduino tras failbackFrames tramas seguidas
+  sources: {
+    fallback: 'simulation',
+    staleAfterMs: 2000,
+    failbackFrames: 5
+  },
+  // Umbrales de calidad de datos (ventana de medición de windowMs)
+  watchdog: {
+    windowMs: 5000,
+    maxDataAgeMs: 1000,
+    minFrameRateHz: 5,
+    maxJitterMs: 50,
+    maxParseErrorRatio: 0.1
+  },
+  // Dispositivo virtual del modo "emulator". Las formas de onda ({ pedal: { type, min, max,
+  // periodMs, phase, noise } }) y los fallos se cambian también desde /api/device/emulator
+  emulator: {
+    path: '/dev/ttyEMU0',
+    baudRate: 9600,
+    protocol: 'json-v1',
+    sampleRateHz: 50,
+    waveforms: {
+      throttle: { type: 'sine', min: 0, max: 100, periodMs: 4000 },
+      brake: { type: 'sine', min: 0, max: 80, periodMs: 4000, phase: 0.5 },
+      clutch: { type: 'constant', value: 0 }
+    }
+  },
+  dataDir: path.join(BACKEND_DIR, 'data')
+};
+
+// Variables de entorno admitidas → ruta en la configuración
+const ENV_VARIABLES = {
+  PORT: ['http', 'port'],
+  PEDAL_SERIAL_MODE: ['serial', 'mode'],
+  PEDAL_SERIAL_PATH: ['serial', 'path'],
+  PEDAL_BAUD_RATE: ['serial', 'baudRate'],
+  PEDAL_SERIAL_CHANNELS: ['serial', 'channels'],
+  PEDAL_RETRY_MAX: ['serial', 'retry', 'maxRetries'],
+  PEDAL_RETRY_DELAY_MS: ['serial', 'retry', 'delayMs'],
+  PEDAL_RETRY_MAX_DELAY_MS: ['serial', 'retry', 'maxDelayMs'],
+  PEDAL_RETRY_JITTER: ['serial', 'retry', 'jitter'],
+  PEDAL_FALLBACK_SOURCE: ['sources', 'fallback'],
+  PEDAL_STALE_AFTER_MS: ['sources', 'staleAfterMs'],
+  PEDAL_FAILBACK_FRAMES: ['sources', 'failbackFrames'],
+  PEDAL_WATCHDOG_WINDOW_MS: ['watchdog', 'windowMs'],
+  PEDAL_WATCHDOG_MAX_AGE_MS: ['watchdog', 'maxDataAgeMs'],
+  PEDAL_WATCHDOG_MIN_RATE_HZ: ['watchdog', 'minFrameRateHz'],
+  PEDAL_WATCHDOG_MAX_JITTER_MS: ['watchdog', 'maxJitterMs'],
+  PEDAL_WATCHDOG_MAX_ERROR_RATIO: ['watchdog', 'maxParseErrorRatio'],
+  PEDAL_EMULATOR_BAUD_RATE: ['emulator', 'baudRate'],
+  PEDAL_EMULATOR_PROTOCOL: ['emulator', 'protocol'],
+  PEDAL_EMULATOR_RATE_HZ: ['emulator', 'sampleRateHz'],
+  PEDAL_DATA_DIR: ['dataDir']
+};
+
+// Variables numéricas (el resto se usan como texto)
+const NUMERIC_VARIABLES = [
+  'PORT',
+  'PEDAL_BAUD_RATE',
+  'PEDAL_RETRY_MAX',
+  'PEDAL_RETRY_DELAY_MS',
+  'PEDAL_RETRY_MAX_DELAY_MS',
+  'PEDAL_RETRY_JITTER',
+  'PEDAL_STALE_AFTER_MS',
+  'PEDAL_FAILBACK_FRAMES',
+  'PEDAL_WATCHDOG_WINDOW_MS',
+  'PEDAL_WATCHDOG_MAX_AGE_MS',
+  'PEDAL_WATCHDOG_MIN_RATE_HZ',
+  'PEDAL_WATCHDOG_MAX_JITTER_MS',
+  'PEDAL_WATCHDOG_MAX_ERROR_RATIO',
+  'PEDAL_EMULATOR_BAUD_RATE',
+  'PEDAL_EMULATOR_RATE_HZ'
+];
+
+// Variables con una lista separada por comas
+const LIST_VARIABLES = ['PEDAL_SERIAL_CHANNELS'];
+
+// Función para mezclar objetos de configuración (los arrays se sustituyen)
+function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  Object.keys(override || {}).forEach(key => {
+    const value = override[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeConfig(base[key], value)
+      : value;
+  });
+
+  return merged;
+}
+
+// Función para leer el archivo JSON de configuración
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new Error(`No existe el archivo de configuración ${filePath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Archivo de configuración inválido (${filePath}): ${error.message}`);
+  }
+}
+
+// Función para convertir las variables de entorno en configuración
+function readEnvironment(env) {
+  const overrides = {};
+
+  Object.keys(ENV_VARIABLES).forEach(name => {
+    if (env[name] === undefined || env[name] === '') return;
+
+    const keys = ENV_VARIABLES[name];
+    let value = env[name];
+    if (NUMERIC_VARIABLES.includes(name)) {
+      value = Number(value);
+    } else if (LIST_VARIABLES.includes(name)) {
+      value = value.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    let target = overrides;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+
+  return overrides;
+}
+
+// Función para validar la configuración final (devuelve la lista de errores)
+function validateConfig(config) {
+  const errors = [];
+  const { http, serial, devices, sources, watchdog, emulator } = config;
+
+  if (!Number.isInteger(http.port) || http.port < 0 || http.port > 65535) {
+    errors.push('http.port (PORT): debe ser un entero entre 0 y 65535');
+  }
+
+  if (!SERIAL_MODES.includes(serial.mode)) {
+    errors.push(`serial.mode (PEDAL_SERIAL_MODE): debe ser uno de ${SERIAL_MODES.join(', ')}`);
+  }
+
+  if (serial.mode === 'fixed' && (typeof serial.path !== 'string' || serial.path.trim() === '')) {
+    errors.push('serial.path (PEDAL_SERIAL_PATH): se requiere el puerto en modo "fixed"');
+  }
+
+  if (!Number.isInteger(serial.baudRate) || serial.baudRate < 300 || serial.baudRate > 2000000) {
+    errors.push('serial.baudRate (PEDAL_BAUD_RATE): debe ser un entero entre 300 y 2000000');
+  }
+
+  if (!Number.isInteger(serial.retry.maxRetries) || serial.retry.maxRetries < 0) {
+    errors.push('serial.retry.maxRetries (PEDAL_RETRY_MAX): debe ser un entero mayor o igual a 0');
+  }
+
+  if (!Number.isInteger(serial.retry.delayMs) || serial.retry.delayMs < 100) {
+    errors.push('serial.retry.delayMs (PEDAL_RETRY_DELAY_MS): debe ser un entero mayor o igual a 100');
+  }
+
+  if (!Number.isInteger(serial.retry.maxDelayMs) || serial.retry.maxDelayMs < serial.retry.delayMs) {
+    errors.push('serial.retry.maxDelayMs (PEDAL_RETRY_MAX_DELAY_MS): debe ser un entero mayor o igual a delayMs');
+  }
+
+  if (typeof serial.retry.jitter !== 'number' || isNaN(serial.retry.jitter) || serial.retry.jitter < 0 || serial.retry.jitter > 1) {
+    errors.push('serial.retry.jitter (PEDAL_RETRY_JITTER): debe ser un número entre 0 y 1');
+  }
+
+  if (serial.channels !== null) {
+    if (!Array.isArray(serial.channels) || serial.channels.length === 0) {
+      errors.push(`serial.channels (PEDAL_SERIAL_CHANNELS): debe ser null o una lista de pedales (${PEDALS.join(', ')})`);
+    } else {
+      const unknown = serial.channels.filter(channel => !PEDALS.includes(channel));
+      if (unknown.length > 0) {
+        errors.push(`serial.channels (PEDAL_SERIAL_CHANNELS): pedales desconocidos ${unknown.join(', ')}`);
+      }
+      if (new Set(serial.channels).size !== serial.channels.length) {
+        errors.push('serial.channels (PEDAL_SERIAL_CHANNELS): hay pedales repetidos');
+      }
+    }
+  }
+
+  if (!Array.isArray(devices)) {
+    errors.push('devices: debe ser una lista de placas');
+  }
+
+  if (!FALLBACK_SOURCES.includes(sources.fallback)) {
+    errors.push(`sources.fallback (PEDAL_FALLBACK_SOURCE): debe ser uno de ${FALLBACK_SOURCES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(sources.staleAfterMs) || sources.staleAfterMs < 200) {
+    errors.push('sources.staleAfterMs (PEDAL_STALE_AFTER_MS): debe ser un entero mayor o igual a 200');
+  }
+
+  if (!Number.isInteger(sources.failbackFrames) || sources.failbackFrames < 1) {
+    errors.push('sources.failbackFrames (PEDAL_FAILBACK_FRAMES): debe ser un entero mayor o igual a 1');
+  }
+
+  if (!Number.isInteger(watchdog.windowMs) || watchdog.windowMs < 1000) {
+    errors.push('watchdog.windowMs (PEDAL_WATCHDOG_WINDOW_MS): debe ser un entero mayor o igual a 1000');
+  }
+
+  if (!Number.isInteger(watchdog.maxDataAgeMs) || watchdog.maxDataAgeMs < 50) {
+    errors.push('watchdog.maxDataAgeMs (PEDAL_WATCHDOG_MAX_AGE_MS): debe ser un entero mayor o igual a 50');
+  }
+
+  if (typeof watchdog.minFrameRateHz !== 'number' || isNaN(watchdog.minFrameRateHz) || watchdog.minFrameRateHz < 0) {
+    errors.push('watchdog.minFrameRateHz (PEDAL_WATCHDOG_MIN_RATE_HZ): debe ser un número mayor o igual a 0');
+  }
+
+  if (typeof watchdog.maxJitterMs !== 'number' || isNaN(watchdog.maxJitterMs) || watchdog.maxJitterMs <= 0) {
+    errors.push('watchdog.maxJitterMs (PEDAL_WATCHDOG_MAX_JITTER_MS): debe ser un número mayor que 0');
+  }
+
+  if (typeof watchdog.maxParseErrorRatio !== 'number' || isNaN(watchdog.maxParseErrorRatio) || watchdog.maxParseErrorRatio < 0 || watchdog.maxParseErrorRatio > 1) {
+    errors.push('watchdog.maxParseErrorRatio (PEDAL_WATCHDOG_MAX_ERROR_RATIO): debe ser un número entre 0 y 1');
+  }
+
+  if (typeof emulator.path !== 'string' || emulator.path.trim() === '') {
+    errors.push('emulator.path: debe ser una ruta de puerto');
+  }
+
+  if (!Number.isInteger(emulator.baudRate) || emulator.baudRate < 300 || emulator.baudRate > 2000000) {
+    errors.push('emulator.baudRate (PEDAL_EMULATOR_BAUD_RATE): debe ser un entero entre 300 y 2000000');
+  }
+
+  if (!EMULATOR_PROTOCOLS.includes(emulator.protocol)) {
+    errors.push(`emulator.protocol (PEDAL_EMULATOR_PROTOCOL): debe ser uno de ${EMULATOR_PROTOCOLS.join(', ')}`);
+  }
+
+  if (typeof emulator.sampleRateHz !== 'number' || isNaN(emulator.sampleRateHz) || emulator.sampleRateHz < 1 || emulator.sampleRateHz > 1000) {
+    errors.push('emulator.sampleRateHz (PEDAL_EMULATOR_RATE_HZ): debe ser un número entre 1 y 1000');
+  }
+
+  return errors;
+}
+
+// Función para cargar la configuración: valores por defecto < archivo < entorno
+function loadConfig(env = process.env) {
+  const configFile = env.PEDAL_CONFIG_FILE
+    ? path.resolve(BACKEND_DIR, env.PEDAL_CONFIG_FILE)
+    : DEFAULT_CONFIG_FILE;
+
+  const fileConfig = readConfigFile(configFile, !!env.PEDAL_CONFIG_FILE);
+  const config = mergeConfig(mergeConfig(DEFAULT_CONFIG, fileConfig), readEnvironment(env));
+
+  config.dataDir = path.resolve(BACKEND_DIR, config.dataDir);
+  config.configFile = fs.existsSync(configFile) ? configFile : null;
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Configuración inválida:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  SERIAL_MODES,
+  FALLBACK_SOURCES,
+  EMULATOR_PROTOCOLS,
+  DEFAULT_CONFIG,
+  loadConfig,
+  config: loadConfig()
+};
@@ -3,99 +3,148 @@ const {
   createBrakeData, 
   updateBrakeData, 
   validateBrakeData, 
-  getBrakeTelemetryData 
+  getBrakeTelemetryData,
+  getBrakeConfigData
 } = require('../models/brakeModel');
-const ArduinoSerialConnection = require('../services/serialConnection');
+const {
+  computeTare,
+  computeScaleFactor
+} = require('../models/calibrationModel');
+const {
+  normalizeResponseCurve,
+  validateResponseCurve
+} = require('../models/responseCurveModel');
+const {
+  mergeFilterConfig,
+  validateFilterConfig,
+  createFilterState
+} = require('../models/filterModel');
+const {
+  pickPedalOutputConfig,
+  describePedalOutput
+} = require('../models/pedalModel');
+const pedalHub = require('../services/pedalHub');
+const SseBroadcaster = require('../services/sseBroadcaster');
+const dataWatchdog = require('../services/dataWatchdog');
+const statsBuffer = require('../services/statsBuffer');
+const CalibrationCurveController = require('./calibrationCurveController');
+
+// Extraer la lectura cruda del HX711 de una trama (tara y escala)
+function readBrakeRawSample(frame) {
+  return frame.brake ? frame.brake.raw : undefined;
+}
+
+// Extraer la lectura sobre la que se evalúa la curva multipunto: la cruda del HX711 o,
+// si el firmware no la envía, el valor 0-1023 (la misma que usa processArduinoData)
+function readBrakeSample(frame) {
+  if (!frame.brake) return undefined;
+  return typeof frame.brake.raw === 'number' ? frame.brake.raw : frame.brake.value;
+}
 
 class BrakeController {
   constructor() {
     // Inicializar datos del freno
     this.brakeData = createBrakeData();
-    this.isSimulating = false;
-    this.simulationInterval = null;
     this.lastDisplayedPercentage = -1;
-    
-    // Inicializar conexión con Arduino
-    this.arduino = new ArduinoSerialConnection();
-    this.isArduinoConnected = false;
-    
-    // Configurar callback para datos del Arduino
-    this.arduino.onDataReceived((data) => {
-      this.processArduinoData(data);
+
+    // Última trama con freno (indica si el firmware envía la lectura cruda del HX711)
+    this.lastBrakeFrame = null;
+
+    // Stream compartido por todos los clientes SSE
+    this.broadcaster = new SseBroadcaster({ name: 'brake' });
+
+    // Suscribirse a las tramas del hub de pedales (Arduino o simulación)
+    this.hub = pedalHub;
+    this.hub.on('frame', (frame) => {
+      if (!frame.brake) return;
+      this.lastBrakeFrame = frame;
+      this.processFrame(frame);
+      this.broadcastFrame();
     });
-    
-    // Intentar conectar al Arduino
-    this.connectToArduino();
-    
-    console.log('\n🚗 Sistema de Pedales Iniciado');
-    console.log('═══════════════════════════════════════════════');
-    console.log('📡 Buscando Arduino...');
-    console.log('═══════════════════════════════════════════════\n');
+
+    // Calibración multipunto (lectura cruda del HX711 → kg)
+    this.calibration = new CalibrationCurveController({
+      label: 'freno',
+      unit: 'kg',
+      referenceRange: [0, 200],
+      controller: this,
+      dataKey: 'brakeData',
+      readSample: readBrakeSample
+    });
+  }
+
+  get isArduinoConnected() {
+    return this.hub.isArduinoConnected;
+  }
+
+  get isSimulating() {
+    return this.hub.isSimulating;
   }
 
-  // Conectar al Arduino
-  async connectToArduino() {
+  // Datos de los tres pedales disponibles (Arduino o simulación con escenario)
+  get hasFullPedalData() {
+    return !!this.fullPedalData && (this.isArduinoConnected || this.hub.isRunningScenario);
+  }
+
+  // Enviar el estado actual a los clientes del stream
+  broadcastFrame() {
     try {
-      console.log('📡 Buscando Arduino...');
-      
-      // Usar conexión interactiva que permite seleccionar puerto
-      const connected = await this.arduino.connectInteractive();
-      this.isArduinoConnected = connected;
-      
-      if (connected) {
-        console.log('✅ Arduino conectado - Datos en tiempo real activados');
-        console.log('📊 Monitor de Pedales en Tiempo Real');
-        console.log('═══════════════════════════════════════════════\n');
-      } else {
-        console.log('🎮 Modo simulación activado');
-        console.log('═══════════════════════════════════════════════');
-        this.startSimulation();
-      }
+      this.broadcaster.publish(this.getStreamData());
     } catch (error) {
-      console.error('❌ Error conectando Arduino:', error.message);
-      console.log('🎮 Iniciando modo simulación como respaldo...');
-      this.startSimulation();
+      console.error('❌ Error en stream:', error);
+    }
+  }
+
+  // Procesar una trama publicada por el hub
+  processFrame(frame) {
+    // Ninguna placa aporta todavía el freno
+    if (!frame.brake) return;
+
+    // Tramas con porcentajes: firmware (una o varias placas), sesión reproducida o escenario simulado
+    if (frame.source !== 'simulation' || frame.brake.percentage !== undefined) {
+      this.processArduinoData(frame);
+      return;
+    }
+
+    // Simulación sin escenario: llega la lectura cruda del HX711
+    this.brakeData = updateBrakeData(this.brakeData, frame.brake.raw);
+
+    // Mostrar datos simulados ocasionalmente
+    if (this.brakeData.percentage > 5) {
+      this.displayBrakePercentage(this.brakeData.percentage, this.brakeData.force);
     }
   }
 
   // Procesar datos recibidos del Arduino
   processArduinoData(arduinoData) {
     try {
-      // Actualizar datos del freno con la información del Arduino
-      this.brakeData.value = arduinoData.brake.value;
-      this.brakeData.percentage = arduinoData.brake.percentage;
-      this.brakeData.active = arduinoData.brake.active;
-      
-      // Calcular fuerza aproximada basada en el porcentaje
-      this.brakeData.force = (arduinoData.brake.percentage / 100) * this.brakeData.maxForce;
-      
-      // Simular lectura cruda proporcional
-      this.brakeData.rawReading = 8388607 + (this.brakeData.force * 1000000);
-      
-      // Actualizar timestamp
-      this.brakeData.timestamp = Date.now();
+      // Con lectura cruda del HX711 se aplica la calibración de la celda de carga; sin ella, el
+      // valor 0-1023 (la curva multipunto se captura y evalúa sobre la misma lectura)
+      const input = typeof arduinoData.brake.raw === 'number' ? 'raw' : 'value';
+      this.brakeData = updateBrakeData(this.brakeData, readBrakeSample(arduinoData), input);
 
       // Datos adicionales del sistema completo
       this.fullPedalData = {
         brake: {
-          value: arduinoData.brake.value,
-          percentage: arduinoData.brake.percentage,
-          active: arduinoData.brake.active,
+          value: this.brakeData.value,
+          percentage: this.brakeData.percentage,
+          active: this.brakeData.active,
           force: this.brakeData.force
         },
-        throttle: {
+        // null mientras ninguna placa aporte el pedal
+        throttle: arduinoData.throttle ? {
           value: arduinoData.throttle.value,
           percentage: arduinoData.throttle.percentage,
           active: arduinoData.throttle.active
-        },
-        clutch: {
+        } : null,
+        clutch: arduinoData.clutch ? {
           value: arduinoData.clutch.value,
           percentage: arduinoData.clutch.percentage,
           active: arduinoData.clutch.active
-        },
+        } : null,
         status: arduinoData.status,
         timestamp: Date.now(),
-        source: 'arduino'
+        source: arduinoData.source || 'arduino'
       };
 
     } catch (error) {
@@ -164,7 +213,7 @@ class BrakeController {
           brake: telemetryData,
           isSimulating: this.isSimulating,
           isArduinoConnected: this.isArduinoConnected,
-          source: this.isArduinoConnected ? 'arduino' : 'simulation',
+          source: this.hub.source,
           timestamp: Date.now()
         }
       });
@@ -177,20 +226,20 @@ class BrakeController {
     }
   }
 
-  // Obtener datos completos de todos los pedales (solo disponible con Arduino)
+  // Obtener datos completos de todos los pedales (Arduino o simulación con escenario)
   async getAllPedalsData(req, res) {
     try {
-      if (!this.isArduinoConnected) {
+      if (!this.isArduinoConnected && !this.hub.isRunningScenario) {
         return res.status(503).json({
           success: false,
-          error: 'Arduino no conectado - Solo datos del freno disponibles en modo simulación'
+          error: 'Arduino no conectado - En simulación inicia un escenario para tener los tres pedales'
         });
       }
 
       res.json({
         success: true,
         data: {
-          pedals: this.fullPedalData || this.arduino.getCurrentData(),
+          pedals: this.fullPedalData || this.hub.lastFrame,
           brake: getBrakeTelemetryData(this.brakeData),
           isArduinoConnected: this.isArduinoConnected,
           timestamp: Date.now()
@@ -217,7 +266,7 @@ class BrakeController {
           validation: validation,
           isSimulating: this.isSimulating,
           isArduinoConnected: this.isArduinoConnected,
-          connectionStatus: this.arduino.isPortConnected() ? 'connected' : 'disconnected',
+          connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
           timestamp: Date.now()
         }
       });
@@ -279,28 +328,78 @@ class BrakeController {
   // Configurar parámetros del freno
   async configureBrake(req, res) {
     try {
-      const { maxForce, deadZone } = req.body;
+      const { maxForce, responseCurve, filters } = req.body;
+      const outputChanges = pickPedalOutputConfig(req.body);
       
-      if (maxForce !== undefined) {
-        if (typeof maxForce !== 'number' || maxForce <= 0) {
+      if (maxForce !== undefined && (typeof maxForce !== 'number' || maxForce <= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxForce debe ser un número positivo'
+        });
+      }
+      
+      // Validar la curva de respuesta antes de aplicar cualquier cambio
+      let nextCurve;
+      if (responseCurve !== undefined) {
+        nextCurve = normalizeResponseCurve(responseCurve);
+        const curveValidation = validateResponseCurve(nextCurve);
+        if (!curveValidation.isValid) {
           return res.status(400).json({
             success: false,
-            error: 'maxForce debe ser un número positivo'
+            error: 'responseCurve no es válida',
+            details: curveValidation.errors.join('; ')
           });
         }
-        this.brakeData.maxForce = maxForce;
-        console.log(`\n🔧 Fuerza máxima actualizada: ${maxForce} kg`);
       }
-      
-      if (deadZone !== undefined) {
-        if (typeof deadZone !== 'number' || deadZone < 0) {
+
+      // Validar la cadena de filtros (se combina con la actual, etapa por etapa)
+      let nextFilters;
+      if (filters !== undefined) {
+        nextFilters = mergeFilterConfig(this.brakeData.filters, filters);
+        const filterValidation = validateFilterConfig(nextFilters);
+        if (!filterValidation.isValid) {
           return res.status(400).json({
             success: false,
-            error: 'deadZone debe ser un número no negativo'
+            error: 'filters no es válido',
+            details: filterValidation.errors.join('; ')
           });
         }
-        this.brakeData.deadZone = deadZone;
-        console.log(`\n🚫 Zona muerta actualizada: ${deadZone} kg`);
+      }
+      
+      // Validar fuerza máxima y etapa de salida con el modelo (las zonas muertas en kg dependen de maxForce)
+      const candidateValidation = validateBrakeData({
+        ...this.brakeData,
+        ...(maxForce !== undefined ? { maxForce: maxForce } : {}),
+        ...outputChanges
+      });
+      if (!candidateValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Configuración del freno no válida',
+          details: candidateValidation.errors.join('; ')
+        });
+      }
+      
+      if (maxForce !== undefined) {
+        this.brakeData.maxForce = maxForce;
+        console.log(`\n🔧 Fuerza máxima actualizada: ${maxForce} kg`);
+      }
+      
+      if (Object.keys(outputChanges).length > 0) {
+        Object.assign(this.brakeData, outputChanges);
+        console.log(`\n🚫 Salida del freno: ${describePedalOutput(this.brakeData, 'kg')}`);
+      }
+      
+      if (nextCurve) {
+        this.brakeData.responseCurve = nextCurve;
+        console.log(`\n📈 Curva de respuesta del freno: ${nextCurve.type}`);
+      }
+
+      if (nextFilters) {
+        this.brakeData.filters = nextFilters;
+        this.brakeData.filterState = createFilterState();
+        const enabled = Object.keys(nextFilters).filter(stage => nextFilters[stage].enabled);
+        console.log(`\n🎛️ Filtros del freno: ${enabled.length > 0 ? enabled.join(' → ') : 'desactivados'}`);
       }
       
       this.brakeData.timestamp = Date.now();
@@ -312,7 +411,9 @@ class BrakeController {
         data: {
           configuration: {
             maxForce: this.brakeData.maxForce,
-            deadZone: this.brakeData.deadZone
+            ...pickPedalOutputConfig(this.brakeData),
+            responseCurve: this.brakeData.responseCurve,
+            filters: this.brakeData.filters
           },
           validation: validation
         }
@@ -329,12 +430,8 @@ class BrakeController {
   // Resetear datos del freno
   async resetBrake(req, res) {
     try {
-      const currentConfig = {
-        maxForce: this.brakeData.maxForce,
-        deadZone: this.brakeData.deadZone
-      };
-      
-      this.brakeData = createBrakeData(currentConfig);
+      // Conservar la configuración y la calibración, reiniciar la telemetría
+      this.brakeData = createBrakeData(this.getConfig());
       console.log('\n🔄 Datos del freno reseteados');
       
       res.json({
@@ -353,144 +450,162 @@ class BrakeController {
     }
   }
 
-  // Iniciar simulación (solo si Arduino no está conectado)
-  async startSimulation(req = null, res = null) {
+  // Obtener calibración actual de la celda de carga
+  async getCalibration(req, res) {
     try {
-      if (this.isArduinoConnected) {
-        const message = 'Arduino conectado - La simulación no es necesaria';
-        if (res) {
-          return res.status(400).json({
-            success: false,
-            error: message
-          });
+      res.json({
+        success: true,
+        data: {
+          calibration: this.getCalibrationData()
         }
-        console.log(`⚠️ ${message}`);
-        return;
-      }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo calibración del freno',
+        details: error.message
+      });
+    }
+  }
 
-      if (this.isSimulating) {
-        if (res) {
-          return res.status(400).json({
-            success: false,
-            error: 'La simulación ya está activa'
-          });
-        }
-        return;
+  // Calibrar la tara (pedal sin carga)
+  async calibrateTare(req, res) {
+    try {
+      const { samples = 20 } = req.body;
+      
+      if (!Number.isInteger(samples) || samples < 1 || samples > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'samples debe ser un entero entre 1 y 500'
+        });
       }
 
-      this.isSimulating = true;
-      console.log('\n🎮 Simulación iniciada (Arduino no detectado)');
+      console.log(`\n⚖️ Calibrando tara con ${samples} lecturas...`);
+      const readings = await this.collectRawSamples(samples, res);
+      if (!readings) return;
+
+      const { tareOffset, samples: stats } = computeTare(readings);
+      this.brakeData.tareOffset = tareOffset;
+      this.brakeData.calibratedAt = Date.now();
+      console.log(`✅ Tara calibrada: ${tareOffset}`);
       
-      this.simulationInterval = setInterval(() => {
-        const baseReading = 8388607;
-        const forceVariation = Math.sin(Date.now() / 3000) * 2500000;
-        const noise = (Math.random() - 0.5) * 100000;
-        
-        const simulatedReading = baseReading + Math.max(0, forceVariation) + noise;
-        this.brakeData = updateBrakeData(this.brakeData, simulatedReading);
-        
-        // Mostrar datos simulados ocasionalmente
-        if (this.brakeData.percentage > 5) {
-          this.displayBrakePercentage(this.brakeData.percentage, this.brakeData.force);
+      res.json({
+        success: true,
+        message: 'Tara del freno calibrada',
+        data: {
+          calibration: this.getCalibrationData(),
+          samples: stats
         }
-      }, 150);
-
-      if (res) {
-        res.json({
-          success: true,
-          message: 'Simulación del freno iniciada',
-          data: {
-            isSimulating: this.isSimulating,
-            reason: 'Arduino no conectado'
-          }
-        });
-      }
+      });
     } catch (error) {
-      console.error('❌ Error iniciando simulación:', error.message);
-      if (res) {
-        res.status(500).json({
-          success: false,
-          error: 'Error iniciando simulación',
-          details: error.message
-        });
-      }
+      res.status(400).json({
+        success: false,
+        error: 'Error calibrando tara del freno',
+        details: error.message
+      });
     }
   }
 
-  // Detener simulación
-  async stopSimulation(req, res) {
+  // Calibrar el factor de escala con una masa de referencia conocida
+  async calibrateSpan(req, res) {
     try {
-      if (!this.isSimulating) {
+      const { referenceMass, samples = 20 } = req.body;
+      
+      if (typeof referenceMass !== 'number' || referenceMass <= 0 || referenceMass > 200) {
         return res.status(400).json({
           success: false,
-          error: 'La simulación no está activa'
+          error: 'referenceMass debe ser un número entre 0 y 200 kg'
         });
       }
-
-      this.isSimulating = false;
       
-      if (this.simulationInterval) {
-        clearInterval(this.simulationInterval);
-        this.simulationInterval = null;
+      if (!Number.isInteger(samples) || samples < 1 || samples > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'samples debe ser un entero entre 1 y 500'
+        });
       }
 
-      console.log('\n🛑 Simulación detenida');
+      console.log(`\n⚖️ Calibrando escala con ${referenceMass} kg (${samples} lecturas)...`);
+      const readings = await this.collectRawSamples(samples, res);
+      if (!readings) return;
 
+      const { scaleFactor, samples: stats } = computeScaleFactor(readings, this.brakeData.tareOffset, referenceMass);
+      this.brakeData.scaleFactor = scaleFactor;
+      this.brakeData.calibratedAt = Date.now();
+      console.log(`✅ Factor de escala calibrado: ${scaleFactor.toFixed(2)} cuentas/kg`);
+      
       res.json({
         success: true,
-        message: 'Simulación del freno detenida',
+        message: 'Escala del freno calibrada',
         data: {
-          isSimulating: this.isSimulating
+          calibration: this.getCalibrationData(),
+          referenceMass: referenceMass,
+          samples: stats
         }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(400).json({
         success: false,
-        error: 'Error deteniendo simulación',
+        error: 'Error calibrando escala del freno',
         details: error.message
       });
     }
   }
 
-  // Stream de datos en tiempo real
-  streamBrakeData(req, res) {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+  // Recolectar lecturas crudas del HX711 (responde 409 si el firmware no las envía y 503 si no llegan)
+  async collectRawSamples(count, res) {
+    if (this.lastBrakeFrame && typeof readBrakeRawSample(this.lastBrakeFrame) !== 'number') {
+      res.status(409).json({
+        success: false,
+        error: 'La calibración de tara y escala requiere lecturas crudas de la celda de carga (brake.raw)',
+        details: 'El firmware conectado solo envía el porcentaje del freno; use la calibración multipunto con lecturas explícitas'
+      });
+      return null;
+    }
 
-    const streamInterval = setInterval(() => {
-      if (req.connection.destroyed) {
-        clearInterval(streamInterval);
-        return;
-      }
-      
-      try {
-        const telemetryData = getBrakeTelemetryData(this.brakeData);
-        const streamData = {
-          brake: telemetryData,
-          isSimulating: this.isSimulating,
-          isArduinoConnected: this.isArduinoConnected,
-          source: this.isArduinoConnected ? 'arduino' : 'simulation'
-        };
+    try {
+      return await this.hub.collectSamples(readBrakeRawSample, count);
+    } catch (error) {
+      res.status(503).json({
+        success: false,
+        error: 'No hay lecturas crudas del HX711 disponibles para calibrar',
+        details: error.message
+      });
+      return null;
+    }
+  }
 
-        // Incluir datos de todos los pedales si está disponible
-        if (this.isArduinoConnected && this.fullPedalData) {
-          streamData.allPedals = this.fullPedalData;
-        }
+  // Datos de calibración actuales
+  getCalibrationData() {
+    return {
+      tareOffset: this.brakeData.tareOffset,
+      scaleFactor: this.brakeData.scaleFactor,
+      calibratedAt: this.brakeData.calibratedAt,
+      isCalibrated: this.brakeData.calibratedAt > 0,
+      multiPoint: this.calibration.getCurveData()
+    };
+  }
 
-        res.write(`data: ${JSON.stringify(streamData)}\n\n`);
-      } catch (error) {
-        console.error('❌ Error en stream:', error);
-      }
-    }, 50);
+  // Datos enviados por el stream en cada trama
+  getStreamData() {
+    const streamData = {
+      brake: getBrakeTelemetryData(this.brakeData),
+      isSimulating: this.isSimulating,
+      isArduinoConnected: this.isArduinoConnected,
+      source: this.hub.source
+    };
 
-    req.on('close', () => {
-      clearInterval(streamInterval);
-    });
+    // Incluir datos de todos los pedales si está disponible
+    if (this.hasFullPedalData) {
+      streamData.allPedals = this.fullPedalData;
+    }
+
+    return streamData;
+  }
+
+  // Stream de datos en tiempo real (un evento por trama, reanudable con Last-Event-ID)
+  streamBrakeData(req, res) {
+    this.broadcaster.addClient(req, res);
   }
 
   // Obtener estado de salud del sistema
@@ -499,17 +614,22 @@ class BrakeController {
       const validation = validateBrakeData(this.brakeData);
       
       const health = {
-        operational: validation.isValid,
+        operational: validation.isValid && !dataWatchdog.stale,
+        stale: dataWatchdog.stale,
         active: this.brakeData.active,
         currentForce: this.brakeData.force,
         currentValue: this.brakeData.value,
         lastUpdate: this.brakeData.timestamp,
         isSimulating: this.isSimulating,
         isArduinoConnected: this.isArduinoConnected,
-        connectionStatus: this.arduino.isPortConnected() ? 'connected' : 'disconnected',
-        dataSource: this.isArduinoConnected ? 'arduino' : 'simulation',
+        connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
+        device: this.hub.handshake,
+        dataSource: this.hub.source,
         validation: validation,
-        uptime: Date.now() - this.brakeData.timestamp
+        stream: this.broadcaster.getStatus(),
+        watchdog: dataWatchdog.getStatus(),
+        dataAgeMs: Date.now() - this.brakeData.timestamp,
+        uptime: process.uptime()
       };
       
       res.json({
@@ -525,85 +645,36 @@ class BrakeController {
     }
   }
 
-  // Reconectar Arduino manualmente
-  async reconnectArduino(req, res) {
-    try {
-      console.log('\n🔄 Reintentando conexión con Arduino...');
-      
-      // Desconectar si está conectado
-      if (this.arduino.isPortConnected()) {
-        this.arduino.disconnect();
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+  // Obtener la configuración actual (copia independiente para perfiles)
+  getConfig() {
+    return JSON.parse(JSON.stringify(getBrakeConfigData(this.brakeData)));
+  }
 
-      // Detener simulación si está activa
-      if (this.isSimulating) {
-        this.isSimulating = false;
-        if (this.simulationInterval) {
-          clearInterval(this.simulationInterval);
-          this.simulationInterval = null;
-        }
-      }
+  // Aplicar una configuración guardada (solo claves de configuración conocidas)
+  applyConfig(config = {}) {
+    const allowedKeys = Object.keys(getBrakeConfigData(this.brakeData));
+    const nextConfig = {};
 
-      // Intentar reconectar
-      const connected = await this.arduino.connect();
-      this.isArduinoConnected = connected;
-
-      if (connected) {
-        res.json({
-          success: true,
-          message: 'Arduino reconectado exitosamente',
-          data: {
-            isArduinoConnected: true,
-            connectionStatus: 'connected'
-          }
-        });
-      } else {
-        // Si falla, volver a simulación
-        console.log('⚠️ Reconexión fallida - Volviendo a modo simulación');
-        await this.startSimulation();
-        
-        res.json({
-          success: false,
-          message: 'No se pudo reconectar Arduino - Modo simulación activado',
-          data: {
-            isArduinoConnected: false,
-            isSimulating: true
-          }
-        });
+    allowedKeys.forEach(key => {
+      if (config[key] !== undefined) {
+        nextConfig[key] = JSON.parse(JSON.stringify(config[key]));
       }
-    } catch (error) {
-      console.error('❌ Error en reconexión:', error.message);
-      res.status(500).json({
-        success: false,
-        error: 'Error intentando reconectar Arduino',
-        details: error.message
-      });
+    });
+
+    const candidate = { ...this.brakeData, ...nextConfig };
+    const validation = validateBrakeData(candidate);
+    if (!validation.isValid) {
+      throw new Error(`Configuración del freno inválida: ${validation.errors.join('; ')}`);
     }
-  }
 
-  // Obtener información del puerto serie
-  async getSerialPortInfo(req, res) {
-    try {
-      const ports = await this.arduino.findArduinoPorts();
-      
-      res.json({
-        success: true,
-        data: {
-          availablePorts: ports,
-          currentConnection: {
-            isConnected: this.isArduinoConnected,
-            isPortOpen: this.arduino.isPortConnected()
-          }
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Error obteniendo información de puertos',
-        details: error.message
-      });
+    // Un cambio de filtros invalida el estado acumulado de la cadena
+    if (nextConfig.filters) {
+      candidate.filterState = createFilterState();
     }
+
+    candidate.timestamp = Date.now();
+    this.brakeData = candidate;
+    return this.getConfig();
   }
 
   // Método para obtener datos internamente
@@ -613,7 +684,7 @@ class BrakeController {
 
   // Método para obtener todos los datos de pedales
   getAllCurrentData() {
-    if (this.isArduinoConnected && this.fullPedalData) {
+    if (this.hasFullPedalData) {
       return {
         ...this.fullPedalData,
         brake: getBrakeTelemetryData(this.brakeData)
@@ -643,32 +714,22 @@ class BrakeController {
     console.log(`💪 Fuerza: ${this.brakeData.force.toFixed(2)} kg`);
     console.log(`⚡ Activo: ${this.brakeData.active ? '✅ SÍ' : '❌ NO'}`);
     
-    if (this.isArduinoConnected && this.fullPedalData) {
-      console.log(`🚀 Acelerador: ${this.fullPedalData.throttle.percentage}%`);
-      console.log(`🔧 Embrague: ${this.fullPedalData.clutch.percentage}%`);
+    if (this.hasFullPedalData) {
+      if (this.fullPedalData.throttle) console.log(`🚀 Acelerador: ${this.fullPedalData.throttle.percentage}%`);
+      if (this.fullPedalData.clutch) console.log(`🔧 Embrague: ${this.fullPedalData.clutch.percentage}%`);
       console.log(`📡 Estado: ${this.fullPedalData.status}`);
     }
     
     console.log(`🔧 Fuerza Máxima: ${this.brakeData.maxForce} kg`);
-    console.log(`🚫 Zona Muerta: ${this.brakeData.deadZone} kg`);
-    console.log(`🕒 Última Actualización: ${new Date(this.brakeData.timestamp).toLocaleTimeString()}`);
-    console.log('═══════════════════════════════════════════════\n');
-  }
-
-  // Método de limpieza al cerrar
-  cleanup() {
-    console.log('\n\n👋 Cerrando sistema de pedales...');
-    
-    if (this.simulationInterval) {
-      clearInterval(this.simulationInterval);
-      this.simulationInterval = null;
-    }
+    console.log(`🚫 Salida: ${describePedalOutput(this.brakeData, 'kg')}`);
     
-    if (this.arduino && this.arduino.isPortConnected()) {
-      this.arduino.disconnect();
+    // Resumen del último minuto (detalle completo en GET /api/stats)
+    const lastMinute = statsBuffer.getStats('1m');
+    if (lastMinute.pedals.brake.samples > 0) {
+      console.log(`📉 Último minuto: media ${lastMinute.pedals.brake.mean}%, p95 ${lastMinute.pedals.brake.percentiles.p95}%, ${lastMinute.pedals.brake.applications.count} frenadas, solapamiento ${lastMinute.overlap.throttleBrakeMs} ms`);
     }
-    
-    console.log('✅ Sistema cerrado correctamente');
+    console.log(`🕒 Última Actualización: ${new Date(this.brakeData.timestamp).toLocaleTimeString()}`);
+    console.log('═══════════════════════════════════════════════\n');
   }
 }
 
@@ -682,15 +743,4 @@ setInterval(() => {
   }
 }, 15000);
 
-// Manejar cierre graceful
-process.on('SIGINT', () => {
-  brakeController.cleanup();
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  brakeController.cleanup();
-  process.exit(0);
-});
-
 module.exports = brakeController;
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Backend/controllers/calibrationCurveController.js
+const {
+  CURVE_FIT_TYPES,
+  averageSamples,
+  fitCalibrationCurve
+} = require('../models/calibrationModel');
+
+const MAX_CALIBRATION_POINTS = 50;
+
+// Calibración multipunto de un pedal: captura de puntos de referencia y ajuste de curva.
+// Cada controlador de pedal crea su propia instancia indicando dónde guarda sus datos.
+class CalibrationCurveController {
+  constructor({ label, unit, referenceRange, controller, dataKey, readSample }) {
+    this.label = label;
+    this.unit = unit;
+    this.referenceRange = referenceRange;
+    this.controller = controller;
+    this.dataKey = dataKey;
+    this.readSample = readSample;
+  }
+
+  get data() {
+    return this.controller[this.dataKey];
+  }
+
+  // Estado de la calibración multipunto
+  getCurveData() {
+    return {
+      points: this.data.calibrationPoints,
+      curve: this.data.calibrationCurve,
+      unit: this.unit,
+      fitTypes: Object.keys(CURVE_FIT_TYPES).reduce((types, type) => {
+        types[type] = CURVE_FIT_TYPES[type].description;
+        return types;
+      }, {})
+    };
+  }
+
+  // Obtener puntos capturados y curva activa
+  async getCurve(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.getCurveData()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: `Error obteniendo calibración del ${this.label}`,
+        details: error.message
+      });
+    }
+  }
+
+  // Capturar un punto de referencia (lectura cruda → valor conocido)
+  async addPoint(req, res) {
+    try {
+      const { reference, raw, samples = 20 } = req.body;
+      const [minReference, maxReference] = this.referenceRange;
+
+      if (typeof reference !== 'number' || reference < minReference || reference > maxReference) {
+        return res.status(400).json({
+          success: false,
+          error: `reference debe ser un número entre ${minReference} y ${maxReference} ${this.unit}`
+        });
+      }
+
+      if (raw !== undefined && typeof raw !== 'number') {
+        return res.status(400).json({
+          success: false,
+          error: 'raw debe ser un número'
+        });
+      }
+
+      if (!Number.isInteger(samples) || samples < 1 || samples > 500) {
+        return res.status(400).json({
+          success: false,
+          error: 'samples debe ser un entero entre 1 y 500'
+        });
+      }
+
+      if (this.data.calibrationPoints.length >= MAX_CALIBRATION_POINTS) {
+        return res.status(400).json({
+          success: false,
+          error: `Se alcanzó el máximo de ${MAX_CALIBRATION_POINTS} puntos de calibración`
+        });
+      }
+
+      const point = { reference: reference, capturedAt: Date.now() };
+
+      if (raw !== undefined) {
+        point.raw = raw;
+      } else {
+        // Sin lectura explícita se promedian las próximas lecturas en vivo
+        let readings;
+        try {
+          readings = await this.controller.hub.collectSamples(this.readSample, samples);
+        } catch (error) {
+          return res.status(503).json({
+            success: false,
+            error: `No hay lecturas crudas del ${this.label} disponibles para calibrar`,
+            details: error.message
+          });
+        }
+
+        const stats = averageSamples(readings);
+        point.raw = stats.mean;
+        point.samples = stats;
+      }
+
+      this.data.calibrationPoints.push(point);
+      console.log(`\n📍 Punto de calibración del ${this.label}: ${point.raw.toFixed(1)} → ${reference} ${this.unit}`);
+
+      res.json({
+        success: true,
+        message: `Punto de calibración del ${this.label} capturado`,
+        data: {
+          point: point,
+          totalPoints: this.data.calibrationPoints.length
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: `Error capturando punto de calibración del ${this.label}`,
+        details: error.message
+      });
+    }
+  }
+
+  // Descartar los puntos capturados
+  async clearPoints(req, res) {
+    try {
+      const removed = this.data.calibrationPoints.length;
+      this.data.calibrationPoints = [];
+
+      res.json({
+        success: true,
+        message: `Puntos de calibración del ${this.label} eliminados`,
+        data: {
+          removed: removed
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: `Error eliminando puntos de calibración del ${this.label}`,
+        details: error.message
+      });
+    }
+  }
+
+  // Ajustar una curva sobre los puntos capturados y activarla
+  async fit(req, res) {
+    try {
+      const { type = 'linear' } = req.body;
+
+      if (!CURVE_FIT_TYPES[type]) {
+        return res.status(400).json({
+          success: false,
+          error: `type debe ser uno de: ${Object.keys(CURVE_FIT_TYPES).join(', ')}`
+        });
+      }
+
+      const { curve, residuals } = fitCalibrationCurve(this.data.calibrationPoints, type);
+      this.data.calibrationCurve = curve;
+      this.data.timestamp = Date.now();
+      console.log(`\n📈 Curva ${type} del ${this.label} ajustada (RMSE ${curve.fit.rmse} ${this.unit})`);
+
+      res.json({
+        success: true,
+        message: `Curva de calibración del ${this.label} ajustada y activada`,
+        data: {
+          curve: curve,
+          residuals: residuals
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: `Error ajustando curva de calibración del ${this.label}`,
+        details: error.message
+      });
+    }
+  }
+
+  // Desactivar la curva y volver a la conversión lineal básica
+  async removeCurve(req, res) {
+    try {
+      this.data.calibrationCurve = null;
+      this.data.timestamp = Date.now();
+
+      res.json({
+        success: true,
+        message: `Curva de calibración del ${this.label} desactivada`,
+        data: this.getCurveData()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: `Error desactivando curva de calibración del ${this.label}`,
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = CalibrationCurveController;
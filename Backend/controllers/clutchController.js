@@ -0,0 +1,432 @@
+// Backend/controllers/clutchController.js
+const {
+  createClutchData,
+  updateClutchData,
+  validateClutchData,
+  getClutchTelemetryData,
+  getClutchConfigData
+} = require('../models/clutchModel');
+const {
+  normalizeResponseCurve,
+  validateResponseCurve
+} = require('../models/responseCurveModel');
+const {
+  mergeFilterConfig,
+  validateFilterConfig,
+  createFilterState
+} = require('../models/filterModel');
+const {
+  pickPedalOutputConfig,
+  describePedalOutput
+} = require('../models/pedalModel');
+const pedalHub = require('../services/pedalHub');
+const SseBroadcaster = require('../services/sseBroadcaster');
+const dataWatchdog = require('../services/dataWatchdog');
+const CalibrationCurveController = require('./calibrationCurveController');
+
+class ClutchController {
+  constructor() {
+    // Inicializar datos del embrague
+    this.clutchData = createClutchData();
+
+    // Stream compartido por todos los clientes SSE
+    this.broadcaster = new SseBroadcaster({ name: 'clutch' });
+
+    // Suscribirse a las tramas del hub de pedales
+    this.hub = pedalHub;
+    this.hub.on('frame', (frame) => {
+      if (frame.clutch) {
+        this.processArduinoData(frame);
+        this.broadcastFrame();
+      }
+    });
+
+    // Calibración multipunto (lectura del potenciómetro → % de recorrido)
+    this.calibration = new CalibrationCurveController({
+      label: 'embrague',
+      unit: '%',
+      referenceRange: [0, 100],
+      controller: this,
+      dataKey: 'clutchData',
+      readSample: (frame) => frame.clutch ? frame.clutch.value : undefined
+    });
+  }
+
+  get isArduinoConnected() {
+    return this.hub.isArduinoConnected;
+  }
+
+  get isSimulating() {
+    return this.hub.isSimulating;
+  }
+
+  // Enviar el estado actual a los clientes del stream
+  broadcastFrame() {
+    try {
+      this.broadcaster.publish(this.getStreamData());
+    } catch (error) {
+      console.error('❌ Error en stream del embrague:', error);
+    }
+  }
+
+  // Procesar datos recibidos del Arduino
+  processArduinoData(arduinoData) {
+    try {
+      this.clutchData = updateClutchData(this.clutchData, arduinoData.clutch.value);
+    } catch (error) {
+      console.error('❌ Error procesando datos del embrague:', error.message);
+    }
+  }
+
+  // Obtener datos actuales del embrague
+  async getClutchData(req, res) {
+    try {
+      const telemetryData = getClutchTelemetryData(this.clutchData);
+
+      res.json({
+        success: true,
+        data: {
+          clutch: telemetryData,
+          isSimulating: this.isSimulating,
+          isArduinoConnected: this.isArduinoConnected,
+          source: this.hub.source,
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo datos del embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener datos completos (incluyendo configuración)
+  async getFullClutchData(req, res) {
+    try {
+      const validation = validateClutchData(this.clutchData);
+
+      res.json({
+        success: true,
+        data: {
+          clutch: this.clutchData,
+          validation: validation,
+          isSimulating: this.isSimulating,
+          isArduinoConnected: this.isArduinoConnected,
+          connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo datos completos del embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Actualizar datos del embrague manualmente (para testing)
+  async updateClutch(req, res) {
+    try {
+      const { rawReading } = req.body;
+
+      if (typeof rawReading !== 'number' || rawReading < 0 || rawReading > 1023) {
+        return res.status(400).json({
+          success: false,
+          error: 'rawReading debe ser un número entre 0 y 1023'
+        });
+      }
+
+      // Solo permitir actualizaciones manuales sin Arduino
+      if (this.isArduinoConnected) {
+        return res.status(400).json({
+          success: false,
+          error: 'No se pueden hacer actualizaciones manuales con Arduino conectado'
+        });
+      }
+
+      this.clutchData = updateClutchData(this.clutchData, rawReading);
+      const validation = validateClutchData(this.clutchData);
+
+      res.json({
+        success: true,
+        message: 'Datos del embrague actualizados manualmente',
+        data: {
+          clutch: getClutchTelemetryData(this.clutchData),
+          validation: validation
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Error actualizando datos del embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Configurar parámetros del embrague
+  async configureClutch(req, res) {
+    try {
+      const { minRaw, maxRaw, bitePoint, engagementRange, responseCurve, filters } = req.body;
+      const outputChanges = pickPedalOutputConfig(req.body);
+      const nextMin = minRaw !== undefined ? minRaw : this.clutchData.minRaw;
+      const nextMax = maxRaw !== undefined ? maxRaw : this.clutchData.maxRaw;
+      const nextBitePoint = bitePoint !== undefined ? bitePoint : this.clutchData.bitePoint;
+      const nextRange = engagementRange !== undefined ? engagementRange : this.clutchData.engagementRange;
+
+      for (const [name, param] of [['minRaw', minRaw], ['maxRaw', maxRaw]]) {
+        if (param !== undefined && (typeof param !== 'number' || param < 0 || param > 1023)) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} debe ser un número entre 0 y 1023`
+          });
+        }
+      }
+
+      if (nextMin >= nextMax) {
+        return res.status(400).json({
+          success: false,
+          error: 'minRaw debe ser menor que maxRaw'
+        });
+      }
+
+      // Validar la curva de respuesta antes de aplicar cualquier cambio
+      let nextCurve;
+      if (responseCurve !== undefined) {
+        nextCurve = normalizeResponseCurve(responseCurve);
+        const curveValidation = validateResponseCurve(nextCurve);
+        if (!curveValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'responseCurve no es válida',
+            details: curveValidation.errors.join('; ')
+          });
+        }
+      }
+
+      // Validar la cadena de filtros (se combina con la actual, etapa por etapa)
+      let nextFilters;
+      if (filters !== undefined) {
+        nextFilters = mergeFilterConfig(this.clutchData.filters, filters);
+        const filterValidation = validateFilterConfig(nextFilters);
+        if (!filterValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'filters no es válido',
+            details: filterValidation.errors.join('; ')
+          });
+        }
+      }
+
+      for (const [name, param] of [['bitePoint', bitePoint], ['engagementRange', engagementRange]]) {
+        if (param !== undefined && (typeof param !== 'number' || param < 0 || param > 100)) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} debe ser un número entre 0 y 100 (%)`
+          });
+        }
+      }
+
+      // La zona de acoplamiento debe quedar dentro del recorrido del pedal
+      if (nextBitePoint - nextRange / 2 < 0 || nextBitePoint + nextRange / 2 > 100) {
+        return res.status(400).json({
+          success: false,
+          error: `La zona de acoplamiento (${nextRange}%) no cabe alrededor del punto de mordida (${nextBitePoint}%)`
+        });
+      }
+
+      // Validar zonas muertas y rango de salida con el modelo (en cuentas dependen de minRaw-maxRaw)
+      const candidateValidation = validateClutchData({ ...this.clutchData, minRaw: nextMin, maxRaw: nextMax, ...outputChanges });
+      if (!candidateValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Configuración del embrague no válida',
+          details: candidateValidation.errors.join('; ')
+        });
+      }
+
+      if (minRaw !== undefined || maxRaw !== undefined) {
+        this.clutchData.minRaw = nextMin;
+        this.clutchData.maxRaw = nextMax;
+        console.log(`\n🔧 Rango del embrague actualizado: ${nextMin}-${nextMax}`);
+      }
+
+      if (Object.keys(outputChanges).length > 0) {
+        Object.assign(this.clutchData, outputChanges);
+        console.log(`\n🚫 Salida del embrague: ${describePedalOutput(this.clutchData, 'cuentas')}`);
+      }
+
+      if (bitePoint !== undefined || engagementRange !== undefined) {
+        this.clutchData.bitePoint = nextBitePoint;
+        this.clutchData.engagementRange = nextRange;
+        console.log(`\n🎯 Punto de mordida actualizado: ${nextBitePoint}% (±${nextRange / 2}%)`);
+      }
+
+      if (nextCurve) {
+        this.clutchData.responseCurve = nextCurve;
+        console.log(`\n📈 Curva de respuesta del embrague: ${nextCurve.type}`);
+      }
+
+      if (nextFilters) {
+        this.clutchData.filters = nextFilters;
+        this.clutchData.filterState = createFilterState();
+        const enabled = Object.keys(nextFilters).filter(stage => nextFilters[stage].enabled);
+        console.log(`\n🎛️ Filtros del embrague: ${enabled.length > 0 ? enabled.join(' → ') : 'desactivados'}`);
+      }
+
+      this.clutchData.timestamp = Date.now();
+      const validation = validateClutchData(this.clutchData);
+
+      res.json({
+        success: true,
+        message: 'Configuración del embrague actualizada',
+        data: {
+          configuration: {
+            minRaw: this.clutchData.minRaw,
+            maxRaw: this.clutchData.maxRaw,
+            ...pickPedalOutputConfig(this.clutchData),
+            responseCurve: this.clutchData.responseCurve,
+            bitePoint: this.clutchData.bitePoint,
+            engagementRange: this.clutchData.engagementRange,
+            filters: this.clutchData.filters
+          },
+          validation: validation
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Error configurando embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Resetear datos del embrague
+  async resetClutch(req, res) {
+    try {
+      // Conservar la configuración y la calibración, reiniciar la telemetría
+      this.clutchData = createClutchData(this.getConfig());
+      console.log('\n🔄 Datos del embrague reseteados');
+
+      res.json({
+        success: true,
+        message: 'Datos del embrague reseteados',
+        data: {
+          clutch: getClutchTelemetryData(this.clutchData)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error reseteando embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Datos enviados por el stream en cada trama
+  getStreamData() {
+    return {
+      clutch: getClutchTelemetryData(this.clutchData),
+      isSimulating: this.isSimulating,
+      isArduinoConnected: this.isArduinoConnected,
+      source: this.hub.source
+    };
+  }
+
+  // Stream de datos en tiempo real (un evento por trama, reanudable con Last-Event-ID)
+  streamClutchData(req, res) {
+    this.broadcaster.addClient(req, res);
+  }
+
+  // Obtener estado de salud del embrague
+  async getClutchHealth(req, res) {
+    try {
+      const validation = validateClutchData(this.clutchData);
+
+      const health = {
+        operational: validation.isValid && !dataWatchdog.stale,
+        stale: dataWatchdog.stale,
+        active: this.clutchData.active,
+        currentValue: this.clutchData.value,
+        currentPercentage: this.clutchData.percentage,
+        engaged: this.clutchData.engaged,
+        lastUpdate: this.clutchData.timestamp,
+        isSimulating: this.isSimulating,
+        isArduinoConnected: this.isArduinoConnected,
+        connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
+        device: this.hub.handshake,
+        dataSource: this.hub.source,
+        validation: validation,
+        stream: this.broadcaster.getStatus(),
+        watchdog: dataWatchdog.getStatus(),
+        dataAgeMs: Date.now() - this.clutchData.timestamp
+      };
+
+      res.json({
+        success: true,
+        data: health
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estado de salud del embrague',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener la configuración actual (copia independiente para perfiles)
+  getConfig() {
+    return JSON.parse(JSON.stringify(getClutchConfigData(this.clutchData)));
+  }
+
+  // Aplicar una configuración guardada (solo claves de configuración conocidas)
+  applyConfig(config = {}) {
+    const allowedKeys = Object.keys(getClutchConfigData(this.clutchData));
+    const nextConfig = {};
+
+    allowedKeys.forEach(key => {
+      if (config[key] !== undefined) {
+        nextConfig[key] = JSON.parse(JSON.stringify(config[key]));
+      }
+    });
+
+    const candidate = { ...this.clutchData, ...nextConfig };
+    const validation = validateClutchData(candidate);
+    if (!validation.isValid) {
+      throw new Error(`Configuración del embrague inválida: ${validation.errors.join('; ')}`);
+    }
+
+    // Un cambio de filtros invalida el estado acumulado de la cadena
+    if (nextConfig.filters) {
+      candidate.filterState = createFilterState();
+    }
+
+    candidate.timestamp = Date.now();
+    this.clutchData = candidate;
+    return this.getConfig();
+  }
+
+  // Método para obtener datos internamente
+  getCurrentData() {
+    return getClutchTelemetryData(this.clutchData);
+  }
+
+  // Método para actualizar datos internamente (para compatibilidad)
+  updateInternalData(rawReading) {
+    if (!this.isArduinoConnected) {
+      this.clutchData = updateClutchData(this.clutchData, rawReading);
+    }
+    return this.getCurrentData();
+  }
+}
+
+// Crear instancia singleton
+const clutchController = new ClutchController();
+
+module.exports = clutchController;
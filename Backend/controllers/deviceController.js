@@ -0,0 +1,738 @@
+// Backend/controllers/deviceController.js
+const pedalHub = require('../services/pedalHub');
+const dataWatchdog = require('../services/dataWatchdog');
+const { DEVICE_COMMANDS, validateDeviceCommand } = require('../services/arduinoProtocol');
+const { PRIMARY_DEVICE_ID } = require('../services/deviceRegistry');
+const scenarioLibrary = require('../services/scenarioLibrary');
+const { validateScenario } = require('../models/scenarioModel');
+
+// Código HTTP para cada tipo de fallo de un comando al dispositivo
+const COMMAND_ERROR_STATUS = {
+  NOT_CONNECTED: 503,
+  DISCONNECTED: 503,
+  TIMEOUT: 504,
+  NACK: 422,
+  UNKNOWN_DEVICE: 404
+};
+
+// Respuesta de las rutas del emulador cuando no se arrancó en modo "emulator"
+const EMULATOR_DISABLED_ERROR = 'El emulador solo está disponible con PEDAL_SERIAL_MODE=emulator';
+
+class DeviceController {
+  constructor() {
+    this.hub = pedalHub;
+  }
+
+  // Conectar a un puerto específico
+  async connect(req, res) {
+    try {
+      const { port, baudRate = 9600 } = req.body;
+
+      if (!port) {
+        return res.status(400).json({
+          success: false,
+          error: 'Se requiere especificar el puerto'
+        });
+      }
+
+      const connected = await this.hub.connectToPort(port, baudRate);
+
+      if (connected) {
+        res.json({
+          success: true,
+          message: `Conectado exitosamente al puerto ${port}`,
+          data: {
+            port: port,
+            baudRate: baudRate,
+            isConnected: true
+          }
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: `No se pudo conectar al puerto ${port}`,
+          data: {
+            port: port,
+            isConnected: false
+          }
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error conectando al puerto especificado',
+        details: error.message
+      });
+    }
+  }
+
+  // Desconectar Arduino
+  async disconnect(req, res) {
+    try {
+      const wasConnected = this.hub.disconnect();
+
+      if (wasConnected) {
+        res.json({
+          success: true,
+          message: `Arduino desconectado - Fuente activa: ${this.hub.source}`,
+          data: {
+            isArduinoConnected: false,
+            isSimulating: this.hub.isSimulating
+          }
+        });
+      } else {
+        res.json({
+          success: true,
+          message: 'No había conexión activa',
+          data: {
+            isArduinoConnected: false,
+            isSimulating: this.hub.isSimulating
+          }
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error desconectando Arduino',
+        details: error.message
+      });
+    }
+  }
+
+  // Reconectar Arduino manualmente
+  async reconnect(req, res) {
+    try {
+      const connected = await this.hub.reconnect();
+
+      if (connected) {
+        res.json({
+          success: true,
+          message: 'Arduino reconectado - Se usará en cuanto envíe tramas',
+          data: {
+            isArduinoConnected: true,
+            connectionStatus: 'connected'
+          }
+        });
+      } else {
+        res.json({
+          success: false,
+          message: `No se pudo reconectar Arduino - Fuente activa: ${this.hub.source}`,
+          data: {
+            isArduinoConnected: false,
+            isSimulating: this.hub.isSimulating
+          }
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error en reconexión:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error intentando reconectar Arduino',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener información de puertos serie disponibles
+  async getPorts(req, res) {
+    try {
+      const ports = await this.hub.getPortsList();
+
+      res.json({
+        success: true,
+        data: {
+          ports: ports,
+          total: ports.length,
+          arduinoLikePorts: ports.filter(p => p.isArduinoLike).length,
+          currentConnection: {
+            isConnected: this.hub.isArduinoConnected,
+            isPortOpen: this.hub.isPortConnected()
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo información de puertos',
+        details: error.message
+      });
+    }
+  }
+
+  // Estado de conexión detallado
+  async getConnection(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          ...this.hub.getConnectionStatus(),
+          connection: this.hub.arduino.getConnectionState(),
+          protocol: this.hub.getProtocolStats(),
+          watchdog: dataWatchdog.getStatus()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estado de conexión',
+        details: error.message
+      });
+    }
+  }
+
+  // Listar los comandos aceptados por el firmware
+  async getCommands(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          commands: DEVICE_COMMANDS,
+          pendingRequests: this.hub.arduino.pendingRequests.size
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo comandos',
+        details: error.message
+      });
+    }
+  }
+
+  // Enviar un comando al firmware y devolver su respuesta
+  async sendCommand(req, res) {
+    try {
+      const { command, args = {}, timeoutMs, retries, device } = req.body;
+
+      const errors = validateDeviceCommand(command, args);
+      if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs < 50 || timeoutMs > 30000)) {
+        errors.push('timeoutMs: debe ser un entero entre 50 y 30000');
+      }
+      if (retries !== undefined && (!Number.isInteger(retries) || retries < 0 || retries > 10)) {
+        errors.push('retries: debe ser un entero entre 0 y 10');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comando inválido',
+          details: errors
+        });
+      }
+
+      const reply = await this.hub.sendDeviceCommand(command, args, { timeoutMs, retries }, device);
+
+      res.json({
+        success: true,
+        message: `Comando "${command}" confirmado por el dispositivo`,
+        data: {
+          command: command,
+          args: args,
+          device: device || null,
+          reply: reply
+        }
+      });
+    } catch (error) {
+      const status = COMMAND_ERROR_STATUS[error.code];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      console.error('❌ Error enviando comando:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error enviando comando al dispositivo',
+        details: error.message
+      });
+    }
+  }
+
+  // Listar las placas registradas con su salud
+  async getDevices(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.hub.getDevicesStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo dispositivos',
+        details: error.message
+      });
+    }
+  }
+
+  // Registrar y conectar una placa adicional
+  async addDevice(req, res) {
+    try {
+      const { id, path, baudRate = 9600, channels } = req.body;
+
+      const errors = this.hub.devices.validateDevice({ id, path, baudRate, channels });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dispositivo inválido',
+          details: errors
+        });
+      }
+
+      if (this.hub.devices.get(id)) {
+        return res.status(409).json({
+          success: false,
+          error: `El dispositivo "${id}" ya está registrado`
+        });
+      }
+
+      const conflicts = this.hub.devices.findChannelConflicts(channels);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Hay pedales asignados a otro dispositivo',
+          details: conflicts
+        });
+      }
+
+      const connected = await this.hub.addDevice({ id, path, baudRate, channels });
+      const device = this.hub.devices.get(id);
+
+      res.status(201).json({
+        success: true,
+        message: connected
+          ? `Dispositivo "${id}" registrado en ${path}`
+          : `Dispositivo "${id}" registrado, pero no se pudo abrir ${path}`,
+        data: this.hub.devices.getDeviceHealth(device)
+      });
+    } catch (error) {
+      console.error('❌ Error registrando dispositivo:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error registrando dispositivo',
+        details: error.message
+      });
+    }
+  }
+
+  // Cambiar los pedales que aporta una placa
+  async updateDevice(req, res) {
+    try {
+      const { id } = req.params;
+      const { channels } = req.body;
+
+      if (!this.hub.devices.get(id)) {
+        return res.status(404).json({
+          success: false,
+          error: `Dispositivo "${id}" no encontrado`
+        });
+      }
+
+      const errors = this.hub.devices.validateDevice({ channels }, { partial: true });
+      if (channels === undefined) {
+        errors.push('channels: se requiere la lista de pedales');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Mapeo de canales inválido',
+          details: errors
+        });
+      }
+
+      const conflicts = this.hub.devices.findChannelConflicts(channels, id);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Hay pedales asignados a otro dispositivo',
+          details: conflicts
+        });
+      }
+
+      const device = this.hub.devices.setChannels(id, channels);
+
+      res.json({
+        success: true,
+        message: `Canales de "${id}" actualizados`,
+        data: this.hub.devices.getDeviceHealth(device)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error actualizando dispositivo',
+        details: error.message
+      });
+    }
+  }
+
+  // Desconectar y eliminar una placa adicional
+  async removeDevice(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (id === PRIMARY_DEVICE_ID) {
+        return res.status(400).json({
+          success: false,
+          error: 'El dispositivo principal no se puede eliminar (usa /disconnect o reasigna sus canales)'
+        });
+      }
+
+      if (!this.hub.removeDevice(id)) {
+        return res.status(404).json({
+          success: false,
+          error: `Dispositivo "${id}" no encontrado`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Dispositivo "${id}" eliminado`,
+        data: this.hub.getDevicesStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error eliminando dispositivo',
+        details: error.message
+      });
+    }
+  }
+
+  // Fuente de datos activa, política de cambio y últimos cambios
+  async getSources(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.hub.getSourcesStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo fuentes de datos',
+        details: error.message
+      });
+    }
+  }
+
+  // Elegir la fuente de datos ('auto' devuelve el control a la política)
+  async selectSource(req, res) {
+    try {
+      const { source } = req.body;
+      const result = this.hub.selectSource(source);
+
+      if (!result.changed) {
+        return res.status(400).json({
+          success: false,
+          error: result.reason
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.reason,
+        data: this.hub.getSourcesStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error cambiando la fuente de datos',
+        details: error.message
+      });
+    }
+  }
+
+  // Fijar los porcentajes de la fuente manual ({ throttle, brake, clutch })
+  async setManualValues(req, res) {
+    try {
+      const manual = this.hub.sources.manual;
+      const errors = manual.validateValues(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valores manuales inválidos',
+          details: errors
+        });
+      }
+
+      const values = manual.setValues(req.body);
+
+      res.json({
+        success: true,
+        message: manual.isActive
+          ? 'Valores manuales aplicados'
+          : 'Valores guardados - Se publicarán al elegir la fuente "manual"',
+        data: {
+          values: values,
+          isActive: manual.isActive
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error fijando valores manuales',
+        details: error.message
+      });
+    }
+  }
+
+  // Iniciar simulación (solo si Arduino no está conectado).
+  // Body opcional: { scenario: nombre | { tracks, ... }, loop } para simular los tres pedales
+  async startSimulation(req, res) {
+    try {
+      const { scenario, loop } = req.body || {};
+      let options = {};
+
+      if (loop !== undefined && typeof loop !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'loop debe ser true o false'
+        });
+      }
+
+      if (scenario !== undefined) {
+        let name = 'personalizado';
+        let definition = scenario;
+
+        // Escenario predefinido por nombre o definición completa en el body
+        if (typeof scenario === 'string') {
+          if (!scenarioLibrary.isValidName(scenario)) {
+            return res.status(400).json({
+              success: false,
+              error: 'Nombre de escenario inválido'
+            });
+          }
+
+          name = scenario;
+          definition = await scenarioLibrary.read(scenario);
+
+          if (!definition) {
+            return res.status(404).json({
+              success: false,
+              error: `Escenario "${scenario}" no encontrado`
+            });
+          }
+        }
+
+        const validation = validateScenario(definition);
+        if (!validation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Escenario inválido',
+            details: validation.errors
+          });
+        }
+
+        options = { name: name, scenario: definition, loop: loop };
+      }
+
+      const result = this.hub.startSimulation(options);
+
+      if (!result.started) {
+        return res.status(400).json({
+          success: false,
+          error: result.reason
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Simulación iniciada',
+        data: {
+          isSimulating: this.hub.isSimulating,
+          reason: result.reason,
+          scenario: this.hub.sources.simulation.getStatus().scenario
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error iniciando simulación:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error iniciando simulación',
+        details: error.message
+      });
+    }
+  }
+
+  // Escenarios de simulación predefinidos
+  async getScenarios(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          scenarios: await scenarioLibrary.list(),
+          active: this.hub.sources.simulation.getStatus().scenario
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error listando escenarios',
+        details: error.message
+      });
+    }
+  }
+
+  // Detener simulación
+  async stopSimulation(req, res) {
+    try {
+      if (!this.hub.stopSimulation()) {
+        return res.status(400).json({
+          success: false,
+          error: 'La simulación no está activa'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Simulación detenida',
+        data: {
+          isSimulating: this.hub.isSimulating
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error deteniendo simulación',
+        details: error.message
+      });
+    }
+  }
+
+  // ====================================================================================================================
+  // EMULADOR DE DISPOSITIVO SERIE
+  // ====================================================================================================================
+
+  // Estado del dispositivo virtual (formas de onda, fallos y tráfico)
+  async getEmulator(req, res) {
+    try {
+      if (!this.hub.emulator) {
+        return res.status(409).json({
+          success: false,
+          error: EMULATOR_DISABLED_ERROR
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.hub.emulator.getStatus()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estado del emulador',
+        details: error.message
+      });
+    }
+  }
+
+  // Cambiar las formas de onda de los pedales ({ pedal: { type, min, max, periodMs, phase, noise, value } })
+  async setEmulatorWaveforms(req, res) {
+    try {
+      const emulator = this.hub.emulator;
+
+      if (!emulator) {
+        return res.status(409).json({
+          success: false,
+          error: EMULATOR_DISABLED_ERROR
+        });
+      }
+
+      const errors = emulator.validateWaveforms(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Formas de onda inválidas',
+          details: errors
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Formas de onda actualizadas',
+        data: {
+          waveforms: emulator.setWaveforms(req.body)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error cambiando formas de onda',
+        details: error.message
+      });
+    }
+  }
+
+  // Inyectar un fallo ({ type, count, durationMs, baudRate, path })
+  async injectEmulatorFault(req, res) {
+    try {
+      const emulator = this.hub.emulator;
+
+      if (!emulator) {
+        return res.status(409).json({
+          success: false,
+          error: EMULATOR_DISABLED_ERROR
+        });
+      }
+
+      const errors = emulator.validateFault(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Fallo inválido',
+          details: errors
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Fallo "${req.body.type}" inyectado`,
+        data: {
+          fault: emulator.injectFault(req.body)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error inyectando fallo',
+        details: error.message
+      });
+    }
+  }
+
+  // Cancelar los fallos pendientes y en curso
+  async clearEmulatorFaults(req, res) {
+    try {
+      if (!this.hub.emulator) {
+        return res.status(409).json({
+          success: false,
+          error: EMULATOR_DISABLED_ERROR
+        });
+      }
+
+      this.hub.emulator.clearFaults();
+
+      res.json({
+        success: true,
+        message: 'Fallos cancelados',
+        data: this.hub.emulator.getStatus().faults
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error cancelando fallos',
+        details: error.message
+      });
+    }
+  }
+}
+
+// Crear instancia singleton
+const deviceController = new DeviceController();
+
+module.exports = deviceController;
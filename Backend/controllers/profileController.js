@@ -0,0 +1,488 @@
+// Backend/controllers/profileController.js
+const profileStore = require('../services/profileStore');
+const brakeController = require('./brakeController');
+const throttleController = require('./throttleController');
+const clutchController = require('./clutchController');
+const {
+  migrateProfile,
+  validateProfile,
+  createProfileDocument,
+  getPedalConfigs
+} = require('../models/profileModel');
+
+class ProfileController {
+  constructor() {
+    this.store = profileStore;
+    this.pedals = {
+      brake: brakeController,
+      throttle: throttleController,
+      clutch: clutchController
+    };
+    this.activeProfile = null;
+
+    // Restaurar el perfil activo de la sesión anterior
+    this.restoreActiveProfile();
+  }
+
+  // Construir un documento de perfil con la configuración actual de todos los pedales
+  buildProfile(name, description = '', createdAt = Date.now()) {
+    const configs = {};
+    Object.keys(this.pedals).forEach(pedal => {
+      configs[pedal] = this.pedals[pedal].getConfig();
+    });
+
+    return createProfileDocument({
+      name: name,
+      description: description,
+      createdAt: createdAt,
+      configs: configs
+    });
+  }
+
+  // Leer un perfil guardado migrándolo a la versión actual del esquema (null si no existe)
+  async readProfile(name) {
+    const stored = await this.store.read(name);
+    if (!stored) return null;
+
+    const { profile, migratedFrom } = migrateProfile(stored);
+    if (migratedFrom !== null) {
+      console.log(`🔄 Perfil "${name}" migrado de la versión ${migratedFrom} a la ${profile.schemaVersion}`);
+    }
+    return profile;
+  }
+
+  // Aplicar un perfil a todos los pedales (todo o nada)
+  applyProfile(profile) {
+    const configs = getPedalConfigs(profile);
+    const previous = {};
+    Object.keys(this.pedals).forEach(pedal => {
+      previous[pedal] = this.pedals[pedal].getConfig();
+    });
+
+    try {
+      Object.keys(this.pedals).forEach(pedal => {
+        if (configs[pedal]) {
+          this.pedals[pedal].applyConfig(configs[pedal]);
+        }
+      });
+    } catch (error) {
+      // Revertir los pedales que ya se hubieran aplicado
+      Object.keys(previous).forEach(pedal => {
+        this.pedals[pedal].applyConfig(previous[pedal]);
+      });
+      throw error;
+    }
+  }
+
+  // Restaurar el perfil activo al arrancar
+  async restoreActiveProfile() {
+    try {
+      const name = await this.store.getActiveProfileName();
+      if (!name) return;
+
+      const profile = await this.readProfile(name);
+      if (!profile) {
+        console.log(`⚠️ El perfil activo "${name}" ya no existe`);
+        await this.store.setActiveProfileName(null);
+        return;
+      }
+
+      this.applyProfile(profile);
+      this.activeProfile = name;
+      console.log(`\n📂 Perfil restaurado: ${name}`);
+    } catch (error) {
+      console.error('❌ Error restaurando perfil activo:', error.message);
+    }
+  }
+
+  // Responder 400 si el nombre no es válido
+  rejectInvalidName(name, res) {
+    if (this.store.isValidName(name)) return false;
+
+    res.status(400).json({
+      success: false,
+      error: 'El nombre del perfil debe tener 1-64 caracteres (letras, números, espacios, "-" o "_")'
+    });
+    return true;
+  }
+
+  // Listar perfiles guardados
+  async listProfiles(req, res) {
+    try {
+      const profiles = await this.store.list();
+
+      res.json({
+        success: true,
+        data: {
+          profiles: profiles,
+          total: profiles.length,
+          activeProfile: this.activeProfile,
+          dataDir: this.store.dataDir
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error listando perfiles',
+        details: error.message
+      });
+    }
+  }
+
+  // Crear un perfil nuevo con la configuración actual
+  async createProfile(req, res) {
+    try {
+      const { name, description = '' } = req.body;
+      if (this.rejectInvalidName(name, res)) return;
+
+      if (await this.store.exists(name)) {
+        return res.status(409).json({
+          success: false,
+          error: `Ya existe un perfil llamado "${name}"`
+        });
+      }
+
+      const profile = await this.store.write(name, this.buildProfile(name, description));
+      console.log(`\n💾 Perfil creado: ${name}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Perfil "${name}" creado`,
+        data: {
+          profile: profile
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error creando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener el perfil activo
+  async getActiveProfile(req, res) {
+    try {
+      const profile = this.activeProfile ? await this.readProfile(this.activeProfile) : null;
+
+      res.json({
+        success: true,
+        data: {
+          activeProfile: this.activeProfile,
+          profile: profile
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo perfil activo',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener un perfil
+  async getProfile(req, res) {
+    try {
+      const { name } = req.params;
+      if (this.rejectInvalidName(name, res)) return;
+
+      const profile = await this.readProfile(name);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe el perfil "${name}"`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          profile: profile,
+          isActive: this.activeProfile === name
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Cargar un perfil en los pedales y marcarlo como activo
+  async loadProfile(req, res) {
+    try {
+      const { name } = req.params;
+      if (this.rejectInvalidName(name, res)) return;
+
+      const profile = await this.readProfile(name);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe el perfil "${name}"`
+        });
+      }
+
+      try {
+        this.applyProfile(profile);
+      } catch (error) {
+        return res.status(422).json({
+          success: false,
+          error: `El perfil "${name}" contiene una configuración inválida`,
+          details: error.message
+        });
+      }
+
+      this.activeProfile = name;
+      await this.store.setActiveProfileName(name);
+      console.log(`\n📂 Perfil cargado: ${name}`);
+
+      res.json({
+        success: true,
+        message: `Perfil "${name}" cargado`,
+        data: {
+          activeProfile: name,
+          pedals: profile.pedals
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error cargando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Guardar la configuración actual en un perfil (lo crea si no existe)
+  async saveProfile(req, res) {
+    try {
+      const { name } = req.params;
+      if (this.rejectInvalidName(name, res)) return;
+
+      const existing = await this.readProfile(name);
+      const description = req.body.description !== undefined
+        ? req.body.description
+        : (existing ? existing.description : '');
+
+      const profile = this.buildProfile(name, description, existing ? existing.createdAt : Date.now());
+      await this.store.write(name, profile);
+      console.log(`\n💾 Perfil guardado: ${name}`);
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: `Perfil "${name}" guardado`,
+        data: {
+          profile: profile
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error guardando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Duplicar un perfil con otro nombre
+  async duplicateProfile(req, res) {
+    try {
+      const { name } = req.params;
+      const { newName } = req.body;
+      if (this.rejectInvalidName(name, res) || this.rejectInvalidName(newName, res)) return;
+
+      const source = await this.readProfile(name);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe el perfil "${name}"`
+        });
+      }
+
+      if (await this.store.exists(newName)) {
+        return res.status(409).json({
+          success: false,
+          error: `Ya existe un perfil llamado "${newName}"`
+        });
+      }
+
+      const now = Date.now();
+      const copy = { ...source, name: newName, createdAt: now, updatedAt: now };
+      await this.store.write(newName, copy);
+      console.log(`\n📄 Perfil duplicado: ${name} → ${newName}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Perfil "${name}" duplicado como "${newName}"`,
+        data: {
+          profile: copy
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error duplicando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Exportar un perfil como documento versionado descargable
+  async exportProfile(req, res) {
+    try {
+      const { name } = req.params;
+      if (this.rejectInvalidName(name, res)) return;
+
+      const profile = await this.readProfile(name);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe el perfil "${name}"`
+        });
+      }
+
+      res.attachment(`${name}.pedal-profile.json`);
+      res.json({ ...profile, exportedAt: Date.now() });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error exportando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Importar un documento de perfil (de cualquier versión soportada)
+  async importProfile(req, res) {
+    try {
+      const {
+        profile: document = req.body,
+        name: nameOverride,
+        overwrite = false,
+        includeCalibration = true,
+        load = false
+      } = req.body;
+
+      let migration;
+      try {
+        migration = migrateProfile(document);
+      } catch (error) {
+        return res.status(422).json({
+          success: false,
+          error: 'Documento de perfil no soportado',
+          details: error.message
+        });
+      }
+
+      const imported = migration.profile;
+      const name = nameOverride !== undefined ? nameOverride : imported.name;
+      if (this.rejectInvalidName(name, res)) return;
+
+      imported.name = name;
+      delete imported.exportedAt;
+
+      // Sin calibración solo se importan los ajustes; la calibración del rig actual se conserva
+      if (!includeCalibration && imported.pedals && typeof imported.pedals === 'object') {
+        Object.keys(imported.pedals).forEach(pedal => {
+          if (imported.pedals[pedal] && typeof imported.pedals[pedal] === 'object') {
+            imported.pedals[pedal].calibration = {};
+          }
+        });
+      }
+
+      const validation = validateProfile(imported);
+      if (!validation.isValid) {
+        return res.status(422).json({
+          success: false,
+          error: 'El perfil importado no es válido',
+          details: validation.errors
+        });
+      }
+
+      const exists = await this.store.exists(name);
+      if (exists && !overwrite) {
+        return res.status(409).json({
+          success: false,
+          error: `Ya existe un perfil llamado "${name}" (usa overwrite: true para reemplazarlo)`
+        });
+      }
+
+      const now = Date.now();
+      const profile = {
+        ...imported,
+        createdAt: typeof imported.createdAt === 'number' ? imported.createdAt : now,
+        updatedAt: now
+      };
+      await this.store.write(name, profile);
+      console.log(`\n📥 Perfil importado: ${name}${migration.migratedFrom !== null ? ` (migrado desde v${migration.migratedFrom})` : ''}`);
+
+      if (load || this.activeProfile === name) {
+        this.applyProfile(profile);
+        this.activeProfile = name;
+        await this.store.setActiveProfileName(name);
+      }
+
+      res.status(exists ? 200 : 201).json({
+        success: true,
+        message: `Perfil "${name}" importado`,
+        data: {
+          profile: profile,
+          migratedFrom: migration.migratedFrom,
+          calibrationImported: includeCalibration,
+          activeProfile: this.activeProfile
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error importando perfil',
+        details: error.message
+      });
+    }
+  }
+
+  // Eliminar un perfil
+  async deleteProfile(req, res) {
+    try {
+      const { name } = req.params;
+      if (this.rejectInvalidName(name, res)) return;
+
+      const removed = await this.store.remove(name);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe el perfil "${name}"`
+        });
+      }
+
+      if (this.activeProfile === name) {
+        this.activeProfile = null;
+        await this.store.setActiveProfileName(null);
+      }
+      console.log(`\n🗑️ Perfil eliminado: ${name}`);
+
+      res.json({
+        success: true,
+        message: `Perfil "${name}" eliminado`,
+        data: {
+          activeProfile: this.activeProfile
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error eliminando perfil',
+        details: error.message
+      });
+    }
+  }
+}
+
+// Crear instancia singleton
+const profileController = new ProfileController();
+
+module.exports = profileController;
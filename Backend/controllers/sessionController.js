@@ -0,0 +1,242 @@
+// Backend/controllers/sessionController.js
+const sessionRecorder = require('../services/sessionRecorder');
+const sessionPlayer = require('../services/sessionPlayer');
+
+class SessionController {
+  constructor() {
+    this.recorder = sessionRecorder;
+    this.player = sessionPlayer;
+  }
+
+  // Estado de grabación y reproducción
+  async getStatus(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          recording: this.recorder.getStatus(),
+          replay: this.player.getStatus(),
+          dataSource: this.player.hub.source
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estado de la sesión',
+        details: error.message
+      });
+    }
+  }
+
+  // Iniciar grabación
+  async startRecording(req, res) {
+    try {
+      const { name, format = 'ndjson' } = req.body;
+      const result = await this.recorder.start({ name, format });
+
+      if (!result.started) {
+        return res.status(400).json({
+          success: false,
+          error: result.reason
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Grabación iniciada',
+        data: {
+          recording: this.recorder.getStatus()
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error iniciando grabación:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error iniciando grabación',
+        details: error.message
+      });
+    }
+  }
+
+  // Detener grabación
+  async stopRecording(req, res) {
+    try {
+      const summary = await this.recorder.stop();
+
+      if (!summary) {
+        return res.status(400).json({
+          success: false,
+          error: 'No hay ninguna grabación activa'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Grabación guardada en ${summary.file}`,
+        data: {
+          recording: summary
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error deteniendo grabación:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error deteniendo grabación',
+        details: error.message
+      });
+    }
+  }
+
+  // Listar grabaciones guardadas
+  async listRecordings(req, res) {
+    try {
+      const recordings = await this.recorder.list();
+
+      res.json({
+        success: true,
+        data: {
+          recordings: recordings,
+          total: recordings.length,
+          recordingsDir: this.recorder.recordingsDir
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error listando grabaciones',
+        details: error.message
+      });
+    }
+  }
+
+  // Descargar una grabación
+  async downloadRecording(req, res) {
+    try {
+      const { file } = req.params;
+
+      if (!this.recorder.isValidFileName(file)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Archivo de grabación inválido'
+        });
+      }
+
+      res.download(this.recorder.getRecordingPath(file), file, (error) => {
+        if (error && !res.headersSent) {
+          res.status(error.code === 'ENOENT' ? 404 : 500).json({
+            success: false,
+            error: error.code === 'ENOENT' ? `No existe la grabación ${file}` : 'Error descargando grabación',
+            details: error.message
+          });
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error descargando grabación',
+        details: error.message
+      });
+    }
+  }
+
+  // Eliminar una grabación
+  async deleteRecording(req, res) {
+    try {
+      const { file } = req.params;
+
+      if (!this.recorder.isValidFileName(file)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Archivo de grabación inválido'
+        });
+      }
+
+      if (this.recorder.isRecording && this.recorder.file === file) {
+        return res.status(409).json({
+          success: false,
+          error: 'No se puede eliminar una grabación en curso'
+        });
+      }
+
+      if (!await this.recorder.remove(file)) {
+        return res.status(404).json({
+          success: false,
+          error: `No existe la grabación ${file}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Grabación ${file} eliminada`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error eliminando grabación',
+        details: error.message
+      });
+    }
+  }
+
+  // Iniciar reproducción de una grabación
+  async startReplay(req, res) {
+    try {
+      const { file, speed = 1, loop = false } = req.body;
+      const result = await this.player.start({ file, speed, loop });
+
+      if (!result.started) {
+        return res.status(result.notFound ? 404 : 400).json({
+          success: false,
+          error: result.reason
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.reason,
+        data: {
+          replay: this.player.getStatus()
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error iniciando reproducción:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Error iniciando reproducción',
+        details: error.message
+      });
+    }
+  }
+
+  // Detener reproducción
+  async stopReplay(req, res) {
+    try {
+      if (!this.player.stop()) {
+        return res.status(400).json({
+          success: false,
+          error: 'No hay ninguna reproducción activa'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reproducción detenida',
+        data: {
+          replay: this.player.getStatus(),
+          dataSource: this.player.hub.source
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error deteniendo reproducción',
+        details: error.message
+      });
+    }
+  }
+}
+
+// Crear instancia singleton
+const sessionController = new SessionController();
+
+module.exports = sessionController;
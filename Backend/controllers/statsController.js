@@ -0,0 +1,125 @@
+// Backend/controllers/statsController.js
+const { STATS_WINDOWS, DEFAULT_THRESHOLD } = require('../models/statsModel');
+const statsBuffer = require('../services/statsBuffer');
+const pedalHub = require('../services/pedalHub');
+const brakeController = require('./brakeController');
+const throttleController = require('./throttleController');
+const clutchController = require('./clutchController');
+
+class StatsController {
+  constructor() {
+    this.buffer = statsBuffer;
+
+    // Los controladores de los pedales se suscriben antes al hub: cuando llega aquí
+    // la trama ya está procesada (filtros, zonas muertas y curva aplicados)
+    this.hub = pedalHub;
+    this.hub.on('frame', (frame) => this.recordFrame(frame));
+  }
+
+  // Guardar una instantánea de los pedales presentes en la trama
+  recordFrame(frame) {
+    try {
+      const { brakeData } = brakeController;
+      const { throttleData } = throttleController;
+      const { clutchData } = clutchController;
+
+      this.buffer.record({
+        timestamp: Date.now(),
+        throttle: frame.throttle ? { percentage: throttleData.percentage } : undefined,
+        brake: frame.brake ? { percentage: brakeData.percentage, force: brakeData.force, active: brakeData.active } : undefined,
+        clutch: frame.clutch ? { percentage: clutchData.percentage } : undefined
+      });
+    } catch (error) {
+      console.error('❌ Error registrando estadísticas:', error.message);
+    }
+  }
+
+  // Obtener estadísticas de una ventana (o de todas si no se indica)
+  async getStats(req, res) {
+    try {
+      const { window } = req.query;
+      const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_THRESHOLD;
+
+      if (window !== undefined && !STATS_WINDOWS[window]) {
+        return res.status(400).json({
+          success: false,
+          error: `window debe ser uno de: ${Object.keys(STATS_WINDOWS).join(', ')}`
+        });
+      }
+
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'threshold debe ser un número entre 0 y 100 (%)'
+        });
+      }
+
+      const windows = window !== undefined ? [window] : Object.keys(STATS_WINDOWS);
+      const stats = {};
+      windows.forEach(name => {
+        stats[name] = this.buffer.getStats(name, { threshold: threshold });
+      });
+
+      res.json({
+        success: true,
+        data: {
+          stats: stats,
+          buffer: this.buffer.getStatus(),
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estadísticas',
+        details: error.message
+      });
+    }
+  }
+
+  // Ventanas disponibles
+  async getWindows(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          windows: STATS_WINDOWS,
+          defaultThreshold: DEFAULT_THRESHOLD
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo ventanas de estadísticas',
+        details: error.message
+      });
+    }
+  }
+
+  // Reiniciar la sesión de estadísticas
+  async resetStats(req, res) {
+    try {
+      this.buffer.reset();
+      console.log('\n🔄 Estadísticas de los pedales reiniciadas');
+
+      res.json({
+        success: true,
+        message: 'Estadísticas reiniciadas',
+        data: {
+          buffer: this.buffer.getStatus()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error reiniciando estadísticas',
+        details: error.message
+      });
+    }
+  }
+}
+
+// Crear instancia singleton
+const statsController = new StatsController();
+
+module.exports = statsController;
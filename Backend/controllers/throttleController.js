@@ -0,0 +1,404 @@
+// Backend/controllers/throttleController.js
+const {
+  createThrottleData,
+  updateThrottleData,
+  validateThrottleData,
+  getThrottleTelemetryData,
+  getThrottleConfigData
+} = require('../models/throttleModel');
+const {
+  normalizeResponseCurve,
+  validateResponseCurve
+} = require('../models/responseCurveModel');
+const {
+  mergeFilterConfig,
+  validateFilterConfig,
+  createFilterState
+} = require('../models/filterModel');
+const {
+  pickPedalOutputConfig,
+  describePedalOutput
+} = require('../models/pedalModel');
+const pedalHub = require('../services/pedalHub');
+const SseBroadcaster = require('../services/sseBroadcaster');
+const dataWatchdog = require('../services/dataWatchdog');
+const CalibrationCurveController = require('./calibrationCurveController');
+
+class ThrottleController {
+  constructor() {
+    // Inicializar datos del acelerador
+    this.throttleData = createThrottleData();
+
+    // Stream compartido por todos los clientes SSE
+    this.broadcaster = new SseBroadcaster({ name: 'throttle' });
+
+    // Suscribirse a las tramas del hub de pedales
+    this.hub = pedalHub;
+    this.hub.on('frame', (frame) => {
+      if (frame.throttle) {
+        this.processArduinoData(frame);
+        this.broadcastFrame();
+      }
+    });
+
+    // Calibración multipunto (lectura del potenciómetro → % de recorrido)
+    this.calibration = new CalibrationCurveController({
+      label: 'acelerador',
+      unit: '%',
+      referenceRange: [0, 100],
+      controller: this,
+      dataKey: 'throttleData',
+      readSample: (frame) => frame.throttle ? frame.throttle.value : undefined
+    });
+  }
+
+  get isArduinoConnected() {
+    return this.hub.isArduinoConnected;
+  }
+
+  get isSimulating() {
+    return this.hub.isSimulating;
+  }
+
+  // Enviar el estado actual a los clientes del stream
+  broadcastFrame() {
+    try {
+      this.broadcaster.publish(this.getStreamData());
+    } catch (error) {
+      console.error('❌ Error en stream del acelerador:', error);
+    }
+  }
+
+  // Procesar datos recibidos del Arduino
+  processArduinoData(arduinoData) {
+    try {
+      this.throttleData = updateThrottleData(this.throttleData, arduinoData.throttle.value);
+    } catch (error) {
+      console.error('❌ Error procesando datos del acelerador:', error.message);
+    }
+  }
+
+  // Obtener datos actuales del acelerador
+  async getThrottleData(req, res) {
+    try {
+      const telemetryData = getThrottleTelemetryData(this.throttleData);
+
+      res.json({
+        success: true,
+        data: {
+          throttle: telemetryData,
+          isSimulating: this.isSimulating,
+          isArduinoConnected: this.isArduinoConnected,
+          source: this.hub.source,
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo datos del acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener datos completos (incluyendo configuración)
+  async getFullThrottleData(req, res) {
+    try {
+      const validation = validateThrottleData(this.throttleData);
+
+      res.json({
+        success: true,
+        data: {
+          throttle: this.throttleData,
+          validation: validation,
+          isSimulating: this.isSimulating,
+          isArduinoConnected: this.isArduinoConnected,
+          connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo datos completos del acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Actualizar datos del acelerador manualmente (para testing)
+  async updateThrottle(req, res) {
+    try {
+      const { rawReading } = req.body;
+
+      if (typeof rawReading !== 'number' || rawReading < 0 || rawReading > 1023) {
+        return res.status(400).json({
+          success: false,
+          error: 'rawReading debe ser un número entre 0 y 1023'
+        });
+      }
+
+      // Solo permitir actualizaciones manuales sin Arduino
+      if (this.isArduinoConnected) {
+        return res.status(400).json({
+          success: false,
+          error: 'No se pueden hacer actualizaciones manuales con Arduino conectado'
+        });
+      }
+
+      this.throttleData = updateThrottleData(this.throttleData, rawReading);
+      const validation = validateThrottleData(this.throttleData);
+
+      res.json({
+        success: true,
+        message: 'Datos del acelerador actualizados manualmente',
+        data: {
+          throttle: getThrottleTelemetryData(this.throttleData),
+          validation: validation
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Error actualizando datos del acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Configurar parámetros del acelerador
+  async configureThrottle(req, res) {
+    try {
+      const { minRaw, maxRaw, responseCurve, filters } = req.body;
+      const outputChanges = pickPedalOutputConfig(req.body);
+      const nextMin = minRaw !== undefined ? minRaw : this.throttleData.minRaw;
+      const nextMax = maxRaw !== undefined ? maxRaw : this.throttleData.maxRaw;
+
+      for (const [name, param] of [['minRaw', minRaw], ['maxRaw', maxRaw]]) {
+        if (param !== undefined && (typeof param !== 'number' || param < 0 || param > 1023)) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} debe ser un número entre 0 y 1023`
+          });
+        }
+      }
+
+      if (nextMin >= nextMax) {
+        return res.status(400).json({
+          success: false,
+          error: 'minRaw debe ser menor que maxRaw'
+        });
+      }
+
+      // Validar la curva de respuesta antes de aplicar cualquier cambio
+      let nextCurve;
+      if (responseCurve !== undefined) {
+        nextCurve = normalizeResponseCurve(responseCurve);
+        const curveValidation = validateResponseCurve(nextCurve);
+        if (!curveValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'responseCurve no es válida',
+            details: curveValidation.errors.join('; ')
+          });
+        }
+      }
+
+      // Validar la cadena de filtros (se combina con la actual, etapa por etapa)
+      let nextFilters;
+      if (filters !== undefined) {
+        nextFilters = mergeFilterConfig(this.throttleData.filters, filters);
+        const filterValidation = validateFilterConfig(nextFilters);
+        if (!filterValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'filters no es válido',
+            details: filterValidation.errors.join('; ')
+          });
+        }
+      }
+
+      // Validar zonas muertas y rango de salida con el modelo (en cuentas dependen de minRaw-maxRaw)
+      const candidateValidation = validateThrottleData({ ...this.throttleData, minRaw: nextMin, maxRaw: nextMax, ...outputChanges });
+      if (!candidateValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Configuración del acelerador no válida',
+          details: candidateValidation.errors.join('; ')
+        });
+      }
+
+      if (minRaw !== undefined || maxRaw !== undefined) {
+        this.throttleData.minRaw = nextMin;
+        this.throttleData.maxRaw = nextMax;
+        console.log(`\n🔧 Rango del acelerador actualizado: ${nextMin}-${nextMax}`);
+      }
+
+      if (Object.keys(outputChanges).length > 0) {
+        Object.assign(this.throttleData, outputChanges);
+        console.log(`\n🚫 Salida del acelerador: ${describePedalOutput(this.throttleData, 'cuentas')}`);
+      }
+
+      if (nextCurve) {
+        this.throttleData.responseCurve = nextCurve;
+        console.log(`\n📈 Curva de respuesta del acelerador: ${nextCurve.type}`);
+      }
+
+      if (nextFilters) {
+        this.throttleData.filters = nextFilters;
+        this.throttleData.filterState = createFilterState();
+        const enabled = Object.keys(nextFilters).filter(stage => nextFilters[stage].enabled);
+        console.log(`\n🎛️ Filtros del acelerador: ${enabled.length > 0 ? enabled.join(' → ') : 'desactivados'}`);
+      }
+
+      this.throttleData.timestamp = Date.now();
+      const validation = validateThrottleData(this.throttleData);
+
+      res.json({
+        success: true,
+        message: 'Configuración del acelerador actualizada',
+        data: {
+          configuration: {
+            minRaw: this.throttleData.minRaw,
+            maxRaw: this.throttleData.maxRaw,
+            ...pickPedalOutputConfig(this.throttleData),
+            responseCurve: this.throttleData.responseCurve,
+            filters: this.throttleData.filters
+          },
+          validation: validation
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Error configurando acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Resetear datos del acelerador
+  async resetThrottle(req, res) {
+    try {
+      // Conservar la configuración y la calibración, reiniciar la telemetría
+      this.throttleData = createThrottleData(this.getConfig());
+      console.log('\n🔄 Datos del acelerador reseteados');
+
+      res.json({
+        success: true,
+        message: 'Datos del acelerador reseteados',
+        data: {
+          throttle: getThrottleTelemetryData(this.throttleData)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error reseteando acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Datos enviados por el stream en cada trama
+  getStreamData() {
+    return {
+      throttle: getThrottleTelemetryData(this.throttleData),
+      isSimulating: this.isSimulating,
+      isArduinoConnected: this.isArduinoConnected,
+      source: this.hub.source
+    };
+  }
+
+  // Stream de datos en tiempo real (un evento por trama, reanudable con Last-Event-ID)
+  streamThrottleData(req, res) {
+    this.broadcaster.addClient(req, res);
+  }
+
+  // Obtener estado de salud del acelerador
+  async getThrottleHealth(req, res) {
+    try {
+      const validation = validateThrottleData(this.throttleData);
+
+      const health = {
+        operational: validation.isValid && !dataWatchdog.stale,
+        stale: dataWatchdog.stale,
+        active: this.throttleData.active,
+        currentValue: this.throttleData.value,
+        currentPercentage: this.throttleData.percentage,
+        lastUpdate: this.throttleData.timestamp,
+        isSimulating: this.isSimulating,
+        isArduinoConnected: this.isArduinoConnected,
+        connectionStatus: this.hub.isPortConnected() ? 'connected' : 'disconnected',
+        device: this.hub.handshake,
+        dataSource: this.hub.source,
+        validation: validation,
+        stream: this.broadcaster.getStatus(),
+        watchdog: dataWatchdog.getStatus(),
+        dataAgeMs: Date.now() - this.throttleData.timestamp
+      };
+
+      res.json({
+        success: true,
+        data: health
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Error obteniendo estado de salud del acelerador',
+        details: error.message
+      });
+    }
+  }
+
+  // Obtener la configuración actual (copia independiente para perfiles)
+  getConfig() {
+    return JSON.parse(JSON.stringify(getThrottleConfigData(this.throttleData)));
+  }
+
+  // Aplicar una configuración guardada (solo claves de configuración conocidas)
+  applyConfig(config = {}) {
+    const allowedKeys = Object.keys(getThrottleConfigData(this.throttleData));
+    const nextConfig = {};
+
+    allowedKeys.forEach(key => {
+      if (config[key] !== undefined) {
+        nextConfig[key] = JSON.parse(JSON.stringify(config[key]));
+      }
+    });
+
+    const candidate = { ...this.throttleData, ...nextConfig };
+    const validation = validateThrottleData(candidate);
+    if (!validation.isValid) {
+      throw new Error(`Configuración del acelerador inválida: ${validation.errors.join('; ')}`);
+    }
+
+    // Un cambio de filtros invalida el estado acumulado de la cadena
+    if (nextConfig.filters) {
+      candidate.filterState = createFilterState();
+    }
+
+    candidate.timestamp = Date.now();
+    this.throttleData = candidate;
+    return this.getConfig();
+  }
+
+  // Método para obtener datos internamente
+  getCurrentData() {
+    return getThrottleTelemetryData(this.throttleData);
+  }
+
+  // Método para actualizar datos internamente (para compatibilidad)
+  updateInternalData(rawReading) {
+    if (!this.isArduinoConnected) {
+      this.throttleData = updateThrottleData(this.throttleData, rawReading);
+    }
+    return this.getCurrentData();
+  }
+}
+
+// Crear instancia singleton
+const throttleController = new ThrottleController();
+
+module.exports = throttleController;
@@ -1,4 +1,20 @@
 // Backend/models/brakeModel.js
+const { rawToForce, evaluateCalibrationCurve } = require('./calibrationModel');
+const { createResponseCurve, validateResponseCurve } = require('./responseCurveModel');
+const { createFilterConfig, createFilterState, validateFilterConfig, filterPedalTravel } = require('./filterModel');
+const {
+  pedalOutputSchema,
+  createPedalData,
+  validatePedalSchema,
+  validatePedalOutput,
+  applyPedalOutput,
+  pickPedalOutputConfig
+} = require('./pedalModel');
+
+// Lecturas sobre las que se calcula la fuerza (y se evalúa la curva multipunto):
+//   raw   - cuentas del HX711 enviadas por el firmware
+//   value - valor 0-1023 del firmware que no envía la lectura cruda
+const BRAKE_READING_INPUTS = ['raw', 'value'];
 
 const brakeSchema = {
   // Datos principales del freno
@@ -16,6 +32,20 @@ const brakeSchema = {
     max: 100,
     description: 'Porcentaje de presión del pedal (0-100%)'
   },
+  preCurveValue: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Valor (0-1023) antes de aplicar la curva de respuesta'
+  },
+  preCurvePercentage: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Porcentaje antes de aplicar la curva de respuesta'
+  },
   force: {
     type: 'number',
     default: 0.0,
@@ -30,7 +60,27 @@ const brakeSchema = {
   rawReading: {
     type: 'number',
     default: 0,
-    description: 'Lectura cruda del sensor HX711'
+    description: 'Última lectura del sensor (cuentas del HX711 o valor 0-1023 según readingInput)'
+  },
+  readingInput: {
+    type: 'string',
+    default: 'raw',
+    enum: BRAKE_READING_INPUTS,
+    description: 'Tipo de la última lectura del sensor (raw = HX711, value = 0-1023)'
+  },
+  rawTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) antes de la cadena de filtros'
+  },
+  filteredTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) a la salida de la cadena de filtros'
   },
   
   // Configuración del freno
@@ -45,7 +95,55 @@ const brakeSchema = {
     type: 'number',
     default: 1.0,
     min: 0,
-    description: 'Zona muerta en kg'
+    description: 'Zona muerta inferior (kg o % del recorrido según deadZoneUnit)'
+  },
+  ...pedalOutputSchema,
+  deadZoneUnit: {
+    ...pedalOutputSchema.deadZoneUnit,
+    default: 'units'
+  },
+  responseCurve: {
+    type: 'object',
+    default: () => createResponseCurve('linear'),
+    description: 'Curva de respuesta de la entrada a la salida del joystick'
+  },
+  filters: {
+    type: 'object',
+    default: () => createFilterConfig(),
+    description: 'Cadena de filtros del recorrido (mediana, EMA, paso bajo, histéresis, límite de velocidad)'
+  },
+  filterState: {
+    type: 'object',
+    default: () => createFilterState(),
+    description: 'Estado interno de la cadena de filtros'
+  },
+
+  // Calibración de la celda de carga
+  tareOffset: {
+    type: 'number',
+    default: 8388607,
+    description: 'Lectura cruda del HX711 sin carga (tara)'
+  },
+  scaleFactor: {
+    type: 'number',
+    default: 1000000,
+    description: 'Cuentas del HX711 por kg'
+  },
+  calibratedAt: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    description: 'Timestamp de la última calibración (0 = sin calibrar)'
+  },
+  calibrationPoints: {
+    type: 'object',
+    default: () => [],
+    description: 'Puntos de referencia capturados (lectura cruda → kg)'
+  },
+  calibrationCurve: {
+    type: 'object',
+    default: null,
+    description: 'Curva de calibración multipunto activa (null = tara y escala)'
   },
   
   // Metadatos
@@ -63,47 +161,30 @@ const brakeSchema = {
 
 // Función para crear una instancia del esquema con valores por defecto
 function createBrakeData(initialData = {}) {
-  const brakeData = {};
-  
-  // Aplicar valores por defecto del esquema
-  Object.keys(brakeSchema).forEach(key => {
-    const field = brakeSchema[key];
-    if (typeof field.default === 'function') {
-      brakeData[key] = field.default();
-    } else {
-      brakeData[key] = field.default;
-    }
-  });
-  
-  // Sobrescribir con datos iniciales si se proporcionan
-  Object.assign(brakeData, initialData);
-  
-  return brakeData;
+  return createPedalData(brakeSchema, initialData);
 }
 
 // Función para validar datos según el esquema
 function validateBrakeData(data) {
-  const errors = [];
+  const errors = validatePedalSchema(brakeSchema, data);
+  
+  // Validar curva de respuesta
+  if (data.responseCurve !== undefined) {
+    errors.push(...validateResponseCurve(data.responseCurve).errors);
+  }
+
+  // Validar cadena de filtros
+  if (data.filters !== undefined) {
+    errors.push(...validateFilterConfig(data.filters).errors);
+  }
+  
+  // El factor de escala no puede ser cero (división en la conversión)
+  if (data.scaleFactor === 0) {
+    errors.push('scaleFactor: value must not be zero');
+  }
   
-  Object.keys(brakeSchema).forEach(key => {
-    const field = brakeSchema[key];
-    const value = data[key];
-    
-    // Validar tipo
-    if (value !== undefined && typeof value !== field.type) {
-      errors.push(`${key}: expected ${field.type}, got ${typeof value}`);
-    }
-    
-    // Validar rango para números
-    if (field.type === 'number' && value !== undefined) {
-      if (field.min !== undefined && value < field.min) {
-        errors.push(`${key}: value ${value} is below minimum ${field.min}`);
-      }
-      if (field.max !== undefined && value > field.max) {
-        errors.push(`${key}: value ${value} is above maximum ${field.max}`);
-      }
-    }
-  });
+  // Validar zonas muertas (en kg respecto a la fuerza máxima) y rango de salida
+  errors.push(...validatePedalOutput(data, data.maxForce));
   
   return {
     isValid: errors.length === 0,
@@ -111,38 +192,42 @@ function validateBrakeData(data) {
   };
 }
 
-// Función para actualizar datos del freno
-function updateBrakeData(currentData, newReading) {
+// Función para calcular valor y porcentaje de salida a partir del recorrido (0-100% de la fuerza máxima)
+function applyBrakeOutput(data, travel) {
+  return applyPedalOutput(data, Math.max(0, Math.min(100, travel)), data.maxForce);
+}
+
+// Función para calcular la fuerza de una lectura. La curva multipunto se evalúa sobre la misma
+// lectura con la que se capturan sus puntos; sin curva, la cruda usa la tara y el factor de
+// escala y el valor 0-1023 se toma como fracción de la fuerza máxima
+function readingToForce(data, reading, input) {
+  if (data.calibrationCurve) {
+    return Math.max(0, evaluateCalibrationCurve(data.calibrationCurve, reading));
+  }
+
+  return input === 'value'
+    ? (reading / 1023) * data.maxForce
+    : rawToForce(reading, data.tareOffset, data.scaleFactor);
+}
+
+// Función para actualizar datos del freno con una lectura del sensor (input: 'raw' o 'value')
+function updateBrakeData(currentData, newReading, input = 'raw') {
   // Crear copia de los datos actuales
   const updatedData = { ...currentData };
   
-  // Actualizar lectura cruda
+  // Actualizar lectura del sensor
   updatedData.rawReading = newReading;
+  updatedData.readingInput = input;
   
-  // Calcular fuerza (conversión básica)
-  let calculatedForce = Math.abs(newReading / 1000000);
+  // Calcular fuerza con la curva multipunto o, si no hay, con la calibración de la lectura
+  const calculatedForce = readingToForce(updatedData, newReading, input);
   
-  // Aplicar zona muerta
-  if (calculatedForce < updatedData.deadZone) {
-    updatedData.force = 0;
-    updatedData.active = false;
-  } else {
-    updatedData.force = calculatedForce - updatedData.deadZone;
-    updatedData.active = true;
-  }
+  // Filtrar la fuerza como recorrido (0-100% de la fuerza máxima)
+  const travel = filterPedalTravel(updatedData, Math.max(0, Math.min(100, (calculatedForce / updatedData.maxForce) * 100)));
+  updatedData.force = (travel / 100) * updatedData.maxForce;
   
-  // Limitar a fuerza máxima
-  updatedData.force = Math.min(updatedData.force, updatedData.maxForce);
-  
-  // Calcular valor del joystick (0-1023)
-  if (updatedData.force > 0) {
-    updatedData.value = Math.round((updatedData.force / updatedData.maxForce) * 1023);
-  } else {
-    updatedData.value = 0;
-  }
-  
-  // Calcular porcentaje
-  updatedData.percentage = Math.round((updatedData.value / 1023) * 100);
+  // Aplicar zonas muertas, saturación, curva de respuesta, inversión y rango de salida
+  applyBrakeOutput(updatedData, travel);
   
   // Actualizar timestamp
   updatedData.timestamp = Date.now();
@@ -155,16 +240,40 @@ function getBrakeTelemetryData(data) {
   return {
     value: data.value,
     percentage: data.percentage,
+    preCurveValue: data.preCurveValue,
+    preCurvePercentage: data.preCurvePercentage,
+    rawReading: data.rawReading,
+    readingInput: data.readingInput,
+    rawTravel: data.rawTravel,
+    filteredTravel: data.filteredTravel,
     force: parseFloat(data.force.toFixed(2)),
     active: data.active,
     timestamp: data.timestamp
   };
 }
 
+// Función para obtener solo la configuración (lo que se guarda en los perfiles)
+function getBrakeConfigData(data) {
+  return {
+    maxForce: data.maxForce,
+    ...pickPedalOutputConfig(data),
+    responseCurve: data.responseCurve,
+    filters: data.filters,
+    tareOffset: data.tareOffset,
+    scaleFactor: data.scaleFactor,
+    calibratedAt: data.calibratedAt,
+    calibrationPoints: data.calibrationPoints,
+    calibrationCurve: data.calibrationCurve
+  };
+}
+
 module.exports = {
+  BRAKE_READING_INPUTS,
   brakeSchema,
   createBrakeData,
   validateBrakeData,
   updateBrakeData,
-  getBrakeTelemetryData
+  applyBrakeOutput,
+  getBrakeTelemetryData,
+  getBrakeConfigData
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+// Backend/models/calibrationModel.js
+
+// Función para resumir un conjunto de lecturas crudas
+function averageSamples(samples) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    throw new Error('Se requiere al menos una lectura para calibrar');
+  }
+
+  const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+  const variance = samples.reduce((sum, sample) => sum + Math.pow(sample - mean, 2), 0) / samples.length;
+
+  return {
+    mean: mean,
+    stdDev: Math.sqrt(variance),
+    min: Math.min(...samples),
+    max: Math.max(...samples),
+    count: samples.length
+  };
+}
+
+// Función para calcular la tara (offset) a partir de lecturas sin carga
+function computeTare(samples) {
+  const stats = averageSamples(samples);
+
+  return {
+    tareOffset: Math.round(stats.mean),
+    samples: stats
+  };
+}
+
+// Función para calcular el factor de escala (cuentas por kg) con una masa de referencia
+function computeScaleFactor(samples, tareOffset, referenceMass) {
+  if (typeof referenceMass !== 'number' || referenceMass <= 0) {
+    throw new Error('referenceMass debe ser un número positivo');
+  }
+
+  const stats = averageSamples(samples);
+  const delta = stats.mean - tareOffset;
+
+  // Sin diferencia respecto a la tara no se puede determinar la pendiente
+  if (Math.abs(delta) < 1) {
+    throw new Error('La lectura con carga no difiere de la tara; verifica que la masa esté aplicada');
+  }
+
+  return {
+    scaleFactor: delta / referenceMass,
+    samples: stats
+  };
+}
+
+// Función para convertir una lectura cruda a kg con la calibración actual
+function rawToForce(rawReading, tareOffset, scaleFactor) {
+  return Math.max(0, (rawReading - tareOffset) / scaleFactor);
+}
+
+// Función para obtener la lectura cruda equivalente a una fuerza en kg
+function forceToRaw(force, tareOffset, scaleFactor) {
+  return tareOffset + force * scaleFactor;
+}
+
+// Tipos de ajuste disponibles y puntos mínimos que requiere cada uno
+const CURVE_FIT_TYPES = {
+  linear: { degree: 1, minPoints: 2, description: 'Recta por mínimos cuadrados' },
+  polynomial2: { degree: 2, minPoints: 3, description: 'Polinomio de 2º orden por mínimos cuadrados' },
+  polynomial3: { degree: 3, minPoints: 4, description: 'Polinomio de 3er orden por mínimos cuadrados' },
+  piecewise: { degree: null, minPoints: 2, description: 'Interpolación lineal por tramos' }
+};
+
+// Función para resolver un sistema lineal por eliminación gaussiana con pivoteo parcial
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('Sistema singular: los puntos no permiten este ajuste');
+    }
+
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * solution[k];
+    }
+    solution[row] = sum / a[row][row];
+  }
+
+  return solution;
+}
+
+// Función para agrupar puntos con la misma lectura cruda (promediando la referencia)
+function mergeCalibrationPoints(points) {
+  const byRaw = new Map();
+
+  points.forEach(point => {
+    const entry = byRaw.get(point.raw) || { raw: point.raw, total: 0, count: 0 };
+    entry.total += point.reference;
+    entry.count++;
+    byRaw.set(point.raw, entry);
+  });
+
+  return [...byRaw.values()]
+    .map(entry => ({ raw: entry.raw, reference: entry.total / entry.count }))
+    .sort((a, b) => a.raw - b.raw);
+}
+
+// Función para ajustar un polinomio por mínimos cuadrados sobre lecturas normalizadas
+function fitPolynomial(points, degree) {
+  const raws = points.map(point => point.raw);
+  const minRaw = Math.min(...raws);
+  const maxRaw = Math.max(...raws);
+
+  // Normalizar a [-1, 1] evita matrices mal condicionadas con cuentas del HX711
+  const normalization = {
+    center: (maxRaw + minRaw) / 2,
+    scale: (maxRaw - minRaw) / 2 || 1
+  };
+
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+
+  points.forEach(point => {
+    const x = (point.raw - normalization.center) / normalization.scale;
+    for (let i = 0; i < size; i++) {
+      vector[i] += point.reference * Math.pow(x, i);
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += Math.pow(x, i + j);
+      }
+    }
+  });
+
+  return {
+    coefficients: solveLinearSystem(matrix, vector),
+    normalization: normalization
+  };
+}
+
+// Función para evaluar una curva de calibración sobre una lectura cruda
+function evaluateCalibrationCurve(curve, rawReading) {
+  if (curve.type === 'piecewise') {
+    const points = curve.points;
+    let index = points.findIndex(point => point.raw >= rawReading);
+
+    // Fuera del rango capturado se extrapola con el tramo más cercano
+    if (index === -1) index = points.length - 1;
+    if (index === 0) index = 1;
+
+    const start = points[index - 1];
+    const end = points[index];
+    const ratio = (rawReading - start.raw) / (end.raw - start.raw);
+
+    return start.reference + ratio * (end.reference - start.reference);
+  }
+
+  const x = (rawReading - curve.normalization.center) / curve.normalization.scale;
+  return curve.coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(x, power), 0);
+}
+
+// Función para ajustar una curva de calibración multipunto y calcular sus residuos
+function fitCalibrationCurve(points, type = 'linear') {
+  const fitType = CURVE_FIT_TYPES[type];
+  if (!fitType) {
+    throw new Error(`Tipo de ajuste no soportado: ${type}. Opciones: ${Object.keys(CURVE_FIT_TYPES).join(', ')}`);
+  }
+
+  const merged = mergeCalibrationPoints(points);
+  if (merged.length < fitType.minPoints) {
+    throw new Error(`El ajuste ${type} requiere al menos ${fitType.minPoints} puntos con lecturas distintas (hay ${merged.length})`);
+  }
+
+  const curve = { type: type };
+
+  if (type === 'piecewise') {
+    curve.points = merged;
+  } else {
+    Object.assign(curve, fitPolynomial(merged, fitType.degree));
+  }
+
+  // Residuos sobre los puntos originales (referencia - predicción)
+  const residuals = points.map(point => {
+    const predicted = evaluateCalibrationCurve(curve, point.raw);
+    return {
+      raw: point.raw,
+      reference: point.reference,
+      predicted: parseFloat(predicted.toFixed(4)),
+      residual: parseFloat((point.reference - predicted).toFixed(4))
+    };
+  });
+
+  const squaredErrors = residuals.map(r => r.residual * r.residual);
+  curve.fit = {
+    rmse: parseFloat(Math.sqrt(squaredErrors.reduce((sum, e) => sum + e, 0) / residuals.length).toFixed(4)),
+    maxAbsError: Math.max(...residuals.map(r => Math.abs(r.residual))),
+    pointCount: points.length,
+    fittedAt: Date.now()
+  };
+
+  return {
+    curve: curve,
+    residuals: residuals
+  };
+}
+
+module.exports = {
+  CURVE_FIT_TYPES,
+  averageSamples,
+  computeTare,
+  computeScaleFactor,
+  rawToForce,
+  forceToRaw,
+  fitCalibrationCurve,
+  evaluateCalibrationCurve
+};
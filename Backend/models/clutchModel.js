@@ -0,0 +1,282 @@
+// Backend/models/clutchModel.js
+const { evaluateCalibrationCurve } = require('./calibrationModel');
+const { createResponseCurve, validateResponseCurve } = require('./responseCurveModel');
+const { createFilterConfig, createFilterState, validateFilterConfig, filterPedalTravel } = require('./filterModel');
+const {
+  pedalOutputSchema,
+  createPedalData,
+  validatePedalSchema,
+  validatePedalOutput,
+  applyPedalOutput,
+  pickPedalOutputConfig
+} = require('./pedalModel');
+
+const clutchSchema = {
+  // Datos principales del embrague
+  value: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Valor mapeado para joystick (0-1023)'
+  },
+  percentage: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Porcentaje de recorrido del pedal (0-100%)'
+  },
+  preCurveValue: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Valor (0-1023) antes de aplicar la curva de respuesta'
+  },
+  preCurvePercentage: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Porcentaje antes de aplicar la curva de respuesta'
+  },
+  engaged: {
+    type: 'number',
+    default: 1,
+    min: 0,
+    max: 1,
+    description: 'Fracción de acoplamiento del embrague (1 = acoplado, 0 = desacoplado)'
+  },
+  active: {
+    type: 'boolean',
+    default: false,
+    description: 'Estado de activación del pedal'
+  },
+  rawReading: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda del potenciómetro (ADC 0-1023)'
+  },
+  rawTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) antes de la cadena de filtros'
+  },
+  filteredTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) a la salida de la cadena de filtros'
+  },
+
+  // Configuración del embrague
+  minRaw: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda con el pedal liberado'
+  },
+  maxRaw: {
+    type: 'number',
+    default: 1023,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda con el pedal a fondo'
+  },
+  deadZone: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    description: 'Zona muerta inferior (% del recorrido o cuentas del ADC según deadZoneUnit)'
+  },
+  ...pedalOutputSchema,
+  responseCurve: {
+    type: 'object',
+    default: () => createResponseCurve('linear'),
+    description: 'Curva de respuesta de la entrada a la salida del joystick'
+  },
+  filters: {
+    type: 'object',
+    default: () => createFilterConfig(),
+    description: 'Cadena de filtros del recorrido (mediana, EMA, paso bajo, histéresis, límite de velocidad)'
+  },
+  filterState: {
+    type: 'object',
+    default: () => createFilterState(),
+    description: 'Estado interno de la cadena de filtros'
+  },
+  calibrationPoints: {
+    type: 'object',
+    default: () => [],
+    description: 'Puntos de referencia capturados (lectura cruda → % de recorrido)'
+  },
+  calibrationCurve: {
+    type: 'object',
+    default: null,
+    description: 'Curva de calibración multipunto activa (null = rango minRaw-maxRaw)'
+  },
+  bitePoint: {
+    type: 'number',
+    default: 40,
+    min: 0,
+    max: 100,
+    description: 'Punto de mordida en porcentaje del recorrido'
+  },
+  engagementRange: {
+    type: 'number',
+    default: 20,
+    min: 0,
+    max: 100,
+    description: 'Ancho de la zona de acoplamiento centrada en el punto de mordida (%)'
+  },
+
+  // Metadatos
+  timestamp: {
+    type: 'number',
+    default: () => Date.now(),
+    description: 'Timestamp de la última actualización'
+  },
+  sensorType: {
+    type: 'string',
+    default: 'Potenciómetro',
+    description: 'Tipo de sensor utilizado'
+  }
+};
+
+// Cuentas del ADC que corresponden al recorrido completo (unidades de las zonas muertas)
+function getClutchUnitSpan(data) {
+  return data.maxRaw - data.minRaw;
+}
+
+// Función para crear una instancia del esquema con valores por defecto
+function createClutchData(initialData = {}) {
+  return createPedalData(clutchSchema, initialData);
+}
+
+// Función para validar datos según el esquema
+function validateClutchData(data) {
+  const errors = validatePedalSchema(clutchSchema, data);
+
+  // Validar curva de respuesta
+  if (data.responseCurve !== undefined) {
+    errors.push(...validateResponseCurve(data.responseCurve).errors);
+  }
+
+  // Validar cadena de filtros
+  if (data.filters !== undefined) {
+    errors.push(...validateFilterConfig(data.filters).errors);
+  }
+
+  // Validar que el rango de calibración sea coherente
+  if (data.minRaw >= data.maxRaw) {
+    errors.push(`minRaw: value ${data.minRaw} must be lower than maxRaw ${data.maxRaw}`);
+  }
+
+  // Validar zonas muertas y rango de salida
+  errors.push(...validatePedalOutput(data, getClutchUnitSpan(data)));
+
+  // Validar que la zona de acoplamiento quepa dentro del recorrido
+  const halfRange = data.engagementRange / 2;
+  if (data.bitePoint - halfRange < 0 || data.bitePoint + halfRange > 100) {
+    errors.push(`engagementRange: value ${data.engagementRange} does not fit around bitePoint ${data.bitePoint}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para calcular el acoplamiento (1 = acoplado, 0 = desacoplado) según el recorrido
+function calculateEngagement(travel, bitePoint, engagementRange) {
+  // Sin zona de acoplamiento el embrague actúa como un interruptor en el punto de mordida
+  if (engagementRange <= 0) {
+    return travel < bitePoint ? 1 : 0;
+  }
+
+  const releaseEnd = bitePoint + engagementRange / 2;
+  const engaged = (releaseEnd - travel) / engagementRange;
+
+  return parseFloat(Math.max(0, Math.min(1, engaged)).toFixed(3));
+}
+
+// Función para actualizar datos del embrague
+function updateClutchData(currentData, newReading) {
+  // Crear copia de los datos actuales
+  const updatedData = { ...currentData };
+
+  // Actualizar lectura cruda
+  updatedData.rawReading = newReading;
+
+  // Calcular recorrido (0-100%) con la curva multipunto o dentro del rango minRaw-maxRaw
+  let travel;
+  if (updatedData.calibrationCurve) {
+    travel = evaluateCalibrationCurve(updatedData.calibrationCurve, newReading);
+  } else {
+    const span = updatedData.maxRaw - updatedData.minRaw;
+    travel = span > 0 ? ((newReading - updatedData.minRaw) / span) * 100 : 0;
+  }
+  travel = Math.max(0, Math.min(100, travel));
+
+  // Filtrar el recorrido (se conservan el valor sin filtrar y el filtrado para la telemetría)
+  travel = filterPedalTravel(updatedData, travel);
+
+  // Aplicar zonas muertas, saturación, curva de respuesta, inversión y rango de salida
+  travel = applyPedalOutput(updatedData, travel, getClutchUnitSpan(updatedData));
+
+  // Calcular fracción de acoplamiento a partir del recorrido
+  updatedData.engaged = calculateEngagement(travel, updatedData.bitePoint, updatedData.engagementRange);
+
+  // Actualizar timestamp
+  updatedData.timestamp = Date.now();
+
+  return updatedData;
+}
+
+// Función para obtener solo los datos de telemetría (sin configuración)
+function getClutchTelemetryData(data) {
+  return {
+    value: data.value,
+    percentage: data.percentage,
+    preCurveValue: data.preCurveValue,
+    preCurvePercentage: data.preCurvePercentage,
+    rawReading: data.rawReading,
+    rawTravel: data.rawTravel,
+    filteredTravel: data.filteredTravel,
+    engaged: data.engaged,
+    active: data.active,
+    timestamp: data.timestamp
+  };
+}
+
+// Función para obtener solo la configuración (lo que se guarda en los perfiles)
+function getClutchConfigData(data) {
+  return {
+    minRaw: data.minRaw,
+    maxRaw: data.maxRaw,
+    ...pickPedalOutputConfig(data),
+    bitePoint: data.bitePoint,
+    engagementRange: data.engagementRange,
+    responseCurve: data.responseCurve,
+    filters: data.filters,
+    calibrationPoints: data.calibrationPoints,
+    calibrationCurve: data.calibrationCurve
+  };
+}
+
+module.exports = {
+  clutchSchema,
+  createClutchData,
+  validateClutchData,
+  updateClutchData,
+  calculateEngagement,
+  getClutchTelemetryData,
+  getClutchConfigData
+};
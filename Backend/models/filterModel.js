@@ -0,0 +1,202 @@
+// Backend/models/filterModel.js
+
+// Etapas de la cadena de filtrado, en el orden en que se aplican. Todas trabajan
+// sobre el recorrido del pedal (0-100%) antes de la zona muerta y la curva de respuesta.
+const FILTER_STAGES = {
+  median: {
+    description: 'Elimina picos aislados con la mediana de las últimas "window" lecturas',
+    params: { window: { min: 3, max: 15, default: 5, odd: true } }
+  },
+  ema: {
+    description: 'Media móvil exponencial (alpha alto = respuesta rápida, bajo = más suavizado)',
+    params: { alpha: { min: 0.01, max: 1, default: 0.3 } }
+  },
+  lowPass: {
+    description: 'Paso bajo de primer orden con frecuencia de corte en Hz (independiente de la frecuencia de tramas)',
+    params: { cutoffHz: { min: 0.1, max: 100, default: 10 } }
+  },
+  hysteresis: {
+    description: 'Ignora cambios menores que "threshold" (%) para evitar el temblor en reposo',
+    params: { threshold: { min: 0, max: 10, default: 0.5 } }
+  },
+  rateLimit: {
+    description: 'Limita la velocidad de cambio a "maxRatePerSecond" (% de recorrido por segundo)',
+    params: { maxRatePerSecond: { min: 1, max: 100000, default: 1000 } }
+  }
+};
+
+// Función para crear la configuración por defecto (todas las etapas desactivadas)
+function createFilterConfig() {
+  const filters = {};
+
+  Object.keys(FILTER_STAGES).forEach(stage => {
+    filters[stage] = { enabled: false };
+    Object.keys(FILTER_STAGES[stage].params).forEach(param => {
+      filters[stage][param] = FILTER_STAGES[stage].params[param].default;
+    });
+  });
+
+  return filters;
+}
+
+// Función para combinar una configuración parcial recibida por la API con la actual
+function mergeFilterConfig(current, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return changes;
+  }
+
+  const merged = { ...createFilterConfig(), ...current };
+  Object.keys(changes).forEach(stage => {
+    const stageChanges = changes[stage];
+    merged[stage] = stageChanges && typeof stageChanges === 'object' && !Array.isArray(stageChanges)
+      ? { ...merged[stage], ...stageChanges }
+      : stageChanges;
+  });
+
+  return merged;
+}
+
+// Función para validar la configuración de filtros
+function validateFilterConfig(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { isValid: false, errors: ['filters: expected object'] };
+  }
+
+  const errors = [];
+
+  Object.keys(filters).forEach(stage => {
+    const definition = FILTER_STAGES[stage];
+    const config = filters[stage];
+
+    if (!definition) {
+      errors.push(`filters.${stage}: unknown stage (${Object.keys(FILTER_STAGES).join(', ')})`);
+      return;
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push(`filters.${stage}: expected object`);
+      return;
+    }
+    if (typeof config.enabled !== 'boolean') {
+      errors.push(`filters.${stage}.enabled: expected boolean`);
+    }
+
+    Object.keys(config).forEach(param => {
+      if (param !== 'enabled' && !definition.params[param]) {
+        errors.push(`filters.${stage}.${param}: unknown parameter`);
+      }
+    });
+
+    Object.keys(definition.params).forEach(param => {
+      const { min, max, odd } = definition.params[param];
+      const value = config[param];
+
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`filters.${stage}.${param}: expected number`);
+      } else if (value < min || value > max) {
+        errors.push(`filters.${stage}.${param}: must be between ${min} and ${max}`);
+      } else if (odd && (!Number.isInteger(value) || value % 2 === 0)) {
+        errors.push(`filters.${stage}.${param}: must be an odd integer`);
+      }
+    });
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para crear el estado vacío de la cadena (se reinicia al cambiar la configuración)
+function createFilterState() {
+  return {
+    samples: [],
+    ema: null,
+    lowPass: null,
+    hysteresis: null,
+    rateLimit: null,
+    lastTimestamp: null
+  };
+}
+
+// Función para calcular la mediana de una lista de números
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Función para aplicar la cadena de filtros a una lectura (devuelve la salida y el nuevo estado)
+function applyFilterChain(filters, state, input, timestamp = Date.now()) {
+  const config = filters || {};
+  const previous = state || createFilterState();
+  const next = { ...previous };
+  const dtSeconds = previous.lastTimestamp !== null ? Math.max(0, timestamp - previous.lastTimestamp) / 1000 : null;
+  let value = input;
+
+  if (config.median && config.median.enabled) {
+    next.samples = previous.samples.concat(value).slice(-config.median.window);
+    value = median(next.samples);
+  }
+
+  if (config.ema && config.ema.enabled) {
+    next.ema = previous.ema === null ? value : previous.ema + config.ema.alpha * (value - previous.ema);
+    value = next.ema;
+  }
+
+  if (config.lowPass && config.lowPass.enabled) {
+    if (previous.lowPass === null || dtSeconds === null) {
+      next.lowPass = value;
+    } else {
+      // alpha = dt / (RC + dt) con RC = 1 / (2π·fc)
+      const rc = 1 / (2 * Math.PI * config.lowPass.cutoffHz);
+      next.lowPass = previous.lowPass + (dtSeconds / (rc + dtSeconds)) * (value - previous.lowPass);
+    }
+    value = next.lowPass;
+  }
+
+  if (config.hysteresis && config.hysteresis.enabled) {
+    // Los extremos del recorrido siempre se alcanzan para no dejar el pedal "pisado"
+    const reachesEnd = value <= 0 || value >= 100;
+    if (previous.hysteresis === null || reachesEnd || Math.abs(value - previous.hysteresis) >= config.hysteresis.threshold) {
+      next.hysteresis = value;
+    }
+    value = next.hysteresis;
+  }
+
+  if (config.rateLimit && config.rateLimit.enabled) {
+    if (previous.rateLimit !== null && dtSeconds !== null) {
+      const maxStep = config.rateLimit.maxRatePerSecond * dtSeconds;
+      value = Math.max(previous.rateLimit - maxStep, Math.min(previous.rateLimit + maxStep, value));
+    }
+    next.rateLimit = value;
+  }
+
+  next.lastTimestamp = timestamp;
+
+  return {
+    output: Math.max(0, Math.min(100, value)),
+    state: next
+  };
+}
+
+// Función para filtrar el recorrido de un pedal guardando en sus datos el estado
+// de la cadena y los recorridos sin filtrar y filtrado (para la telemetría)
+function filterPedalTravel(data, travel, timestamp = Date.now()) {
+  const { output, state } = applyFilterChain(data.filters, data.filterState, travel, timestamp);
+
+  data.filterState = state;
+  data.rawTravel = parseFloat(travel.toFixed(2));
+  data.filteredTravel = parseFloat(output.toFixed(2));
+
+  return output;
+}
+
+module.exports = {
+  FILTER_STAGES,
+  createFilterConfig,
+  mergeFilterConfig,
+  validateFilterConfig,
+  createFilterState,
+  applyFilterChain,
+  filterPedalTravel
+};
@@ -0,0 +1,216 @@
+// Backend/models/pedalModel.js
+const { applyResponseCurve } = require('./responseCurveModel');
+
+// Unidades en las que se expresan las zonas muertas
+//   percent  Porcentaje del recorrido del pedal
+//   units    Unidades de ingeniería del pedal (kg en el freno, cuentas del ADC en acelerador y embrague)
+const DEAD_ZONE_UNITS = ['percent', 'units'];
+
+// Máximo de cada zona muerta una vez convertida a porcentaje del recorrido
+const MAX_DEAD_ZONE_PERCENT = 50;
+
+// Campos de configuración de la etapa de salida (lo que se puede cambiar en PUT /config)
+const PEDAL_OUTPUT_KEYS = ['deadZone', 'upperDeadZone', 'deadZoneUnit', 'saturation', 'inverted', 'outputMin', 'outputMax'];
+
+// Etapa de salida común a todos los pedales. La zona muerta inferior (deadZone) la
+// define cada pedal porque su valor por defecto depende del sensor.
+const pedalOutputSchema = {
+  upperDeadZone: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    description: 'Zona muerta superior: tramo final del recorrido que ya da la salida máxima'
+  },
+  deadZoneUnit: {
+    type: 'string',
+    default: 'percent',
+    enum: DEAD_ZONE_UNITS,
+    description: 'Unidad de las zonas muertas (percent = % del recorrido, units = unidades de ingeniería del pedal)'
+  },
+  saturation: {
+    type: 'number',
+    default: 100,
+    min: 1,
+    max: 100,
+    description: 'Recorrido útil (%) a partir del cual la salida se satura en el máximo'
+  },
+  inverted: {
+    type: 'boolean',
+    default: false,
+    description: 'Invertir el eje de salida (pedal liberado = salida máxima)'
+  },
+  outputMin: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Salida mínima del eje en porcentaje'
+  },
+  outputMax: {
+    type: 'number',
+    default: 100,
+    min: 0,
+    max: 100,
+    description: 'Salida máxima del eje en porcentaje'
+  }
+};
+
+// Función para crear una instancia de un esquema de pedal con valores por defecto
+function createPedalData(schema, initialData = {}) {
+  const data = {};
+
+  // Aplicar valores por defecto del esquema
+  Object.keys(schema).forEach(key => {
+    const field = schema[key];
+    if (typeof field.default === 'function') {
+      data[key] = field.default();
+    } else {
+      data[key] = field.default;
+    }
+  });
+
+  // Sobrescribir con datos iniciales si se proporcionan
+  Object.assign(data, initialData);
+
+  return data;
+}
+
+// Función para validar tipos, rangos y valores permitidos según un esquema de pedal
+function validatePedalSchema(schema, data) {
+  const errors = [];
+
+  Object.keys(schema).forEach(key => {
+    const field = schema[key];
+    const value = data[key];
+
+    // Validar tipo
+    if (value !== undefined && typeof value !== field.type) {
+      errors.push(`${key}: expected ${field.type}, got ${typeof value}`);
+    }
+
+    // Validar rango para números
+    if (field.type === 'number' && value !== undefined) {
+      if (field.min !== undefined && value < field.min) {
+        errors.push(`${key}: value ${value} is below minimum ${field.min}`);
+      }
+      if (field.max !== undefined && value > field.max) {
+        errors.push(`${key}: value ${value} is above maximum ${field.max}`);
+      }
+    }
+
+    // Validar valores permitidos
+    if (field.enum && value !== undefined && !field.enum.includes(value)) {
+      errors.push(`${key}: must be one of ${field.enum.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+// Función para convertir las zonas muertas a porcentaje del recorrido
+// (unitSpan = unidades de ingeniería que corresponden al 100% del recorrido)
+function getDeadZonePercentages(data, unitSpan) {
+  const toPercent = (value) => {
+    if (data.deadZoneUnit !== 'units') return value;
+    return unitSpan > 0 ? (value / unitSpan) * 100 : 0;
+  };
+
+  return {
+    lower: toPercent(data.deadZone || 0),
+    upper: toPercent(data.upperDeadZone || 0)
+  };
+}
+
+// Función para validar la coherencia de la etapa de salida
+function validatePedalOutput(data, unitSpan) {
+  const errors = [];
+  const { lower, upper } = getDeadZonePercentages(data, unitSpan);
+
+  if (lower > MAX_DEAD_ZONE_PERCENT) {
+    errors.push(`deadZone: value ${data.deadZone} is above ${MAX_DEAD_ZONE_PERCENT}% of the pedal travel`);
+  }
+  if (upper > MAX_DEAD_ZONE_PERCENT) {
+    errors.push(`upperDeadZone: value ${data.upperDeadZone} is above ${MAX_DEAD_ZONE_PERCENT}% of the pedal travel`);
+  }
+  if (lower + upper >= 100) {
+    errors.push('deadZone: lower and upper dead zones leave no usable travel');
+  }
+  if (data.outputMin >= data.outputMax) {
+    errors.push(`outputMin: value ${data.outputMin} must be lower than outputMax ${data.outputMax}`);
+  }
+
+  return errors;
+}
+
+// Función para aplicar zonas muertas, saturación, curva de respuesta, inversión y rango de salida
+// a un recorrido (0-100%). Devuelve el recorrido útil resultante (0-100%).
+function applyPedalOutput(data, travel, unitSpan) {
+  const { lower, upper } = getDeadZonePercentages(data, unitSpan);
+  let position;
+
+  // Zona muerta inferior y superior: reescalar el tramo intermedio a 0-1
+  if (travel <= lower) {
+    position = 0;
+    data.active = false;
+  } else {
+    position = Math.min(1, (travel - lower) / (100 - lower - upper));
+    data.active = true;
+  }
+
+  // Saturación: a partir de "saturation"% del recorrido útil la salida es máxima
+  position = Math.min(1, (position * 100) / data.saturation);
+
+  // Valor del joystick (0-1023) antes de la curva de respuesta
+  data.preCurveValue = Math.round(position * 1023);
+  data.preCurvePercentage = Math.round((data.preCurveValue / 1023) * 100);
+
+  // Curva de respuesta, inversión del eje y rango de salida
+  let output = applyResponseCurve(data.responseCurve, position);
+  if (data.inverted) {
+    output = 1 - output;
+  }
+  output = (data.outputMin + output * (data.outputMax - data.outputMin)) / 100;
+
+  data.value = Math.round(output * 1023);
+  data.percentage = Math.round((data.value / 1023) * 100);
+
+  return position * 100;
+}
+
+// Función para extraer los campos de la etapa de salida presentes en un objeto
+function pickPedalOutputConfig(source) {
+  const config = {};
+
+  PEDAL_OUTPUT_KEYS.forEach(key => {
+    if (source[key] !== undefined) config[key] = source[key];
+  });
+
+  return config;
+}
+
+// Función para resumir la etapa de salida en los logs
+function describePedalOutput(data, unitLabel) {
+  const unit = data.deadZoneUnit === 'units' ? ` ${unitLabel}` : '%';
+  const parts = [
+    `zonas muertas ${data.deadZone}${unit} / ${data.upperDeadZone}${unit}`,
+    `saturación ${data.saturation}%`,
+    `salida ${data.outputMin}-${data.outputMax}%`
+  ];
+
+  if (data.inverted) parts.push('invertido');
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  DEAD_ZONE_UNITS,
+  PEDAL_OUTPUT_KEYS,
+  pedalOutputSchema,
+  createPedalData,
+  validatePedalSchema,
+  getDeadZonePercentages,
+  validatePedalOutput,
+  applyPedalOutput,
+  pickPedalOutputConfig,
+  describePedalOutput
+};
@@ -0,0 +1,287 @@
+// Backend/models/profileModel.js
+const { createBrakeData, validateBrakeData } = require('./brakeModel');
+const { createThrottleData, validateThrottleData } = require('./throttleModel');
+const { createClutchData, validateClutchData } = require('./clutchModel');
+const { PEDAL_OUTPUT_KEYS } = require('./pedalModel');
+
+const PROFILE_FORMAT = 'pedal-profile';
+const PROFILE_SCHEMA_VERSION = 3;
+
+const profileSchema = {
+  format: {
+    type: 'string',
+    required: true,
+    description: 'Identificador del tipo de documento'
+  },
+  schemaVersion: {
+    type: 'number',
+    required: true,
+    min: 1,
+    description: 'Versión del esquema del perfil'
+  },
+  name: {
+    type: 'string',
+    required: true,
+    description: 'Nombre del perfil'
+  },
+  description: {
+    type: 'string',
+    description: 'Descripción libre del perfil'
+  },
+  createdAt: {
+    type: 'number',
+    min: 0,
+    description: 'Timestamp de creación'
+  },
+  updatedAt: {
+    type: 'number',
+    min: 0,
+    description: 'Timestamp de la última modificación'
+  },
+  pedals: {
+    type: 'object',
+    required: true,
+    description: 'Configuración de cada pedal separada en ajustes y calibración'
+  }
+};
+
+// Qué campos de cada pedal son ajustes compartibles y cuáles dependen del hardware del rig
+const PEDAL_SECTIONS = {
+  brake: {
+    create: createBrakeData,
+    validate: validateBrakeData,
+    settings: ['maxForce', ...PEDAL_OUTPUT_KEYS, 'responseCurve', 'filters'],
+    calibration: ['tareOffset', 'scaleFactor', 'calibratedAt', 'calibrationPoints', 'calibrationCurve']
+  },
+  throttle: {
+    create: createThrottleData,
+    validate: validateThrottleData,
+    settings: [...PEDAL_OUTPUT_KEYS, 'responseCurve', 'filters'],
+    calibration: ['minRaw', 'maxRaw', 'calibrationPoints', 'calibrationCurve']
+  },
+  clutch: {
+    create: createClutchData,
+    validate: validateClutchData,
+    settings: [...PEDAL_OUTPUT_KEYS, 'bitePoint', 'engagementRange', 'responseCurve', 'filters'],
+    calibration: ['minRaw', 'maxRaw', 'calibrationPoints', 'calibrationCurve']
+  }
+};
+
+// Migraciones: cada función convierte un documento de la versión N a la N+1
+const MIGRATIONS = {
+  // v1: configuración plana por pedal y campo "version"
+  1: (profile) => {
+    const pedals = {};
+
+    Object.keys(profile.pedals || {}).forEach(pedal => {
+      const sections = PEDAL_SECTIONS[pedal];
+      const flat = profile.pedals[pedal] || {};
+      if (!sections) return;
+
+      pedals[pedal] = { settings: {}, calibration: {} };
+      ['settings', 'calibration'].forEach(section => {
+        sections[section].forEach(key => {
+          if (flat[key] !== undefined) pedals[pedal][section][key] = flat[key];
+        });
+      });
+    });
+
+    const { version, ...rest } = profile;
+    return { format: PROFILE_FORMAT, schemaVersion: 2, ...rest, pedals: pedals };
+  },
+
+  // v3: zonas muertas con unidad explícita (hasta ahora kg en el freno y % en acelerador y embrague)
+  2: (profile) => {
+    const units = { brake: 'units', throttle: 'percent', clutch: 'percent' };
+
+    Object.keys(profile.pedals || {}).forEach(pedal => {
+      const settings = profile.pedals[pedal] && profile.pedals[pedal].settings;
+      if (settings && units[pedal] && settings.deadZone !== undefined && settings.deadZoneUnit === undefined) {
+        settings.deadZoneUnit = units[pedal];
+      }
+    });
+
+    return { ...profile, schemaVersion: 3 };
+  }
+};
+
+// Función para obtener la versión de esquema de un documento
+function getProfileVersion(profile) {
+  if (typeof profile.schemaVersion === 'number') return profile.schemaVersion;
+  if (typeof profile.version === 'number') return profile.version;
+  return 1;
+}
+
+// Función para migrar un documento a la versión actual del esquema
+function migrateProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('El perfil debe ser un objeto JSON');
+  }
+
+  const originalVersion = getProfileVersion(profile);
+  if (originalVersion > PROFILE_SCHEMA_VERSION) {
+    throw new Error(`Versión de perfil ${originalVersion} no soportada (máxima ${PROFILE_SCHEMA_VERSION})`);
+  }
+
+  let migrated = JSON.parse(JSON.stringify(profile));
+  for (let version = originalVersion; version < PROFILE_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  return {
+    profile: migrated,
+    migratedFrom: originalVersion < PROFILE_SCHEMA_VERSION ? originalVersion : null
+  };
+}
+
+// Función para validar un campo contra su definición de esquema
+function validateField(path, field, value, errors) {
+  if (field.type === 'object') {
+    if (value === null || typeof value !== 'object') {
+      errors.push(`${path}: expected object, got ${typeof value}`);
+    }
+    return;
+  }
+
+  if (typeof value !== field.type) {
+    errors.push(`${path}: expected ${field.type}, got ${typeof value}`);
+    return;
+  }
+
+  if (field.type === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(`${path}: value must be a finite number`);
+    }
+    if (field.min !== undefined && value < field.min) {
+      errors.push(`${path}: value ${value} is below minimum ${field.min}`);
+    }
+    if (field.max !== undefined && value > field.max) {
+      errors.push(`${path}: value ${value} is above maximum ${field.max}`);
+    }
+  }
+}
+
+// Función para validar un documento de perfil (ya migrado a la versión actual)
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return { isValid: false, errors: ['profile: expected object'] };
+  }
+
+  // Campos de primer nivel
+  Object.keys(profileSchema).forEach(key => {
+    const field = profileSchema[key];
+    if (profile[key] === undefined) {
+      if (field.required) errors.push(`${key}: is required`);
+      return;
+    }
+    validateField(key, field, profile[key], errors);
+  });
+
+  if (profile.format !== undefined && profile.format !== PROFILE_FORMAT) {
+    errors.push(`format: expected "${PROFILE_FORMAT}"`);
+  }
+  if (profile.schemaVersion !== undefined && profile.schemaVersion !== PROFILE_SCHEMA_VERSION) {
+    errors.push(`schemaVersion: expected ${PROFILE_SCHEMA_VERSION}`);
+  }
+
+  if (!profile.pedals || typeof profile.pedals !== 'object') {
+    return { isValid: false, errors: errors };
+  }
+
+  // Configuración de cada pedal contra el esquema de su modelo
+  Object.keys(profile.pedals).forEach(pedal => {
+    const sections = PEDAL_SECTIONS[pedal];
+    const pedalProfile = profile.pedals[pedal];
+
+    if (!sections) {
+      errors.push(`pedals.${pedal}: unknown pedal`);
+      return;
+    }
+    if (!pedalProfile || typeof pedalProfile !== 'object') {
+      errors.push(`pedals.${pedal}: expected object`);
+      return;
+    }
+
+    ['settings', 'calibration'].forEach(section => {
+      const values = pedalProfile[section];
+      if (values === undefined) return;
+      if (!values || typeof values !== 'object') {
+        errors.push(`pedals.${pedal}.${section}: expected object`);
+        return;
+      }
+
+      Object.keys(values).forEach(key => {
+        if (!sections[section].includes(key)) {
+          errors.push(`pedals.${pedal}.${section}.${key}: unknown field`);
+        }
+      });
+    });
+
+    // Tipos y rangos según el esquema del modelo del pedal (brakeSchema, throttleSchema...)
+    const modelValidation = sections.validate(sections.create(flattenPedalProfile(pedalProfile)));
+    modelValidation.errors.forEach(error => errors.push(`pedals.${pedal}: ${error}`));
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para unir ajustes y calibración de un pedal en una configuración plana
+function flattenPedalProfile(pedalProfile, includeCalibration = true) {
+  return {
+    ...(includeCalibration ? pedalProfile.calibration : {}),
+    ...pedalProfile.settings
+  };
+}
+
+// Función para crear un documento de perfil a partir de la configuración plana de cada pedal
+function createProfileDocument({ name, description = '', createdAt = Date.now(), configs }) {
+  const pedals = {};
+
+  Object.keys(configs).forEach(pedal => {
+    const sections = PEDAL_SECTIONS[pedal];
+    if (!sections) return;
+
+    pedals[pedal] = { settings: {}, calibration: {} };
+    ['settings', 'calibration'].forEach(section => {
+      sections[section].forEach(key => {
+        pedals[pedal][section][key] = configs[pedal][key];
+      });
+    });
+  });
+
+  return {
+    format: PROFILE_FORMAT,
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    name: name,
+    description: description,
+    createdAt: createdAt,
+    updatedAt: Date.now(),
+    pedals: pedals
+  };
+}
+
+// Función para obtener la configuración plana de cada pedal de un documento
+function getPedalConfigs(profile, { includeCalibration = true } = {}) {
+  const configs = {};
+
+  Object.keys(profile.pedals || {}).forEach(pedal => {
+    configs[pedal] = flattenPedalProfile(profile.pedals[pedal], includeCalibration);
+  });
+
+  return configs;
+}
+
+module.exports = {
+  PROFILE_FORMAT,
+  PROFILE_SCHEMA_VERSION,
+  profileSchema,
+  migrateProfile,
+  validateProfile,
+  createProfileDocument,
+  getPedalConfigs
+};
@@ -0,0 +1,150 @@
+// Backend/models/responseCurveModel.js
+
+// Presets de curva de respuesta (entrada 0-1 → salida 0-1)
+const RESPONSE_CURVE_TYPES = {
+  linear: {
+    description: 'Salida proporcional a la entrada',
+    params: {}
+  },
+  gamma: {
+    description: 'Salida = entrada^exponent (>1 progresiva, <1 agresiva)',
+    params: { exponent: { min: 0.1, max: 10, default: 2 } }
+  },
+  's-curve': {
+    description: 'Curva en S: suave al inicio y al final, rápida en el centro',
+    params: { strength: { min: 1, max: 10, default: 2 } }
+  },
+  custom: {
+    description: 'Puntos de control definidos por el usuario (input/output en %)',
+    params: { points: { minPoints: 1, maxPoints: 32 } }
+  }
+};
+
+// Función para crear una curva con los parámetros por defecto del preset
+function createResponseCurve(type = 'linear') {
+  const curve = { type: type };
+  const params = RESPONSE_CURVE_TYPES[type] ? RESPONSE_CURVE_TYPES[type].params : {};
+
+  Object.keys(params).forEach(key => {
+    if (params[key].default !== undefined) {
+      curve[key] = params[key].default;
+    }
+  });
+
+  if (type === 'custom') {
+    curve.points = [{ input: 0, output: 0 }, { input: 100, output: 100 }];
+  }
+
+  return curve;
+}
+
+// Función para completar una curva recibida por la API con los parámetros por defecto de su preset
+function normalizeResponseCurve(curve) {
+  if (!curve || typeof curve !== 'object' || !RESPONSE_CURVE_TYPES[curve.type]) {
+    return curve;
+  }
+
+  return { ...createResponseCurve(curve.type), ...curve };
+}
+
+// Función para validar una curva de respuesta
+function validateResponseCurve(curve) {
+  const errors = [];
+
+  if (!curve || typeof curve !== 'object') {
+    return { isValid: false, errors: ['responseCurve: expected object'] };
+  }
+
+  const definition = RESPONSE_CURVE_TYPES[curve.type];
+  if (!definition) {
+    return {
+      isValid: false,
+      errors: [`responseCurve.type: must be one of ${Object.keys(RESPONSE_CURVE_TYPES).join(', ')}`]
+    };
+  }
+
+  if (curve.type === 'custom') {
+    const { minPoints, maxPoints } = definition.params.points;
+    const points = curve.points;
+
+    if (!Array.isArray(points) || points.length < minPoints || points.length > maxPoints) {
+      errors.push(`responseCurve.points: expected between ${minPoints} and ${maxPoints} points`);
+    } else {
+      points.forEach((point, index) => {
+        if (!point || typeof point.input !== 'number' || typeof point.output !== 'number') {
+          errors.push(`responseCurve.points[${index}]: input and output must be numbers`);
+        } else if (point.input < 0 || point.input > 100 || point.output < 0 || point.output > 100) {
+          errors.push(`responseCurve.points[${index}]: input and output must be between 0 and 100`);
+        } else if (index > 0 && points[index - 1] && point.input <= points[index - 1].input) {
+          errors.push(`responseCurve.points[${index}]: input must be strictly increasing`);
+        }
+      });
+    }
+  } else {
+    Object.keys(definition.params).forEach(key => {
+      const param = definition.params[key];
+      const value = curve[key];
+
+      if (typeof value !== 'number') {
+        errors.push(`responseCurve.${key}: expected number`);
+      } else if (value < param.min || value > param.max) {
+        errors.push(`responseCurve.${key}: value ${value} must be between ${param.min} and ${param.max}`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para interpolar los puntos de control de una curva personalizada
+function interpolateCustomPoints(points, input) {
+  const percent = input * 100;
+
+  // Los extremos quedan anclados en 0 y 100 si el usuario no los define
+  const anchored = [...points];
+  if (anchored[0].input > 0) anchored.unshift({ input: 0, output: 0 });
+  if (anchored[anchored.length - 1].input < 100) anchored.push({ input: 100, output: 100 });
+
+  for (let i = 1; i < anchored.length; i++) {
+    const start = anchored[i - 1];
+    const end = anchored[i];
+    if (percent <= end.input) {
+      const ratio = (percent - start.input) / (end.input - start.input);
+      return (start.output + ratio * (end.output - start.output)) / 100;
+    }
+  }
+
+  return anchored[anchored.length - 1].output / 100;
+}
+
+// Función para aplicar la curva de respuesta a una entrada normalizada (0-1)
+function applyResponseCurve(curve, input) {
+  const x = Math.max(0, Math.min(1, input));
+
+  if (!curve) return x;
+
+  switch (curve.type) {
+    case 'gamma':
+      return Math.pow(x, curve.exponent);
+    case 's-curve': {
+      const rising = Math.pow(x, curve.strength);
+      const falling = Math.pow(1 - x, curve.strength);
+      return rising / (rising + falling);
+    }
+    case 'custom':
+      return interpolateCustomPoints(curve.points, x);
+    default:
+      return x;
+  }
+}
+
+module.exports = {
+  RESPONSE_CURVE_TYPES,
+  createResponseCurve,
+  normalizeResponseCurve,
+  validateResponseCurve,
+  applyResponseCurve
+};
@@ -0,0 +1,230 @@
+// Backend/models/scenarioModel.js
+
+// Pedales que puede mover un escenario
+const SCENARIO_PEDALS = ['throttle', 'brake', 'clutch'];
+
+// Tramos de una pista (valores en % de recorrido del pedal).
+// Cada tramo parte del valor en el que terminó el anterior (0 al empezar).
+//   hold  { durationMs, value? }                     Mantener el valor (o fijar uno nuevo)
+//   step  { value, durationMs? }                     Salto inmediato y mantener
+//   ramp  { to, durationMs }                         Rampa lineal hasta "to"
+//   sine  { min, max, periodMs, durationMs }         Oscilación entre min y max (empieza en min)
+//   noise { amplitude, durationMs, value? }          Ruido de ±amplitude/2 alrededor del valor
+const SEGMENT_TYPES = {
+  hold: { required: ['durationMs'], optional: ['value'] },
+  step: { required: ['value'], optional: ['durationMs'] },
+  ramp: { required: ['to', 'durationMs'], optional: [] },
+  sine: { required: ['min', 'max', 'periodMs', 'durationMs'], optional: [] },
+  noise: { required: ['amplitude', 'durationMs'], optional: ['value'] }
+};
+
+// Campos que son porcentajes de recorrido
+const PERCENTAGE_FIELDS = ['value', 'to', 'min', 'max', 'amplitude'];
+
+// Límites de un escenario
+const MAX_SEGMENTS_PER_TRACK = 200;
+const MAX_SEGMENT_DURATION_MS = 600000;
+const MIN_SINE_PERIOD_MS = 50;
+
+// Función para validar un tramo (devuelve la lista de errores)
+function validateSegment(segment, label) {
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+    return [`${label}: se esperaba un objeto`];
+  }
+
+  const definition = SEGMENT_TYPES[segment.type];
+  if (!definition) {
+    return [`${label}.type: debe ser uno de ${Object.keys(SEGMENT_TYPES).join(', ')}`];
+  }
+
+  const errors = [];
+  const allowed = ['type', ...definition.required, ...definition.optional];
+
+  Object.keys(segment).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`${label}.${key}: campo desconocido para "${segment.type}"`);
+  });
+
+  definition.required.forEach(key => {
+    if (segment[key] === undefined) errors.push(`${label}.${key}: es obligatorio`);
+  });
+
+  PERCENTAGE_FIELDS.forEach(key => {
+    const value = segment[key];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100)) {
+      errors.push(`${label}.${key}: debe ser un porcentaje entre 0 y 100`);
+    }
+  });
+
+  if (segment.durationMs !== undefined && (!Number.isInteger(segment.durationMs) || segment.durationMs < 0 || segment.durationMs > MAX_SEGMENT_DURATION_MS)) {
+    errors.push(`${label}.durationMs: debe ser un entero entre 0 y ${MAX_SEGMENT_DURATION_MS}`);
+  }
+
+  if (segment.periodMs !== undefined && (typeof segment.periodMs !== 'number' || segment.periodMs < MIN_SINE_PERIOD_MS)) {
+    errors.push(`${label}.periodMs: debe ser un número mayor o igual a ${MIN_SINE_PERIOD_MS}`);
+  }
+
+  if (segment.type === 'sine' && typeof segment.min === 'number' && typeof segment.max === 'number' && segment.min > segment.max) {
+    errors.push(`${label}: min no puede ser mayor que max`);
+  }
+
+  return errors;
+}
+
+// Función para validar un escenario
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return { isValid: false, errors: ['escenario: se esperaba un objeto'] };
+  }
+
+  const errors = [];
+
+  if (scenario.description !== undefined && typeof scenario.description !== 'string') {
+    errors.push('description: se esperaba un texto');
+  }
+
+  if (scenario.loop !== undefined && typeof scenario.loop !== 'boolean') {
+    errors.push('loop: se esperaba true o false');
+  }
+
+  const tracks = scenario.tracks;
+  if (!tracks || typeof tracks !== 'object' || Array.isArray(tracks)) {
+    errors.push(`tracks: se esperaba un objeto { pedal: [tramos] } (${SCENARIO_PEDALS.join(', ')})`);
+    return { isValid: false, errors: errors };
+  }
+
+  Object.keys(tracks).forEach(pedal => {
+    const segments = tracks[pedal];
+
+    if (!SCENARIO_PEDALS.includes(pedal)) {
+      errors.push(`tracks.${pedal}: pedal desconocido (${SCENARIO_PEDALS.join(', ')})`);
+    } else if (!Array.isArray(segments) || segments.length === 0 || segments.length > MAX_SEGMENTS_PER_TRACK) {
+      errors.push(`tracks.${pedal}: se esperaba una lista de 1 a ${MAX_SEGMENTS_PER_TRACK} tramos`);
+    } else {
+      segments.forEach((segment, index) => {
+        errors.push(...validateSegment(segment, `tracks.${pedal}[${index}]`));
+      });
+    }
+  });
+
+  if (Object.keys(tracks).length === 0) {
+    errors.push('tracks: el escenario debe mover al menos un pedal');
+  }
+
+  if (errors.length === 0 && getScenarioDuration(compileScenario(scenario)) === 0) {
+    errors.push('tracks: la duración total del escenario es 0 ms');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para calcular los instantes de inicio/fin y los valores de cada tramo de una pista
+function compileTrack(segments) {
+  let startMs = 0;
+  let value = 0;
+
+  return segments.map(segment => {
+    const durationMs = segment.durationMs || 0;
+    const from = segment.value !== undefined && segment.type !== 'step' ? segment.value : value;
+    let to;
+
+    switch (segment.type) {
+      case 'step':
+        to = segment.value;
+        break;
+      case 'ramp':
+        to = segment.to;
+        break;
+      case 'sine':
+        to = sampleSine(segment, durationMs);
+        break;
+      default:
+        to = from;
+    }
+
+    const compiled = { ...segment, startMs: startMs, endMs: startMs + durationMs, from: from, to: to };
+    startMs += durationMs;
+    value = to;
+    return compiled;
+  });
+}
+
+// Función para preparar un escenario validado para su reproducción
+function compileScenario(scenario) {
+  const tracks = {};
+
+  SCENARIO_PEDALS.forEach(pedal => {
+    tracks[pedal] = scenario.tracks[pedal] ? compileTrack(scenario.tracks[pedal]) : [];
+  });
+
+  return {
+    ...scenario,
+    loop: !!scenario.loop,
+    tracks: tracks
+  };
+}
+
+// Función para obtener la duración de un escenario compilado (la de su pista más larga)
+function getScenarioDuration(compiled) {
+  return Math.max(...SCENARIO_PEDALS.map(pedal => {
+    const track = compiled.tracks[pedal];
+    return track.length > 0 ? track[track.length - 1].endMs : 0;
+  }));
+}
+
+// Función para calcular el valor de una oscilación a los elapsedMs de empezar
+function sampleSine(segment, elapsedMs) {
+  const position = elapsedMs / segment.periodMs;
+  return segment.min + (segment.max - segment.min) * (0.5 - 0.5 * Math.cos(2 * Math.PI * position));
+}
+
+// Función para calcular el valor de un tramo compilado en el instante t
+function sampleSegment(segment, t) {
+  const elapsedMs = t - segment.startMs;
+  const durationMs = segment.endMs - segment.startMs;
+
+  switch (segment.type) {
+    case 'ramp':
+      return durationMs > 0 ? segment.from + (segment.to - segment.from) * (elapsedMs / durationMs) : segment.to;
+    case 'sine':
+      return sampleSine(segment, elapsedMs);
+    case 'noise':
+      return segment.from + (Math.random() - 0.5) * segment.amplitude;
+    case 'step':
+      return segment.to;
+    default:
+      return segment.from;
+  }
+}
+
+// Función para calcular el valor de una pista en el instante t (tras el último tramo se mantiene)
+function sampleTrack(track, t) {
+  if (track.length === 0) return 0;
+
+  const segment = track.find(candidate => t >= candidate.startMs && t < candidate.endMs);
+  const value = segment ? sampleSegment(segment, t) : track[track.length - 1].to;
+
+  return Math.min(100, Math.max(0, value));
+}
+
+// Función para calcular los porcentajes de los pedales en el instante t de un escenario compilado
+function sampleScenario(compiled, t) {
+  const values = {};
+
+  SCENARIO_PEDALS.forEach(pedal => {
+    values[pedal] = sampleTrack(compiled.tracks[pedal], t);
+  });
+
+  return values;
+}
+
+module.exports = {
+  SCENARIO_PEDALS,
+  SEGMENT_TYPES,
+  validateScenario,
+  compileScenario,
+  getScenarioDuration,
+  sampleScenario
+};
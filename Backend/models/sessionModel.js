@@ -0,0 +1,224 @@
+// Backend/models/sessionModel.js
+
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_FORMATS = ['ndjson', 'csv'];
+
+// Columnas del formato CSV (una fila por trama o error de parseo)
+const CSV_COLUMNS = [
+  't',
+  'timestamp',
+  'type',
+  'source',
+  'status',
+  'brake_raw',
+  'brake_value',
+  'brake_percentage',
+  'throttle_value',
+  'throttle_percentage',
+  'clutch_value',
+  'clutch_percentage',
+  'raw',
+  'error'
+];
+
+const PEDALS = ['brake', 'throttle', 'clutch'];
+
+// Función para crear la cabecera de una sesión
+function createSessionHeader(startedAt, format) {
+  return {
+    type: 'session',
+    version: SESSION_FORMAT_VERSION,
+    format: format,
+    startedAt: startedAt
+  };
+}
+
+// Función para crear una entrada a partir de una trama publicada por el hub
+function createFrameEntry(frame, startedAt) {
+  const { rawData, source, timestamp, ...pedals } = frame;
+
+  return {
+    type: 'frame',
+    t: timestamp - startedAt,
+    timestamp: timestamp,
+    source: source,
+    raw: rawData !== undefined ? rawData : null,
+    frame: pedals
+  };
+}
+
+// Función para crear una entrada a partir de una línea que no se pudo interpretar
+function createParseErrorEntry(parseError, startedAt) {
+  return {
+    type: 'parse-error',
+    t: parseError.timestamp - startedAt,
+    timestamp: parseError.timestamp,
+    source: parseError.source || 'arduino',
+    raw: parseError.rawData,
+    error: parseError.error
+  };
+}
+
+// Función para escapar un valor CSV
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Función para dividir una línea CSV respetando comillas
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current);
+  return values;
+}
+
+// Función para convertir una entrada en fila CSV
+function entryToCsvRow(entry) {
+  const frame = entry.frame || {};
+  const row = {
+    t: entry.t,
+    timestamp: entry.timestamp,
+    type: entry.type,
+    source: entry.source,
+    status: frame.status,
+    raw: entry.raw,
+    error: entry.error
+  };
+
+  PEDALS.forEach(pedal => {
+    if (!frame[pedal]) return;
+    row[`${pedal}_raw`] = frame[pedal].raw;
+    row[`${pedal}_value`] = frame[pedal].value;
+    row[`${pedal}_percentage`] = frame[pedal].percentage;
+  });
+
+  return CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',');
+}
+
+// Función para reconstruir una entrada desde una fila CSV
+function csvRowToEntry(values) {
+  const row = {};
+  CSV_COLUMNS.forEach((column, index) => {
+    row[column] = values[index] !== undefined ? values[index] : '';
+  });
+
+  const toNumber = (value) => value === '' ? undefined : Number(value);
+  const entry = {
+    type: row.type,
+    t: toNumber(row.t),
+    timestamp: toNumber(row.timestamp),
+    source: row.source,
+    raw: row.raw === '' ? null : row.raw
+  };
+
+  if (row.type === 'parse-error') {
+    entry.error = row.error;
+    return entry;
+  }
+
+  entry.frame = {};
+  PEDALS.forEach(pedal => {
+    const reading = {};
+    ['raw', 'value', 'percentage'].forEach(key => {
+      const value = toNumber(row[`${pedal}_${key}`]);
+      if (value !== undefined) reading[key] = value;
+    });
+
+    if (Object.keys(reading).length > 0) {
+      if (reading.percentage !== undefined) reading.active = reading.percentage > 0;
+      entry.frame[pedal] = reading;
+    }
+  });
+  if (row.status !== '') entry.frame.status = row.status;
+
+  return entry;
+}
+
+// Función para serializar la cabecera de un archivo de sesión
+function serializeHeader(header, format) {
+  if (format === 'csv') {
+    return `# ${JSON.stringify(header)}\n${CSV_COLUMNS.join(',')}\n`;
+  }
+  return `${JSON.stringify(header)}\n`;
+}
+
+// Función para serializar una entrada en el formato indicado
+function serializeEntry(entry, format) {
+  if (format === 'csv') {
+    return `${entryToCsvRow(entry)}\n`;
+  }
+  return `${JSON.stringify(entry)}\n`;
+}
+
+// Función para leer un archivo de sesión completo ({ header, entries })
+function parseSessionFile(content, format) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  let header = null;
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    try {
+      if (format === 'csv') {
+        if (line.startsWith('#')) {
+          header = JSON.parse(line.slice(1).trim());
+        } else if (!line.startsWith(CSV_COLUMNS[0] + ',')) {
+          entries.push(csvRowToEntry(splitCsvLine(line)));
+        }
+        return;
+      }
+
+      const record = JSON.parse(line);
+      if (record.type === 'session') {
+        header = record;
+      } else {
+        entries.push(record);
+      }
+    } catch (error) {
+      throw new Error(`Línea ${index + 1} inválida: ${error.message}`);
+    }
+  });
+
+  return {
+    header: header,
+    entries: entries.filter(entry => typeof entry.t === 'number' && entry.t >= 0)
+  };
+}
+
+module.exports = {
+  SESSION_FORMAT_VERSION,
+  SESSION_FORMATS,
+  CSV_COLUMNS,
+  createSessionHeader,
+  createFrameEntry,
+  createParseErrorEntry,
+  serializeHeader,
+  serializeEntry,
+  parseSessionFile
+};
@@ -0,0 +1,226 @@
+// Backend/models/statsModel.js
+
+// Pedales con estadísticas
+const STATS_PEDALS = ['throttle', 'brake', 'clutch'];
+
+// Ventanas disponibles (durationMs null = toda la sesión desde el último reinicio)
+const STATS_WINDOWS = {
+  '10s': { durationMs: 10000, description: 'Últimos 10 segundos' },
+  '1m': { durationMs: 60000, description: 'Último minuto' },
+  session: { durationMs: null, description: 'Toda la sesión' }
+};
+
+// Percentiles calculados sobre el porcentaje de cada pedal
+const STATS_PERCENTILES = [5, 25, 50, 75, 95, 99];
+
+// Umbral por defecto para el tiempo por encima (% del pedal)
+const DEFAULT_THRESHOLD = 90;
+
+// Acelerador por encima de este porcentaje con el freno activo cuenta como solapamiento
+const OVERLAP_THROTTLE_THRESHOLD = 5;
+
+// Un hueco mayor entre muestras (desconexión, pausa) no suma tiempo
+const MAX_SAMPLE_GAP_MS = 500;
+
+// Frenadas guardadas con detalle (el contador incluye todas)
+const MAX_APPLICATIONS_LISTED = 50;
+
+// Función para crear el acumulador de un valor (mín., máx., media y desviación típica)
+function createValueAccumulator() {
+  return { count: 0, min: null, max: null, sum: 0, sumSquares: 0 };
+}
+
+// Función para añadir un valor a su acumulador
+function accumulateValue(acc, value) {
+  acc.count++;
+  acc.min = acc.min === null ? value : Math.min(acc.min, value);
+  acc.max = acc.max === null ? value : Math.max(acc.max, value);
+  acc.sum += value;
+  acc.sumSquares += value * value;
+}
+
+// Función para crear el acumulador de un pedal. Los histogramas tienen un cubo por
+// cada 1% del recorrido: permiten calcular percentiles y el tiempo por encima de
+// cualquier umbral sin guardar todas las muestras de la sesión.
+function createPedalAccumulator() {
+  return {
+    percentage: createValueAccumulator(),
+    sampleHistogram: new Array(101).fill(0),
+    timeHistogram: new Array(101).fill(0)
+  };
+}
+
+// Función para crear el acumulador de una ventana o de la sesión
+function createStatsAccumulator(startedAt = Date.now()) {
+  const pedals = {};
+  STATS_PEDALS.forEach(pedal => {
+    pedals[pedal] = createPedalAccumulator();
+  });
+
+  return {
+    startedAt: startedAt,
+    lastTimestamp: null,
+    coveredMs: 0,
+    pedals: pedals,
+    brakeForce: createValueAccumulator(),
+    applications: {
+      count: 0,
+      current: null,
+      recent: []
+    },
+    overlapMs: 0
+  };
+}
+
+// Función para añadir una instantánea de los tres pedales
+// ({ timestamp, throttle: { percentage }, brake: { percentage, force, active }, clutch: { percentage } })
+function accumulateSnapshot(acc, snapshot) {
+  const dt = acc.lastTimestamp !== null ? snapshot.timestamp - acc.lastTimestamp : 0;
+  const dtMs = dt > 0 && dt <= MAX_SAMPLE_GAP_MS ? dt : 0;
+
+  acc.lastTimestamp = snapshot.timestamp;
+  acc.coveredMs += dtMs;
+
+  STATS_PEDALS.forEach(pedal => {
+    const sample = snapshot[pedal];
+    if (!sample || typeof sample.percentage !== 'number') return;
+
+    const pedalAcc = acc.pedals[pedal];
+    const bin = Math.round(Math.max(0, Math.min(100, sample.percentage)));
+
+    accumulateValue(pedalAcc.percentage, sample.percentage);
+    pedalAcc.sampleHistogram[bin]++;
+    pedalAcc.timeHistogram[bin] += dtMs;
+  });
+
+  const brake = snapshot.brake;
+  if (brake && typeof brake.force === 'number') {
+    accumulateValue(acc.brakeForce, brake.force);
+    accumulateApplication(acc.applications, brake, snapshot.timestamp);
+
+    // Solapamiento: freno activo mientras el acelerador sigue pisado
+    const throttle = snapshot.throttle;
+    if (brake.active && throttle && throttle.percentage > OVERLAP_THROTTLE_THRESHOLD) {
+      acc.overlapMs += dtMs;
+    }
+  }
+
+  return acc;
+}
+
+// Función para detectar frenadas (de inactivo a activo) y su fuerza máxima
+function accumulateApplication(applications, brake, timestamp) {
+  if (brake.active) {
+    if (!applications.current) {
+      applications.count++;
+      applications.current = { startedAt: timestamp, endedAt: null, peakForce: 0, peakPercentage: 0 };
+    }
+    applications.current.peakForce = Math.max(applications.current.peakForce, brake.force);
+    applications.current.peakPercentage = Math.max(applications.current.peakPercentage, brake.percentage);
+    applications.current.endedAt = timestamp;
+  } else if (applications.current) {
+    applications.recent.push(applications.current);
+    if (applications.recent.length > MAX_APPLICATIONS_LISTED) applications.recent.shift();
+    applications.current = null;
+  }
+}
+
+// Función para resumir un acumulador de valores
+function summarizeValues(acc, decimals = 2) {
+  if (acc.count === 0) {
+    return { min: null, max: null, mean: null, stdDev: null };
+  }
+
+  const round = (value) => parseFloat(value.toFixed(decimals));
+  const mean = acc.sum / acc.count;
+  const variance = Math.max(0, acc.sumSquares / acc.count - mean * mean);
+
+  return {
+    min: round(acc.min),
+    max: round(acc.max),
+    mean: round(mean),
+    stdDev: round(Math.sqrt(variance))
+  };
+}
+
+// Función para calcular un percentil a partir del histograma de muestras
+function histogramPercentile(histogram, count, percentile) {
+  if (count === 0) return null;
+
+  const target = Math.ceil((percentile / 100) * count);
+  let cumulative = 0;
+  for (let bin = 0; bin < histogram.length; bin++) {
+    cumulative += histogram[bin];
+    if (cumulative >= Math.max(1, target)) return bin;
+  }
+
+  return histogram.length - 1;
+}
+
+// Función para resumir las estadísticas de un pedal
+function summarizePedal(pedalAcc, threshold, coveredMs) {
+  const percentiles = {};
+  STATS_PERCENTILES.forEach(percentile => {
+    percentiles[`p${percentile}`] = histogramPercentile(pedalAcc.sampleHistogram, pedalAcc.percentage.count, percentile);
+  });
+
+  const timeAboveThresholdMs = pedalAcc.timeHistogram
+    .slice(Math.ceil(threshold))
+    .reduce((sum, ms) => sum + ms, 0);
+
+  return {
+    samples: pedalAcc.percentage.count,
+    ...summarizeValues(pedalAcc.percentage),
+    percentiles: percentiles,
+    timeAboveThresholdMs: Math.round(timeAboveThresholdMs),
+    timeAboveThresholdRatio: coveredMs > 0 ? parseFloat((timeAboveThresholdMs / coveredMs).toFixed(3)) : 0
+  };
+}
+
+// Función para resumir una ventana
+function summarizeStats(acc, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const pedals = {};
+  STATS_PEDALS.forEach(pedal => {
+    pedals[pedal] = summarizePedal(acc.pedals[pedal], threshold, acc.coveredMs);
+  });
+
+  // La frenada en curso también se lista
+  const applications = acc.applications.current
+    ? acc.applications.recent.concat({ ...acc.applications.current, inProgress: true })
+    : acc.applications.recent;
+
+  pedals.brake.force = summarizeValues(acc.brakeForce);
+  pedals.brake.applications = {
+    count: acc.applications.count,
+    list: applications.slice(-MAX_APPLICATIONS_LISTED).map(application => ({
+      startedAt: application.startedAt,
+      durationMs: application.endedAt - application.startedAt,
+      peakForce: parseFloat(application.peakForce.toFixed(2)),
+      peakPercentage: application.peakPercentage,
+      inProgress: !!application.inProgress
+    }))
+  };
+
+  return {
+    from: acc.startedAt,
+    to: acc.lastTimestamp,
+    coveredMs: Math.round(acc.coveredMs),
+    threshold: threshold,
+    pedals: pedals,
+    overlap: {
+      throttleBrakeMs: Math.round(acc.overlapMs),
+      ratio: acc.coveredMs > 0 ? parseFloat((acc.overlapMs / acc.coveredMs).toFixed(3)) : 0,
+      throttleThreshold: OVERLAP_THROTTLE_THRESHOLD
+    }
+  };
+}
+
+module.exports = {
+  STATS_PEDALS,
+  STATS_WINDOWS,
+  STATS_PERCENTILES,
+  DEFAULT_THRESHOLD,
+  createStatsAccumulator,
+  accumulateSnapshot,
+  summarizeStats
+};
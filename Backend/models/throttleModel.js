@@ -0,0 +1,235 @@
+// Backend/models/throttleModel.js
+const { evaluateCalibrationCurve } = require('./calibrationModel');
+const { createResponseCurve, validateResponseCurve } = require('./responseCurveModel');
+const { createFilterConfig, createFilterState, validateFilterConfig, filterPedalTravel } = require('./filterModel');
+const {
+  pedalOutputSchema,
+  createPedalData,
+  validatePedalSchema,
+  validatePedalOutput,
+  applyPedalOutput,
+  pickPedalOutputConfig
+} = require('./pedalModel');
+
+const throttleSchema = {
+  // Datos principales del acelerador
+  value: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Valor mapeado para joystick (0-1023)'
+  },
+  percentage: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Porcentaje de recorrido del pedal (0-100%)'
+  },
+  preCurveValue: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Valor (0-1023) antes de aplicar la curva de respuesta'
+  },
+  preCurvePercentage: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Porcentaje antes de aplicar la curva de respuesta'
+  },
+  active: {
+    type: 'boolean',
+    default: false,
+    description: 'Estado de activación del pedal'
+  },
+  rawReading: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda del potenciómetro (ADC 0-1023)'
+  },
+  rawTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) antes de la cadena de filtros'
+  },
+  filteredTravel: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 100,
+    description: 'Recorrido (0-100%) a la salida de la cadena de filtros'
+  },
+
+  // Configuración del acelerador
+  minRaw: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda con el pedal liberado'
+  },
+  maxRaw: {
+    type: 'number',
+    default: 1023,
+    min: 0,
+    max: 1023,
+    description: 'Lectura cruda con el pedal a fondo'
+  },
+  deadZone: {
+    type: 'number',
+    default: 0,
+    min: 0,
+    description: 'Zona muerta inferior (% del recorrido o cuentas del ADC según deadZoneUnit)'
+  },
+  ...pedalOutputSchema,
+  responseCurve: {
+    type: 'object',
+    default: () => createResponseCurve('linear'),
+    description: 'Curva de respuesta de la entrada a la salida del joystick'
+  },
+  filters: {
+    type: 'object',
+    default: () => createFilterConfig(),
+    description: 'Cadena de filtros del recorrido (mediana, EMA, paso bajo, histéresis, límite de velocidad)'
+  },
+  filterState: {
+    type: 'object',
+    default: () => createFilterState(),
+    description: 'Estado interno de la cadena de filtros'
+  },
+  calibrationPoints: {
+    type: 'object',
+    default: () => [],
+    description: 'Puntos de referencia capturados (lectura cruda → % de recorrido)'
+  },
+  calibrationCurve: {
+    type: 'object',
+    default: null,
+    description: 'Curva de calibración multipunto activa (null = rango minRaw-maxRaw)'
+  },
+
+  // Metadatos
+  timestamp: {
+    type: 'number',
+    default: () => Date.now(),
+    description: 'Timestamp de la última actualización'
+  },
+  sensorType: {
+    type: 'string',
+    default: 'Potenciómetro',
+    description: 'Tipo de sensor utilizado'
+  }
+};
+
+// Cuentas del ADC que corresponden al recorrido completo (unidades de las zonas muertas)
+function getThrottleUnitSpan(data) {
+  return data.maxRaw - data.minRaw;
+}
+
+// Función para crear una instancia del esquema con valores por defecto
+function createThrottleData(initialData = {}) {
+  return createPedalData(throttleSchema, initialData);
+}
+
+// Función para validar datos según el esquema
+function validateThrottleData(data) {
+  const errors = validatePedalSchema(throttleSchema, data);
+
+  // Validar curva de respuesta
+  if (data.responseCurve !== undefined) {
+    errors.push(...validateResponseCurve(data.responseCurve).errors);
+  }
+
+  // Validar cadena de filtros
+  if (data.filters !== undefined) {
+    errors.push(...validateFilterConfig(data.filters).errors);
+  }
+
+  // Validar que el rango de calibración sea coherente
+  if (data.minRaw >= data.maxRaw) {
+    errors.push(`minRaw: value ${data.minRaw} must be lower than maxRaw ${data.maxRaw}`);
+  }
+
+  // Validar zonas muertas y rango de salida
+  errors.push(...validatePedalOutput(data, getThrottleUnitSpan(data)));
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Función para actualizar datos del acelerador
+function updateThrottleData(currentData, newReading) {
+  // Crear copia de los datos actuales
+  const updatedData = { ...currentData };
+
+  // Actualizar lectura cruda
+  updatedData.rawReading = newReading;
+
+  // Calcular recorrido (0-100%) con la curva multipunto o dentro del rango minRaw-maxRaw
+  let travel;
+  if (updatedData.calibrationCurve) {
+    travel = evaluateCalibrationCurve(updatedData.calibrationCurve, newReading);
+  } else {
+    const span = updatedData.maxRaw - updatedData.minRaw;
+    travel = span > 0 ? ((newReading - updatedData.minRaw) / span) * 100 : 0;
+  }
+  travel = Math.max(0, Math.min(100, travel));
+
+  // Filtrar el recorrido (se conservan el valor sin filtrar y el filtrado para la telemetría)
+  travel = filterPedalTravel(updatedData, travel);
+
+  // Aplicar zonas muertas, saturación, curva de respuesta, inversión y rango de salida
+  travel = applyPedalOutput(updatedData, travel, getThrottleUnitSpan(updatedData));
+
+  // Actualizar timestamp
+  updatedData.timestamp = Date.now();
+
+  return updatedData;
+}
+
+// Función para obtener solo los datos de telemetría (sin configuración)
+function getThrottleTelemetryData(data) {
+  return {
+    value: data.value,
+    percentage: data.percentage,
+    preCurveValue: data.preCurveValue,
+    preCurvePercentage: data.preCurvePercentage,
+    rawReading: data.rawReading,
+    rawTravel: data.rawTravel,
+    filteredTravel: data.filteredTravel,
+    active: data.active,
+    timestamp: data.timestamp
+  };
+}
+
+// Función para obtener solo la configuración (lo que se guarda en los perfiles)
+function getThrottleConfigData(data) {
+  return {
+    minRaw: data.minRaw,
+    maxRaw: data.maxRaw,
+    ...pickPedalOutputConfig(data),
+    responseCurve: data.responseCurve,
+    filters: data.filters,
+    calibrationPoints: data.calibrationPoints,
+    calibrationCurve: data.calibrationCurve
+  };
+}
+
+module.exports = {
+  throttleSchema,
+  createThrottleData,
+  validateThrottleData,
+  updateThrottleData,
+  getThrottleTelemetryData,
+  getThrottleConfigData
+};
@@ -3,6 +3,28 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const brakeController = require('../controllers/brakeController');
+const { forceToRaw } = require('../models/calibrationModel');
+
+// ====================================================================================================================
+// MIDDLEWARE DE VALIDACIÓN
+// ====================================================================================================================
+
+// Middleware para validar parámetros de configuración. Las zonas muertas las valida el controlador con el
+// modelo (como máximo el 50% del recorrido, en kg respecto a la fuerza máxima que quede configurada)
+const validateConfigParams = (req, res, next) => {
+  const { maxForce } = req.body;
+  
+  if (maxForce !== undefined) {
+    if (typeof maxForce !== 'number' || maxForce <= 0 || maxForce > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxForce debe ser un número entre 0.1 y 50 kg'
+      });
+    }
+  }
+  
+  next();
+};
 
 // ====================================================================================================================
 // RUTAS DE DATOS DEL FRENO
@@ -33,158 +55,6 @@ router.get('/health', asyncHandler(async (req, res) => {
   await brakeController.getBrakeHealth(req, res);
 }));
 
-// ====================================================================================================================
-// RUTAS DE CONEXIÓN Y ARDUINO
-// ====================================================================================================================
-
-// POST /api/brake/connect - Conectar a un puerto específico
-router.post('/connect', asyncHandler(async (req, res) => {
-  try {
-    const { port, baudRate = 9600 } = req.body;
-    
-    if (!port) {
-      return res.status(400).json({
-        success: false,
-        error: 'Se requiere especificar el puerto'
-      });
-    }
-
-    // Desconectar si ya hay una conexión
-    if (brakeController.arduino.isPortConnected()) {
-      brakeController.arduino.disconnect();
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-
-    // Detener simulación si está activa
-    if (brakeController.isSimulating) {
-      brakeController.isSimulating = false;
-      if (brakeController.simulationInterval) {
-        clearInterval(brakeController.simulationInterval);
-        brakeController.simulationInterval = null;
-      }
-    }
-
-    // Conectar al puerto especificado
-    const connected = await brakeController.arduino.connectToPort(port, baudRate);
-    brakeController.isArduinoConnected = connected;
-
-    if (connected) {
-      res.json({
-        success: true,
-        message: `Conectado exitosamente al puerto ${port}`,
-        data: {
-          port: port,
-          baudRate: baudRate,
-          isConnected: true
-        }
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: `No se pudo conectar al puerto ${port}`,
-        data: {
-          port: port,
-          isConnected: false
-        }
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Error conectando al puerto especificado',
-      details: error.message
-    });
-  }
-}));
-
-// POST /api/brake/disconnect - Desconectar Arduino
-router.post('/disconnect', asyncHandler(async (req, res) => {
-  try {
-    if (brakeController.arduino.isPortConnected()) {
-      brakeController.arduino.disconnect();
-      brakeController.isArduinoConnected = false;
-      
-      // Iniciar simulación como fallback
-      await brakeController.startSimulation();
-      
-      res.json({
-        success: true,
-        message: 'Arduino desconectado - Modo simulación activado',
-        data: {
-          isArduinoConnected: false,
-          isSimulating: true
-        }
-      });
-    } else {
-      res.json({
-        success: true,
-        message: 'No había conexión activa',
-        data: {
-          isArduinoConnected: false,
-          isSimulating: brakeController.isSimulating
-        }
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Error desconectando Arduino',
-      details: error.message
-    });
-  }
-}));
-
-// GET /api/brake/ports - Obtener información de puertos serie disponibles
-router.get('/ports', asyncHandler(async (req, res) => {
-  try {
-    const ports = await brakeController.arduino.getPortsList();
-    
-    res.json({
-      success: true,
-      data: {
-        ports: ports,
-        total: ports.length,
-        arduinoLikePorts: ports.filter(p => p.isArduinoLike).length,
-        currentConnection: {
-          isConnected: brakeController.isArduinoConnected,
-          isPortOpen: brakeController.arduino.isPortConnected()
-        }
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Error obteniendo información de puertos',
-      details: error.message
-    });
-  }
-}));
-
-// GET /api/brake/connection - Estado de conexión detallado
-router.get('/connection', asyncHandler(async (req, res) => {
-  try {
-    const currentData = brakeController.getAllCurrentData();
-    
-    res.json({
-      success: true,
-      data: {
-        isArduinoConnected: brakeController.isArduinoConnected,
-        isSimulating: brakeController.isSimulating,
-        connectionStatus: brakeController.arduino?.isPortConnected() ? 'connected' : 'disconnected',
-        dataSource: brakeController.isArduinoConnected ? 'arduino' : 'simulation',
-        lastDataUpdate: currentData.timestamp || Date.now(),
-        hasArduinoData: !!brakeController.fullPedalData
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Error obteniendo estado de conexión',
-      details: error.message
-    });
-  }
-}));
-
 // ====================================================================================================================
 // RUTAS DE CONTROL Y CONFIGURACIÓN
 // ====================================================================================================================
@@ -195,7 +65,7 @@ router.put('/update', asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/brake/config - Configurar parámetros del freno
-router.put('/config', asyncHandler(async (req, res) => {
+router.put('/config', validateConfigParams, asyncHandler(async (req, res) => {
   await brakeController.configureBrake(req, res);
 }));
 
@@ -205,50 +75,44 @@ router.post('/reset', asyncHandler(async (req, res) => {
 }));
 
 // ====================================================================================================================
-// RUTAS DE SIMULACIÓN
+// RUTAS DE CALIBRACIÓN
 // ====================================================================================================================
 
-// POST /api/brake/simulation/start - Iniciar simulación (solo si Arduino no está conectado)
-router.post('/simulation/start', asyncHandler(async (req, res) => {
-  await brakeController.startSimulation(req, res);
+// GET /api/brake/calibration - Obtener calibración actual de la celda de carga
+router.get('/calibration', asyncHandler(async (req, res) => {
+  await brakeController.getCalibration(req, res);
 }));
 
-// POST /api/brake/simulation/stop - Detener simulación
-router.post('/simulation/stop', asyncHandler(async (req, res) => {
-  await brakeController.stopSimulation(req, res);
+// POST /api/brake/calibration/tare - Calibrar la tara con el pedal sin carga
+router.post('/calibration/tare', asyncHandler(async (req, res) => {
+  await brakeController.calibrateTare(req, res);
 }));
 
-// ====================================================================================================================
-// MIDDLEWARE DE VALIDACIÓN
-// ====================================================================================================================
+// POST /api/brake/calibration/span - Calibrar el factor de escala con una masa de referencia
+router.post('/calibration/span', asyncHandler(async (req, res) => {
+  await brakeController.calibrateSpan(req, res);
+}));
 
-// Middleware para validar parámetros de configuración
-const validateConfigParams = (req, res, next) => {
-  const { maxForce, deadZone } = req.body;
-  
-  if (maxForce !== undefined) {
-    if (typeof maxForce !== 'number' || maxForce <= 0 || maxForce > 50) {
-      return res.status(400).json({
-        success: false,
-        error: 'maxForce debe ser un número entre 0.1 y 50 kg'
-      });
-    }
-  }
-  
-  if (deadZone !== undefined) {
-    if (typeof deadZone !== 'number' || deadZone < 0 || deadZone >= 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'deadZone debe ser un número entre 0 y 10 kg'
-      });
-    }
-  }
-  
-  next();
-};
+// POST /api/brake/calibration/points - Capturar un punto de referencia (raw opcional: si falta se promedian lecturas en vivo;
+// son cuentas del HX711 o, con firmware que no envía la lectura cruda, el valor 0-1023)
+router.post('/calibration/points', asyncHandler(async (req, res) => {
+  await brakeController.calibration.addPoint(req, res);
+}));
+
+// DELETE /api/brake/calibration/points - Eliminar los puntos capturados
+router.delete('/calibration/points', asyncHandler(async (req, res) => {
+  await brakeController.calibration.clearPoints(req, res);
+}));
 
-// Aplicar validación a la ruta de configuración
-router.put('/config', validateConfigParams);
+// POST /api/brake/calibration/fit - Ajustar curva (linear, polynomial2, polynomial3, piecewise) y activarla
+router.post('/calibration/fit', asyncHandler(async (req, res) => {
+  await brakeController.calibration.fit(req, res);
+}));
+
+// DELETE /api/brake/calibration/curve - Desactivar la curva multipunto
+router.delete('/calibration/curve', asyncHandler(async (req, res) => {
+  await brakeController.calibration.removeCurve(req, res);
+}));
 
 // ====================================================================================================================
 // RUTAS DE UTILIDAD Y TESTING
@@ -274,8 +138,9 @@ router.post('/test', asyncHandler(async (req, res) => {
       });
     }
     
-    // Simular lectura correspondiente a la fuerza especificada
-    const simulatedReading = 8388607 + (force * 1000000);
+    // Simular lectura correspondiente a la fuerza especificada según la calibración actual
+    const { tareOffset, scaleFactor } = brakeController.brakeData;
+    const simulatedReading = forceToRaw(force, tareOffset, scaleFactor);
     
     // Actualizar datos
     const updatedData = brakeController.updateInternalData(simulatedReading);
@@ -316,21 +181,22 @@ router.get('/info', (req, res) => {
         'GET /full': 'Obtener datos completos incluyendo configuración',
         'GET /pedals': 'Obtener datos de todos los pedales (solo Arduino)',
         'GET /stream': 'Stream de datos en tiempo real',
+        'WS /ws/telemetry': 'WebSocket: suscripción al canal "brake" (rate en ms u "on-change") y comandos brake.*',
         'GET /health': 'Estado de salud del freno',
         
-        // Conexión y Arduino
-        'POST /reconnect': 'Reconectar Arduino manualmente',
-        'GET /ports': 'Listar puertos serie disponibles',
-        'GET /connection': 'Estado detallado de conexión',
-        
         // Configuración
         'PUT /update': 'Actualizar datos manualmente (solo simulación)',
         'PUT /config': 'Configurar parámetros',
         'POST /reset': 'Resetear datos',
         
-        // Simulación
-        'POST /simulation/start': 'Iniciar simulación',
-        'POST /simulation/stop': 'Detener simulación',
+        // Calibración
+        'GET /calibration': 'Obtener calibración de la celda de carga',
+        'POST /calibration/tare': 'Calibrar tara (pedal sin carga)',
+        'POST /calibration/span': 'Calibrar escala con masa de referencia',
+        'POST /calibration/points': 'Capturar punto de referencia multipunto',
+        'DELETE /calibration/points': 'Eliminar puntos capturados',
+        'POST /calibration/fit': 'Ajustar curva de calibración y activarla',
+        'DELETE /calibration/curve': 'Desactivar curva de calibración',
         
         // Utilidades
         'POST /test': 'Prueba con fuerza específica (solo simulación)',
@@ -340,6 +206,8 @@ router.get('/info', (req, res) => {
         brake: {
           value: 'number (0-1023) - Valor para joystick',
           percentage: 'number (0-100) - Porcentaje de presión',
+          preCurveValue: 'number (0-1023) - Valor antes de la curva de respuesta',
+          preCurvePercentage: 'number (0-100) - Porcentaje antes de la curva de respuesta',
           force: 'number (≥0) - Fuerza en kilogramos',
           active: 'boolean - Estado de activación',
           timestamp: 'number - Timestamp de última actualización'
@@ -353,7 +221,14 @@ router.get('/info', (req, res) => {
       },
       configSchema: {
         maxForce: 'number (0.1-50) - Fuerza máxima en kg',
-        deadZone: 'number (0-10) - Zona muerta en kg'
+        deadZone: 'number (hasta el 50% de maxForce en kg o 0-50%) - Zona muerta inferior',
+        upperDeadZone: 'number (hasta el 50% de maxForce en kg o 0-50%) - Zona muerta superior (tramo final que ya da la salida máxima)',
+        deadZoneUnit: "'units' (kg, por defecto) | 'percent' - Unidad de las zonas muertas",
+        saturation: 'number (1-100) - Recorrido útil (%) a partir del cual la salida es máxima',
+        inverted: 'boolean - Invertir el eje de salida',
+        outputMin: 'number (0-100) - Salida mínima del eje en porcentaje',
+        outputMax: 'number (0-100) - Salida máxima del eje en porcentaje',
+        responseCurve: 'object - Curva de respuesta: { type: linear | gamma (exponent) | s-curve (strength) | custom (points[{input, output}]) }'
       },
       features: {
         arduinoSupport: true,
@@ -374,13 +249,14 @@ router.get('/debug', asyncHandler(async (req, res) => {
       controller: {
         isArduinoConnected: brakeController.isArduinoConnected,
         isSimulating: brakeController.isSimulating,
+        dataSource: brakeController.hub.source,
         lastDisplayedPercentage: brakeController.lastDisplayedPercentage
       },
       brakeData: brakeController.brakeData,
       fullPedalData: brakeController.fullPedalData || null,
       arduino: {
-        isPortConnected: brakeController.arduino?.isPortConnected() || false,
-        connectionAttempts: brakeController.arduino?.connectionAttempts || 0
+        isPortConnected: brakeController.hub.isPortConnected(),
+        connectionAttempts: brakeController.hub.arduino.connectionAttempts
       },
       system: {
         nodeVersion: process.version,
@@ -0,0 +1,181 @@
+// Backend/routes/clutchRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const clutchController = require('../controllers/clutchController');
+
+// ====================================================================================================================
+// RUTAS DE DATOS DEL EMBRAGUE
+// ====================================================================================================================
+
+// GET /api/clutch - Obtener datos actuales del embrague (solo telemetría)
+router.get('/', asyncHandler(async (req, res) => {
+  await clutchController.getClutchData(req, res);
+}));
+
+// GET /api/clutch/full - Obtener datos completos del embrague (incluyendo configuración)
+router.get('/full', asyncHandler(async (req, res) => {
+  await clutchController.getFullClutchData(req, res);
+}));
+
+// GET /api/clutch/stream - Stream de datos en tiempo real (Server-Sent Events)
+router.get('/stream', (req, res) => {
+  clutchController.streamClutchData(req, res);
+});
+
+// GET /api/clutch/health - Obtener estado de salud del embrague
+router.get('/health', asyncHandler(async (req, res) => {
+  await clutchController.getClutchHealth(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE CONTROL Y CONFIGURACIÓN
+// ====================================================================================================================
+
+// PUT /api/clutch/update - Actualizar datos del embrague manualmente (solo sin Arduino)
+router.put('/update', asyncHandler(async (req, res) => {
+  await clutchController.updateClutch(req, res);
+}));
+
+// PUT /api/clutch/config - Configurar parámetros del embrague
+router.put('/config', asyncHandler(async (req, res) => {
+  await clutchController.configureClutch(req, res);
+}));
+
+// POST /api/clutch/reset - Resetear datos del embrague
+router.post('/reset', asyncHandler(async (req, res) => {
+  await clutchController.resetClutch(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE CALIBRACIÓN
+// ====================================================================================================================
+
+// GET /api/clutch/calibration - Obtener puntos capturados y curva activa
+router.get('/calibration', asyncHandler(async (req, res) => {
+  await clutchController.calibration.getCurve(req, res);
+}));
+
+// POST /api/clutch/calibration/points - Capturar un punto de referencia (raw opcional: si falta se promedian lecturas en vivo)
+router.post('/calibration/points', asyncHandler(async (req, res) => {
+  await clutchController.calibration.addPoint(req, res);
+}));
+
+// DELETE /api/clutch/calibration/points - Eliminar los puntos capturados
+router.delete('/calibration/points', asyncHandler(async (req, res) => {
+  await clutchController.calibration.clearPoints(req, res);
+}));
+
+// POST /api/clutch/calibration/fit - Ajustar curva (linear, polynomial2, polynomial3, piecewise) y activarla
+router.post('/calibration/fit', asyncHandler(async (req, res) => {
+  await clutchController.calibration.fit(req, res);
+}));
+
+// DELETE /api/clutch/calibration/curve - Desactivar la curva multipunto
+router.delete('/calibration/curve', asyncHandler(async (req, res) => {
+  await clutchController.calibration.removeCurve(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE UTILIDAD Y TESTING
+// ====================================================================================================================
+
+// POST /api/clutch/test - Endpoint para pruebas rápidas
+router.post('/test', asyncHandler(async (req, res) => {
+  try {
+    // Solo permitir pruebas sin Arduino
+    if (clutchController.isArduinoConnected) {
+      return res.status(400).json({
+        success: false,
+        error: 'Las pruebas manuales no están disponibles con Arduino conectado. Use los controles físicos.'
+      });
+    }
+
+    const { percentage } = req.body;
+
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'percentage debe ser un número entre 0 y 100'
+      });
+    }
+
+    // Simular lectura del potenciómetro correspondiente al recorrido especificado
+    const { minRaw, maxRaw } = clutchController.clutchData;
+    const simulatedReading = Math.round(minRaw + (percentage / 100) * (maxRaw - minRaw));
+
+    const updatedData = clutchController.updateInternalData(simulatedReading);
+
+    res.json({
+      success: true,
+      message: `Prueba con recorrido de ${percentage}% aplicada (modo simulación)`,
+      data: {
+        testPercentage: percentage,
+        simulatedReading: simulatedReading,
+        result: updatedData
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error en prueba del embrague',
+      details: error.message
+    });
+  }
+}));
+
+// GET /api/clutch/info - Información sobre el esquema y capacidades
+router.get('/info', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      name: 'Clutch Pedal API',
+      version: '1.0.0',
+      description: 'API para gestión de datos del pedal de embrague con punto de mordida',
+      currentMode: clutchController.isArduinoConnected ? 'Arduino Real-Time' : 'Simulation Mode',
+      endpoints: {
+        'GET /': 'Obtener datos actuales del embrague',
+        'GET /full': 'Obtener datos completos incluyendo configuración',
+        'GET /stream': 'Stream de datos en tiempo real',
+        'GET /health': 'Estado de salud del embrague',
+        'PUT /update': 'Actualizar datos manualmente (solo simulación)',
+        'PUT /config': 'Configurar parámetros',
+        'POST /reset': 'Resetear datos',
+        'GET /calibration': 'Obtener calibración multipunto',
+        'POST /calibration/points': 'Capturar punto de referencia multipunto',
+        'DELETE /calibration/points': 'Eliminar puntos capturados',
+        'POST /calibration/fit': 'Ajustar curva de calibración y activarla',
+        'DELETE /calibration/curve': 'Desactivar curva de calibración',
+        'POST /test': 'Prueba con recorrido específico (solo simulación)',
+        'GET /info': 'Información de la API'
+      },
+      dataSchema: {
+        clutch: {
+          value: 'number (0-1023) - Valor para joystick',
+          percentage: 'number (0-100) - Porcentaje de recorrido',
+          preCurveValue: 'number (0-1023) - Valor antes de la curva de respuesta',
+          preCurvePercentage: 'number (0-100) - Porcentaje antes de la curva de respuesta',
+          engaged: 'number (0-1) - Fracción de acoplamiento (1 = acoplado)',
+          active: 'boolean - Estado de activación',
+          timestamp: 'number - Timestamp de última actualización'
+        }
+      },
+      configSchema: {
+        minRaw: 'number (0-1023) - Lectura cruda con el pedal liberado',
+        maxRaw: 'number (0-1023) - Lectura cruda con el pedal a fondo',
+        deadZone: 'number (0-50% o cuentas del ADC) - Zona muerta inferior',
+        upperDeadZone: 'number (0-50% o cuentas del ADC) - Zona muerta superior (tramo final que ya da la salida máxima)',
+        deadZoneUnit: "'percent' (por defecto) | 'units' (cuentas del ADC) - Unidad de las zonas muertas",
+        saturation: 'number (1-100) - Recorrido útil (%) a partir del cual la salida es máxima',
+        inverted: 'boolean - Invertir el eje de salida',
+        outputMin: 'number (0-100) - Salida mínima del eje en porcentaje',
+        outputMax: 'number (0-100) - Salida máxima del eje en porcentaje',
+        responseCurve: 'object - Curva de respuesta: { type: linear | gamma (exponent) | s-curve (strength) | custom (points[{input, output}]) }',
+        bitePoint: 'number (0-100) - Punto de mordida en porcentaje del recorrido',
+        engagementRange: 'number (0-100) - Ancho de la zona de acoplamiento en porcentaje'
+      }
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+// Backend/routes/deviceRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const deviceController = require('../controllers/deviceController');
+
+// ====================================================================================================================
+// RUTAS DE CONEXIÓN Y ARDUINO
+// ====================================================================================================================
+
+// POST /api/device/connect - Conectar a un puerto específico
+router.post('/connect', asyncHandler(async (req, res) => {
+  await deviceController.connect(req, res);
+}));
+
+// POST /api/device/disconnect - Desconectar Arduino
+router.post('/disconnect', asyncHandler(async (req, res) => {
+  await deviceController.disconnect(req, res);
+}));
+
+// POST /api/device/reconnect - Reconectar Arduino manualmente
+router.post('/reconnect', asyncHandler(async (req, res) => {
+  await deviceController.reconnect(req, res);
+}));
+
+// GET /api/device/ports - Obtener información de puertos serie disponibles
+router.get('/ports', asyncHandler(async (req, res) => {
+  await deviceController.getPorts(req, res);
+}));
+
+// GET /api/device/connection - Estado de conexión detallado
+router.get('/connection', asyncHandler(async (req, res) => {
+  await deviceController.getConnection(req, res);
+}));
+
+// GET /api/device/commands - Comandos aceptados por el firmware
+router.get('/commands', asyncHandler(async (req, res) => {
+  await deviceController.getCommands(req, res);
+}));
+
+// POST /api/device/command - Enviar un comando y esperar su ACK/NACK
+router.post('/command', asyncHandler(async (req, res) => {
+  await deviceController.sendCommand(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE DISPOSITIVOS (varias placas a la vez)
+// ====================================================================================================================
+
+// GET /api/device/devices - Placas registradas, canales asignados y salud
+router.get('/devices', asyncHandler(async (req, res) => {
+  await deviceController.getDevices(req, res);
+}));
+
+// POST /api/device/devices - Registrar y conectar una placa ({ id, path, baudRate, channels })
+router.post('/devices', asyncHandler(async (req, res) => {
+  await deviceController.addDevice(req, res);
+}));
+
+// PUT /api/device/devices/:id - Cambiar los pedales que aporta una placa ({ channels })
+router.put('/devices/:id', asyncHandler(async (req, res) => {
+  await deviceController.updateDevice(req, res);
+}));
+
+// DELETE /api/device/devices/:id - Desconectar y eliminar una placa
+router.delete('/devices/:id', asyncHandler(async (req, res) => {
+  await deviceController.removeDevice(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE FUENTES DE DATOS (arduino, simulation, replay, manual)
+// ====================================================================================================================
+
+// GET /api/device/sources - Fuente activa, política de cambio automático e historial
+router.get('/sources', asyncHandler(async (req, res) => {
+  await deviceController.getSources(req, res);
+}));
+
+// POST /api/device/source - Elegir la fuente ({ source: auto | arduino | simulation | manual })
+router.post('/source', asyncHandler(async (req, res) => {
+  await deviceController.selectSource(req, res);
+}));
+
+// PUT /api/device/source/manual - Fijar los porcentajes de la fuente manual ({ throttle, brake, clutch })
+router.put('/source/manual', asyncHandler(async (req, res) => {
+  await deviceController.setManualValues(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE SIMULACIÓN
+// ====================================================================================================================
+
+// GET /api/device/simulation/scenarios - Escenarios predefinidos (carpeta scenarios/)
+router.get('/simulation/scenarios', asyncHandler(async (req, res) => {
+  await deviceController.getScenarios(req, res);
+}));
+
+// POST /api/device/simulation/start - Iniciar simulación (solo si Arduino no está conectado)
+// Body opcional: { scenario: 'lap' | 'heel-toe-downshift' | 'panic-stop' | { tracks }, loop }
+router.post('/simulation/start', asyncHandler(async (req, res) => {
+  await deviceController.startSimulation(req, res);
+}));
+
+// POST /api/device/simulation/stop - Detener simulación
+router.post('/simulation/stop', asyncHandler(async (req, res) => {
+  await deviceController.stopSimulation(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DEL EMULADOR (solo con PEDAL_SERIAL_MODE=emulator)
+// ====================================================================================================================
+
+// GET /api/device/emulator - Estado del dispositivo virtual
+router.get('/emulator', asyncHandler(async (req, res) => {
+  await deviceController.getEmulator(req, res);
+}));
+
+// PUT /api/device/emulator/waveforms - Formas de onda de los pedales ({ brake: { type: 'sine', min, max, periodMs } })
+router.put('/emulator/waveforms', asyncHandler(async (req, res) => {
+  await deviceController.setEmulatorWaveforms(req, res);
+}));
+
+// POST /api/device/emulator/faults - Inyectar un fallo ({ type: garbage | partial | disconnect | baud-mismatch | silence })
+router.post('/emulator/faults', asyncHandler(async (req, res) => {
+  await deviceController.injectEmulatorFault(req, res);
+}));
+
+// DELETE /api/device/emulator/faults - Cancelar los fallos pendientes y en curso
+router.delete('/emulator/faults', asyncHandler(async (req, res) => {
+  await deviceController.clearEmulatorFaults(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Backend/routes/profileRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const profileController = require('../controllers/profileController');
+
+// ====================================================================================================================
+// RUTAS DE PERFILES DE CONFIGURACIÓN
+// ====================================================================================================================
+
+// GET /api/profiles - Listar perfiles guardados
+router.get('/', asyncHandler(async (req, res) => {
+  await profileController.listProfiles(req, res);
+}));
+
+// POST /api/profiles - Crear un perfil con la configuración actual
+router.post('/', asyncHandler(async (req, res) => {
+  await profileController.createProfile(req, res);
+}));
+
+// POST /api/profiles/import - Importar un documento de perfil (migrando versiones anteriores)
+router.post('/import', asyncHandler(async (req, res) => {
+  await profileController.importProfile(req, res);
+}));
+
+// GET /api/profiles/active - Obtener el perfil activo
+router.get('/active', asyncHandler(async (req, res) => {
+  await profileController.getActiveProfile(req, res);
+}));
+
+// GET /api/profiles/:name - Obtener un perfil
+router.get('/:name', asyncHandler(async (req, res) => {
+  await profileController.getProfile(req, res);
+}));
+
+// PUT /api/profiles/:name - Guardar la configuración actual en un perfil
+router.put('/:name', asyncHandler(async (req, res) => {
+  await profileController.saveProfile(req, res);
+}));
+
+// DELETE /api/profiles/:name - Eliminar un perfil
+router.delete('/:name', asyncHandler(async (req, res) => {
+  await profileController.deleteProfile(req, res);
+}));
+
+// POST /api/profiles/:name/load - Cargar un perfil y marcarlo como activo
+router.post('/:name/load', asyncHandler(async (req, res) => {
+  await profileController.loadProfile(req, res);
+}));
+
+// POST /api/profiles/:name/duplicate - Duplicar un perfil
+router.post('/:name/duplicate', asyncHandler(async (req, res) => {
+  await profileController.duplicateProfile(req, res);
+}));
+
+// GET /api/profiles/:name/export - Exportar un perfil como documento versionado
+router.get('/:name/export', asyncHandler(async (req, res) => {
+  await profileController.exportProfile(req, res);
+}));
+
+module.exports = router;
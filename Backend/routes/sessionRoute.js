@@ -0,0 +1,55 @@
+// Backend/routes/sessionRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const sessionController = require('../controllers/sessionController');
+
+// GET /api/session - Estado de grabación y reproducción
+router.get('/', asyncHandler(async (req, res) => {
+  await sessionController.getStatus(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE GRABACIÓN
+// ====================================================================================================================
+
+// POST /api/session/record/start - Empezar a grabar tramas en NDJSON o CSV
+router.post('/record/start', asyncHandler(async (req, res) => {
+  await sessionController.startRecording(req, res);
+}));
+
+// POST /api/session/record/stop - Detener la grabación
+router.post('/record/stop', asyncHandler(async (req, res) => {
+  await sessionController.stopRecording(req, res);
+}));
+
+// GET /api/session/recordings - Listar grabaciones
+router.get('/recordings', asyncHandler(async (req, res) => {
+  await sessionController.listRecordings(req, res);
+}));
+
+// GET /api/session/recordings/:file - Descargar una grabación
+router.get('/recordings/:file', asyncHandler(async (req, res) => {
+  await sessionController.downloadRecording(req, res);
+}));
+
+// DELETE /api/session/recordings/:file - Eliminar una grabación
+router.delete('/recordings/:file', asyncHandler(async (req, res) => {
+  await sessionController.deleteRecording(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE REPRODUCCIÓN
+// ====================================================================================================================
+
+// POST /api/session/replay/start - Reproducir una grabación como fuente de datos
+router.post('/replay/start', asyncHandler(async (req, res) => {
+  await sessionController.startReplay(req, res);
+}));
+
+// POST /api/session/replay/stop - Detener la reproducción
+router.post('/replay/stop', asyncHandler(async (req, res) => {
+  await sessionController.stopReplay(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// Backend/routes/statsRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const statsController = require('../controllers/statsController');
+
+// ====================================================================================================================
+// RUTAS DE ESTADÍSTICAS
+// ====================================================================================================================
+
+// GET /api/stats - Estadísticas de los pedales (?window=10s|1m|session, ?threshold=0-100 para el tiempo por encima)
+router.get('/', asyncHandler(async (req, res) => {
+  await statsController.getStats(req, res);
+}));
+
+// GET /api/stats/windows - Ventanas disponibles
+router.get('/windows', asyncHandler(async (req, res) => {
+  await statsController.getWindows(req, res);
+}));
+
+// POST /api/stats/reset - Empezar una sesión de estadísticas nueva
+router.post('/reset', asyncHandler(async (req, res) => {
+  await statsController.resetStats(req, res);
+}));
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// Backend/routes/telemetrySocketRoute.js
+const telemetrySocket = require('../services/telemetrySocket');
+const pedalHub = require('../services/pedalHub');
+const brakeController = require('../controllers/brakeController');
+const throttleController = require('../controllers/throttleController');
+const clutchController = require('../controllers/clutchController');
+const profileController = require('../controllers/profileController');
+
+// ====================================================================================================================
+// CANALES DE TELEMETRÍA (ws://host/ws/telemetry)
+// ====================================================================================================================
+
+// brake / throttle / clutch - Telemetría procesada de cada pedal
+telemetrySocket.registerChannel('brake', () => brakeController.getCurrentData());
+telemetrySocket.registerChannel('throttle', () => throttleController.getCurrentData());
+telemetrySocket.registerChannel('clutch', () => clutchController.getCurrentData());
+
+// frame - Última trama publicada por el hub, tal como llegó de la fuente
+telemetrySocket.registerChannel('frame', () => pedalHub.lastFrame || {});
+
+// status - Fuente de datos y estado de conexión
+telemetrySocket.registerChannel('status', () => {
+  const { lastDataUpdate, ...status } = pedalHub.getConnectionStatus();
+  return status;
+});
+
+// ====================================================================================================================
+// COMANDOS (mismo comportamiento y respuesta que las rutas HTTP equivalentes)
+// ====================================================================================================================
+
+// brake.config / brake.reset - PUT /api/brake/config, POST /api/brake/reset
+telemetrySocket.registerCommand('brake.config', telemetrySocket.fromHandler((req, res) => brakeController.configureBrake(req, res)));
+telemetrySocket.registerCommand('brake.reset', telemetrySocket.fromHandler((req, res) => brakeController.resetBrake(req, res)));
+
+// brake.tare / brake.span - POST /api/brake/calibration/tare, POST /api/brake/calibration/span
+telemetrySocket.registerCommand('brake.tare', telemetrySocket.fromHandler((req, res) => brakeController.calibrateTare(req, res)));
+telemetrySocket.registerCommand('brake.span', telemetrySocket.fromHandler((req, res) => brakeController.calibrateSpan(req, res)));
+
+// throttle.config / throttle.reset - PUT /api/throttle/config, POST /api/throttle/reset
+telemetrySocket.registerCommand('throttle.config', telemetrySocket.fromHandler((req, res) => throttleController.configureThrottle(req, res)));
+telemetrySocket.registerCommand('throttle.reset', telemetrySocket.fromHandler((req, res) => throttleController.resetThrottle(req, res)));
+
+// clutch.config / clutch.reset - PUT /api/clutch/config, POST /api/clutch/reset
+telemetrySocket.registerCommand('clutch.config', telemetrySocket.fromHandler((req, res) => clutchController.configureClutch(req, res)));
+telemetrySocket.registerCommand('clutch.reset', telemetrySocket.fromHandler((req, res) => clutchController.resetClutch(req, res)));
+
+// profile.load - POST /api/profiles/:name/load ({ name })
+telemetrySocket.registerCommand('profile.load', telemetrySocket.fromHandler(
+  (req, res) => profileController.loadProfile(req, res),
+  (params) => ({ params: { name: params.name } })
+));
+
+module.exports = telemetrySocket;
@@ -0,0 +1,178 @@
+// Backend/routes/throttleRoute.js
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const throttleController = require('../controllers/throttleController');
+
+// ====================================================================================================================
+// RUTAS DE DATOS DEL ACELERADOR
+// ====================================================================================================================
+
+// GET /api/throttle - Obtener datos actuales del acelerador (solo telemetría)
+router.get('/', asyncHandler(async (req, res) => {
+  await throttleController.getThrottleData(req, res);
+}));
+
+// GET /api/throttle/full - Obtener datos completos del acelerador (incluyendo configuración)
+router.get('/full', asyncHandler(async (req, res) => {
+  await throttleController.getFullThrottleData(req, res);
+}));
+
+// GET /api/throttle/stream - Stream de datos en tiempo real (Server-Sent Events)
+router.get('/stream', (req, res) => {
+  throttleController.streamThrottleData(req, res);
+});
+
+// GET /api/throttle/health - Obtener estado de salud del acelerador
+router.get('/health', asyncHandler(async (req, res) => {
+  await throttleController.getThrottleHealth(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE CONTROL Y CONFIGURACIÓN
+// ====================================================================================================================
+
+// PUT /api/throttle/update - Actualizar datos del acelerador manualmente (solo sin Arduino)
+router.put('/update', asyncHandler(async (req, res) => {
+  await throttleController.updateThrottle(req, res);
+}));
+
+// PUT /api/throttle/config - Configurar parámetros del acelerador
+router.put('/config', asyncHandler(async (req, res) => {
+  await throttleController.configureThrottle(req, res);
+}));
+
+// POST /api/throttle/reset - Resetear datos del acelerador
+router.post('/reset', asyncHandler(async (req, res) => {
+  await throttleController.resetThrottle(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE CALIBRACIÓN
+// ====================================================================================================================
+
+// GET /api/throttle/calibration - Obtener puntos capturados y curva activa
+router.get('/calibration', asyncHandler(async (req, res) => {
+  await throttleController.calibration.getCurve(req, res);
+}));
+
+// POST /api/throttle/calibration/points - Capturar un punto de referencia (raw opcional: si falta se promedian lecturas en vivo)
+router.post('/calibration/points', asyncHandler(async (req, res) => {
+  await throttleController.calibration.addPoint(req, res);
+}));
+
+// DELETE /api/throttle/calibration/points - Eliminar los puntos capturados
+router.delete('/calibration/points', asyncHandler(async (req, res) => {
+  await throttleController.calibration.clearPoints(req, res);
+}));
+
+// POST /api/throttle/calibration/fit - Ajustar curva (linear, polynomial2, polynomial3, piecewise) y activarla
+router.post('/calibration/fit', asyncHandler(async (req, res) => {
+  await throttleController.calibration.fit(req, res);
+}));
+
+// DELETE /api/throttle/calibration/curve - Desactivar la curva multipunto
+router.delete('/calibration/curve', asyncHandler(async (req, res) => {
+  await throttleController.calibration.removeCurve(req, res);
+}));
+
+// ====================================================================================================================
+// RUTAS DE UTILIDAD Y TESTING
+// ====================================================================================================================
+
+// POST /api/throttle/test - Endpoint para pruebas rápidas
+router.post('/test', asyncHandler(async (req, res) => {
+  try {
+    // Solo permitir pruebas sin Arduino
+    if (throttleController.isArduinoConnected) {
+      return res.status(400).json({
+        success: false,
+        error: 'Las pruebas manuales no están disponibles con Arduino conectado. Use los controles físicos.'
+      });
+    }
+
+    const { percentage } = req.body;
+
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'percentage debe ser un número entre 0 y 100'
+      });
+    }
+
+    // Simular lectura del potenciómetro correspondiente al recorrido especificado
+    const { minRaw, maxRaw } = throttleController.throttleData;
+    const simulatedReading = Math.round(minRaw + (percentage / 100) * (maxRaw - minRaw));
+
+    const updatedData = throttleController.updateInternalData(simulatedReading);
+
+    res.json({
+      success: true,
+      message: `Prueba con recorrido de ${percentage}% aplicada (modo simulación)`,
+      data: {
+        testPercentage: percentage,
+        simulatedReading: simulatedReading,
+        result: updatedData
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error en prueba del acelerador',
+      details: error.message
+    });
+  }
+}));
+
+// GET /api/throttle/info - Información sobre el esquema y capacidades
+router.get('/info', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      name: 'Throttle Pedal API',
+      version: '1.0.0',
+      description: 'API para gestión de datos del pedal de acelerador',
+      currentMode: throttleController.isArduinoConnected ? 'Arduino Real-Time' : 'Simulation Mode',
+      endpoints: {
+        'GET /': 'Obtener datos actuales del acelerador',
+        'GET /full': 'Obtener datos completos incluyendo configuración',
+        'GET /stream': 'Stream de datos en tiempo real',
+        'GET /health': 'Estado de salud del acelerador',
+        'PUT /update': 'Actualizar datos manualmente (solo simulación)',
+        'PUT /config': 'Configurar parámetros',
+        'POST /reset': 'Resetear datos',
+        'GET /calibration': 'Obtener calibración multipunto',
+        'POST /calibration/points': 'Capturar punto de referencia multipunto',
+        'DELETE /calibration/points': 'Eliminar puntos capturados',
+        'POST /calibration/fit': 'Ajustar curva de calibración y activarla',
+        'DELETE /calibration/curve': 'Desactivar curva de calibración',
+        'POST /test': 'Prueba con recorrido específico (solo simulación)',
+        'GET /info': 'Información de la API'
+      },
+      dataSchema: {
+        throttle: {
+          value: 'number (0-1023) - Valor para joystick',
+          percentage: 'number (0-100) - Porcentaje de recorrido',
+          preCurveValue: 'number (0-1023) - Valor antes de la curva de respuesta',
+          preCurvePercentage: 'number (0-100) - Porcentaje antes de la curva de respuesta',
+          active: 'boolean - Estado de activación',
+          timestamp: 'number - Timestamp de última actualización'
+        }
+      },
+      configSchema: {
+        minRaw: 'number (0-1023) - Lectura cruda con el pedal liberado',
+        maxRaw: 'number (0-1023) - Lectura cruda con el pedal a fondo',
+        deadZone: 'number (0-50% o cuentas del ADC) - Zona muerta inferior',
+        upperDeadZone: 'number (0-50% o cuentas del ADC) - Zona muerta superior (tramo final que ya da la salida máxima)',
+        deadZoneUnit: "'percent' (por defecto) | 'units' (cuentas del ADC) - Unidad de las zonas muertas",
+        saturation: 'number (1-100) - Recorrido útil (%) a partir del cual la salida es máxima',
+        inverted: 'boolean - Invertir el eje de salida',
+        outputMin: 'number (0-100) - Salida mínima del eje en porcentaje',
+        outputMax: 'number (0-100) - Salida máxima del eje en porcentaje',
+        responseCurve: 'object - Curva de respuesta: { type: linear | gamma (exponent) | s-curve (strength) | custom (points[{input, output}]) }'
+      }
+    }
+  });
+});
+
+module.exports = router;
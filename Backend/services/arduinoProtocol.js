@@ -0,0 +1,429 @@
+// Backend/services/arduinoProtocol.js
+
+// Protocolos soportados (se detectan automáticamente línea a línea):
+//
+//   json-v1  Una trama JSON por línea seguida de "*" y un checksum XOR de 2 dígitos hex
+//            calculado sobre todos los caracteres del JSON:
+//            {"v":1,"seq":42,"throttle":{"value":512,"percentage":50},
+//             "brake":{"raw":8390123,"value":100,"percentage":10},
+//             "clutch":{"value":0,"percentage":0},"status":"ACELERANDO"}*5A
+//            "seq" es un contador de 0 a 65535 que permite detectar tramas perdidas o repetidas.
+//            "raw" es la lectura cruda del sensor (cuentas del HX711 en el freno).
+//            Una placa puede enviar solo los pedales que tiene conectados (al menos uno).
+//
+//   legacy   Texto legible del firmware original:
+//            "Acel: 0/1023 (0%) | Freno: 512/1023 (50%) | Clutch: 0/1023 (0%) | FRENANDO"
+//
+// Comandos (backend → firmware), misma envoltura JSON con checksum:
+//            {"id":7,"cmd":"set-dead-zone","args":{"pedal":"brake","value":2}}*HH
+// Respuestas (firmware → backend), con el id del comando:
+//            {"ack":7,"ok":true,"result":{...}}*HH      o  {"ack":7,"ok":false,"error":"motivo"}*HH
+//            ACK 7 [resultado]                          o  NACK 7 [motivo]   (forma de texto)
+
+const { normalizeResponseCurve, validateResponseCurve } = require('../models/responseCurveModel');
+
+const PROTOCOL_VERSION = 1;
+const SEQUENCE_MODULO = 65536;
+
+// Un salto hacia atrás mayor que esta ventana (o una racha de tramas desordenadas)
+// indica que la placa se ha reiniciado sin cerrar el puerto: se resincroniza la secuencia
+const SEQUENCE_REORDER_WINDOW = 32;
+const MAX_CONSECUTIVE_OUT_OF_ORDER = 8;
+const PEDALS = ['throttle', 'brake', 'clutch'];
+
+// Protocolos de trama reconocidos (valores de frame.protocol)
+const FRAME_PROTOCOLS = [`json-v${PROTOCOL_VERSION}`, 'legacy'];
+const STATUSES = ['ACELERANDO', 'FRENANDO', 'EMBRAGUE', 'LIBERADOS'];
+
+const THROTTLE_PATTERN = /Acel:\s*(\d+)\/1023\s*\((\d+)%\)/;
+const BRAKE_PATTERN = /Freno:\s*(\d+)\/1023\s*\((\d+)%\)/;
+const CLUTCH_PATTERN = /Clutch:\s*(\d+)\/1023\s*\((\d+)%\)/;
+const STATUS_PATTERN = /(ACELERANDO|FRENANDO|EMBRAGUE|LIBERADOS)$/;
+const JSON_LINE_PATTERN = /^(\{.*\})\*([0-9A-Fa-f]{2})$/;
+const TEXT_REPLY_PATTERN = /^(ACK|NACK)\s+(\d+)(?:\s+(.*))?$/;
+
+// Comandos aceptados por el firmware y validación de sus argumentos
+const DEVICE_COMMANDS = {
+  ping: {
+    description: 'Comprobar que el firmware responde',
+    args: {}
+  },
+  identify: {
+    description: 'Identidad del dispositivo: placa, versión de firmware, protocolo, canales y frecuencia',
+    args: {},
+    timeoutMs: 1500
+  },
+  tare: {
+    description: 'Tara del HX711 en el firmware (pedal sin carga)',
+    args: {},
+    timeoutMs: 5000
+  },
+  'set-sample-rate': {
+    description: 'Frecuencia de envío de tramas',
+    args: { hz: { type: 'number', min: 1, max: 1000, required: true } }
+  },
+  'set-dead-zone': {
+    description: 'Zona muerta aplicada por el firmware a un pedal (%)',
+    args: {
+      pedal: { type: 'string', values: PEDALS, required: true },
+      value: { type: 'number', min: 0, max: 50, required: true }
+    }
+  },
+  'set-curve': {
+    description: 'Curva de respuesta aplicada por el firmware a un pedal',
+    args: {
+      pedal: { type: 'string', values: PEDALS, required: true },
+      curve: { type: 'object', required: true }
+    }
+  }
+};
+
+// Error de protocolo con el motivo concreto del rechazo
+class ProtocolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+// Error de un comando enviado al dispositivo (NOT_CONNECTED, TIMEOUT, NACK, DISCONNECTED)
+class DeviceCommandError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DeviceCommandError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Función para calcular el checksum XOR de un texto (2 dígitos hex)
+function computeChecksum(text) {
+  let checksum = 0;
+  for (let i = 0; i < text.length; i++) {
+    checksum ^= text.charCodeAt(i) & 0xFF;
+  }
+  return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// Función para convertir una coincidencia "valor/1023 (porcentaje%)" en datos de pedal
+function toPedalReading(match) {
+  const percentage = parseInt(match[2]);
+
+  return {
+    value: parseInt(match[1]),
+    percentage: percentage,
+    active: percentage > 0
+  };
+}
+
+// Función para interpretar el formato de texto original
+function parseLegacyLine(rawData) {
+  const throttleMatch = rawData.match(THROTTLE_PATTERN);
+  const brakeMatch = rawData.match(BRAKE_PATTERN);
+  const clutchMatch = rawData.match(CLUTCH_PATTERN);
+  const statusMatch = rawData.match(STATUS_PATTERN);
+
+  const missing = [
+    !throttleMatch && 'Acel',
+    !brakeMatch && 'Freno',
+    !clutchMatch && 'Clutch',
+    !statusMatch && 'estado'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new ProtocolError(`Formato de trama no reconocido (falta: ${missing.join(', ')})`, 'UNRECOGNIZED');
+  }
+
+  return {
+    throttle: toPedalReading(throttleMatch),
+    brake: toPedalReading(brakeMatch),
+    clutch: toPedalReading(clutchMatch),
+    status: statusMatch[1],
+    protocol: 'legacy',
+    timestamp: Date.now(),
+    rawData: rawData
+  };
+}
+
+// Función para validar y normalizar la lectura de un pedal del protocolo JSON
+function toJsonPedalReading(pedal, reading) {
+  if (!reading || typeof reading !== 'object') {
+    throw new ProtocolError(`${pedal}: se esperaba un objeto`, 'INVALID_FIELD');
+  }
+
+  ['value', 'percentage'].forEach(key => {
+    if (typeof reading[key] !== 'number' || !Number.isFinite(reading[key])) {
+      throw new ProtocolError(`${pedal}.${key}: se esperaba un número`, 'INVALID_FIELD');
+    }
+  });
+
+  if (reading.raw !== undefined && (typeof reading.raw !== 'number' || !Number.isFinite(reading.raw))) {
+    throw new ProtocolError(`${pedal}.raw: se esperaba un número`, 'INVALID_FIELD');
+  }
+
+  const normalized = {
+    value: reading.value,
+    percentage: reading.percentage,
+    active: reading.percentage > 0
+  };
+  if (reading.raw !== undefined) normalized.raw = reading.raw;
+
+  return normalized;
+}
+
+// Función para interpretar una trama del protocolo JSON con checksum
+function parseJsonLine(rawData) {
+  const match = rawData.match(JSON_LINE_PATTERN);
+  if (!match) {
+    throw new ProtocolError('Trama JSON sin checksum (se esperaba {...}*HH)', 'MISSING_CHECKSUM');
+  }
+
+  const [, payload, checksum] = match;
+  const expected = computeChecksum(payload);
+  if (checksum.toUpperCase() !== expected) {
+    throw new ProtocolError(`Checksum inválido (recibido ${checksum.toUpperCase()}, esperado ${expected})`, 'CHECKSUM');
+  }
+
+  let message;
+  try {
+    message = JSON.parse(payload);
+  } catch (error) {
+    throw new ProtocolError(`JSON inválido: ${error.message}`, 'INVALID_JSON');
+  }
+
+  if (message.v !== PROTOCOL_VERSION) {
+    throw new ProtocolError(`Versión de protocolo no soportada: ${message.v}`, 'UNSUPPORTED_VERSION');
+  }
+
+  if (!Number.isInteger(message.seq) || message.seq < 0 || message.seq >= SEQUENCE_MODULO) {
+    throw new ProtocolError(`seq: se esperaba un entero entre 0 y ${SEQUENCE_MODULO - 1}`, 'INVALID_FIELD');
+  }
+
+  const frame = {};
+  PEDALS.forEach(pedal => {
+    if (message[pedal] !== undefined) {
+      frame[pedal] = toJsonPedalReading(pedal, message[pedal]);
+    }
+  });
+
+  if (!PEDALS.some(pedal => frame[pedal])) {
+    throw new ProtocolError(`La trama no contiene ningún pedal (${PEDALS.join(', ')})`, 'INVALID_FIELD');
+  }
+
+  frame.status = STATUSES.includes(message.status) ? message.status : deriveStatus(frame);
+  frame.seq = message.seq;
+  frame.protocol = `json-v${PROTOCOL_VERSION}`;
+  frame.timestamp = Date.now();
+  frame.rawData = rawData;
+
+  return frame;
+}
+
+// Función para deducir el estado general cuando el firmware no lo envía
+function deriveStatus(frame) {
+  if (frame.brake && frame.brake.active) return 'FRENANDO';
+  if (frame.clutch && frame.clutch.active) return 'EMBRAGUE';
+  if (frame.throttle && frame.throttle.active) return 'ACELERANDO';
+  return 'LIBERADOS';
+}
+
+// Función para interpretar una línea enviada por el Arduino detectando el protocolo.
+// Lanza ProtocolError con el motivo si la línea no es una trama válida.
+function parseArduinoLine(rawData) {
+  const line = rawData.trim();
+
+  if (line.startsWith('{')) {
+    return parseJsonLine(line);
+  }
+
+  return parseLegacyLine(line);
+}
+
+// Función para validar un comando y sus argumentos (devuelve la lista de errores)
+function validateDeviceCommand(command, args = {}) {
+  const definition = DEVICE_COMMANDS[command];
+  if (!definition) {
+    return [`command: debe ser uno de ${Object.keys(DEVICE_COMMANDS).join(', ')}`];
+  }
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return ['args: se esperaba un objeto'];
+  }
+
+  const errors = [];
+  Object.keys(args).forEach(key => {
+    if (!definition.args[key]) errors.push(`args.${key}: argumento desconocido`);
+  });
+
+  Object.keys(definition.args).forEach(key => {
+    const field = definition.args[key];
+    const value = args[key];
+
+    if (value === undefined) {
+      if (field.required) errors.push(`args.${key}: es obligatorio`);
+      return;
+    }
+    if (field.type === 'object' ? (value === null || typeof value !== 'object') : typeof value !== field.type) {
+      errors.push(`args.${key}: se esperaba ${field.type}`);
+      return;
+    }
+    if (field.values && !field.values.includes(value)) {
+      errors.push(`args.${key}: debe ser uno de ${field.values.join(', ')}`);
+    }
+    if (field.min !== undefined && value < field.min) {
+      errors.push(`args.${key}: el valor ${value} es menor que ${field.min}`);
+    }
+    if (field.max !== undefined && value > field.max) {
+      errors.push(`args.${key}: el valor ${value} es mayor que ${field.max}`);
+    }
+  });
+
+  // La curva usa el mismo formato que la curva de respuesta del backend
+  if (command === 'set-curve' && args.curve && typeof args.curve === 'object') {
+    errors.push(...validateResponseCurve(normalizeResponseCurve(args.curve)).errors.map(error => `args.${error}`));
+  }
+
+  return errors;
+}
+
+// Función para codificar un comando con su id de correlación
+function encodeCommand(id, command, args = {}) {
+  const payload = JSON.stringify({ id: id, cmd: command, args: args });
+  return `${payload}*${computeChecksum(payload)}`;
+}
+
+// Función para interpretar una respuesta ACK/NACK (null si la línea no es una respuesta)
+function parseReplyLine(rawData) {
+  const line = rawData.trim();
+
+  const textMatch = line.match(TEXT_REPLY_PATTERN);
+  if (textMatch) {
+    const ok = textMatch[1] === 'ACK';
+    const detail = textMatch[3] !== undefined ? textMatch[3] : null;
+    let result = detail;
+    if (ok && detail) {
+      try {
+        result = JSON.parse(detail);
+      } catch (error) {
+        // Resultado en texto plano
+      }
+    }
+
+    return {
+      id: parseInt(textMatch[2]),
+      ok: ok,
+      result: ok ? result : null,
+      error: ok ? null : (detail || 'Comando rechazado')
+    };
+  }
+
+  const jsonMatch = line.match(JSON_LINE_PATTERN);
+  if (!jsonMatch || !jsonMatch[1].includes('"ack"')) return null;
+
+  if (jsonMatch[2].toUpperCase() !== computeChecksum(jsonMatch[1])) {
+    throw new ProtocolError('Checksum inválido en respuesta del dispositivo', 'CHECKSUM');
+  }
+
+  let reply;
+  try {
+    reply = JSON.parse(jsonMatch[1]);
+  } catch (error) {
+    throw new ProtocolError(`JSON inválido: ${error.message}`, 'INVALID_JSON');
+  }
+
+  if (!Number.isInteger(reply.ack)) return null;
+
+  return {
+    id: reply.ack,
+    ok: reply.ok !== false,
+    result: reply.ok !== false ? (reply.result !== undefined ? reply.result : null) : null,
+    error: reply.ok !== false ? null : (reply.error || 'Comando rechazado')
+  };
+}
+
+// Función para crear el seguimiento de números de secuencia de una conexión
+function createSequenceTracker() {
+  return {
+    lastSeq: null,
+    received: 0,
+    lost: 0,
+    duplicates: 0,
+    outOfOrder: 0,
+    consecutiveOutOfOrder: 0,
+    resets: 0
+  };
+}
+
+// Función para registrar un número de secuencia ({ status: 'ok' | 'gap' | 'duplicate' | 'out-of-order' | 'reset', missing })
+function trackSequence(tracker, seq) {
+  tracker.received++;
+
+  if (tracker.lastSeq === null) {
+    tracker.lastSeq = seq;
+    return { status: 'ok', missing: 0 };
+  }
+
+  const delta = (seq - tracker.lastSeq + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+
+  if (delta === 0) {
+    tracker.duplicates++;
+    return { status: 'duplicate', missing: 0 };
+  }
+
+  // Un salto hacia atrás (más de media vuelta) es desorden si es pequeño; si es grande
+  // o se repite, la placa ha vuelto a empezar la numeración y la trama se acepta
+  if (delta > SEQUENCE_MODULO / 2) {
+    const backwards = SEQUENCE_MODULO - delta;
+    tracker.consecutiveOutOfOrder++;
+
+    if (backwards > SEQUENCE_REORDER_WINDOW || tracker.consecutiveOutOfOrder >= MAX_CONSECUTIVE_OUT_OF_ORDER) {
+      tracker.resets++;
+      tracker.consecutiveOutOfOrder = 0;
+      tracker.lastSeq = seq;
+      return { status: 'reset', missing: 0 };
+    }
+
+    tracker.outOfOrder++;
+    return { status: 'out-of-order', missing: 0 };
+  }
+
+  tracker.consecutiveOutOfOrder = 0;
+  tracker.lastSeq = seq;
+  if (delta > 1) {
+    tracker.lost += delta - 1;
+    return { status: 'gap', missing: delta - 1 };
+  }
+
+  return { status: 'ok', missing: 0 };
+}
+
+// Función para codificar una trama en el protocolo JSON (útil para pruebas y emuladores)
+function encodeJsonFrame(frame, seq) {
+  const message = { v: PROTOCOL_VERSION, seq: seq % SEQUENCE_MODULO };
+  PEDALS.forEach(pedal => {
+    if (frame[pedal]) message[pedal] = frame[pedal];
+  });
+  if (frame.status) message.status = frame.status;
+
+  const payload = JSON.stringify(message);
+  return `${payload}*${computeChecksum(payload)}`;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  PEDALS,
+  FRAME_PROTOCOLS,
+  DEVICE_COMMANDS,
+  ProtocolError,
+  DeviceCommandError,
+  computeChecksum,
+  parseArduinoLine,
+  parseReplyLine,
+  validateDeviceCommand,
+  encodeCommand,
+  createSequenceTracker,
+  trackSequence,
+  deriveStatus,
+  encodeJsonFrame
+};
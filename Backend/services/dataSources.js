@@ -0,0 +1,287 @@
+// Backend/services/dataSources.js
+const { PEDALS, deriveStatus } = require('./arduinoProtocol');
+const { compileScenario, getScenarioDuration, sampleScenario } = require('../models/scenarioModel');
+
+// Lectura cruda del HX711 en reposo usada por la simulación
+const SIMULATED_BASE_READING = 8388607;
+
+// Periodo de las fuentes generadas en el backend (simulación y valores manuales)
+const GENERATED_FRAME_INTERVAL_MS = 150;
+
+// Los escenarios tienen cambios de pocas decenas de ms (golpes de gas, punta-tacón)
+const SCENARIO_FRAME_INTERVAL_MS = 50;
+
+// Función para crear una trama equivalente a la del firmware a partir de porcentajes
+function createPercentageFrame(values) {
+  const frame = {};
+
+  PEDALS.forEach(pedal => {
+    const percentage = Math.round(values[pedal]);
+    frame[pedal] = {
+      value: Math.round((values[pedal] / 100) * 1023),
+      percentage: percentage,
+      active: percentage > 0
+    };
+  });
+
+  frame.status = deriveStatus(frame);
+  return frame;
+}
+
+// Fuente de datos de pedales. Solo la fuente activa publica tramas en el hub;
+// el hub decide cuál está activa (ver PedalHub.switchSource).
+class DataSource {
+  constructor(name, hub) {
+    this.name = name;
+    this.hub = hub;
+    this.isActive = false;
+    this.activatedAt = null;
+    this.framesPublished = 0;
+  }
+
+  // Activar la fuente (devuelve false si ya lo estaba)
+  start() {
+    if (this.isActive) return false;
+
+    this.isActive = true;
+    this.activatedAt = Date.now();
+    this.framesPublished = 0;
+    this.onStart();
+    return true;
+  }
+
+  // Desactivar la fuente (devuelve false si no estaba activa)
+  stop() {
+    if (!this.isActive) return false;
+
+    this.isActive = false;
+    this.activatedAt = null;
+    this.onStop();
+    return true;
+  }
+
+  // Puntos de extensión para las fuentes que generan datos por sí mismas
+  onStart() {}
+  onStop() {}
+
+  // Publicar una trama si la fuente está activa
+  publish(frame) {
+    if (!this.isActive) return false;
+
+    this.framesPublished++;
+    this.hub.publishFrame(frame, this.name);
+    return true;
+  }
+
+  // Estado de la fuente
+  getStatus() {
+    return {
+      name: this.name,
+      isActive: this.isActive,
+      activatedAt: this.activatedAt,
+      framesPublished: this.framesPublished
+    };
+  }
+}
+
+// Placas serie (registro de dispositivos). Recibe tramas aunque no esté activa
+// para que el hub pueda volver al hardware en cuanto los datos se reanudan.
+class SerialSource extends DataSource {
+  constructor(hub) {
+    super('arduino', hub);
+    this.lastFrameAt = null;
+    this.streak = 0;
+  }
+
+  // Trama recibida de las placas
+  receive(frame, staleAfterMs) {
+    const now = Date.now();
+
+    // Una pausa más larga que el umbral reinicia la racha de tramas seguidas
+    this.streak = this.lastFrameAt && now - this.lastFrameAt <= staleAfterMs ? this.streak + 1 : 1;
+    this.lastFrameAt = now;
+
+    return this.publish(frame);
+  }
+
+  // ¿Han llegado tramas recientemente? (al activarse se da un margen del mismo umbral)
+  hasFreshData(staleAfterMs) {
+    const reference = Math.max(this.lastFrameAt || 0, this.activatedAt || 0);
+    return reference > 0 && Date.now() - reference <= staleAfterMs;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      lastFrameAt: this.lastFrameAt,
+      streak: this.streak
+    };
+  }
+}
+
+// Simulación. Sin escenario solo se simula la celda de carga del freno; con un
+// escenario (ver models/scenarioModel.js) se generan los tres pedales.
+class SimulationSource extends DataSource {
+  constructor(hub) {
+    super('simulation', hub);
+    this.interval = null;
+    this.scenario = null;
+    this.scenarioStartedAt = null;
+  }
+
+  // Elegir el escenario de la próxima simulación (null = freno sinusoidal).
+  // Si la simulación ya está activa el escenario empieza de inmediato.
+  setScenario(name, scenario, { loop } = {}) {
+    if (scenario) {
+      const compiled = compileScenario(scenario);
+      this.scenario = {
+        name: name,
+        compiled: compiled,
+        durationMs: getScenarioDuration(compiled),
+        loop: loop !== undefined ? loop : compiled.loop
+      };
+    } else {
+      this.scenario = null;
+    }
+
+    if (this.isActive) {
+      this.onStop();
+      this.onStart();
+    }
+  }
+
+  // Porcentajes del escenario en el instante actual (los escenarios sin bucle mantienen el final)
+  sampleScenario() {
+    const { compiled, durationMs, loop } = this.scenario;
+    const elapsedMs = Date.now() - this.scenarioStartedAt;
+    const t = loop ? elapsedMs % durationMs : Math.min(elapsedMs, durationMs);
+
+    return sampleScenario(compiled, t);
+  }
+
+  onStart() {
+    if (this.scenario) {
+      console.log(`\n🎬 Simulación iniciada con el escenario "${this.scenario.name}"${this.scenario.loop ? ' (en bucle)' : ''}`);
+      this.scenarioStartedAt = Date.now();
+      this.interval = setInterval(() => {
+        this.publish(createPercentageFrame(this.sampleScenario()));
+      }, SCENARIO_FRAME_INTERVAL_MS);
+      return;
+    }
+
+    console.log('\n🎮 Simulación iniciada');
+
+    this.interval = setInterval(() => {
+      const forceVariation = Math.sin(Date.now() / 3000) * 2500000;
+      const noise = (Math.random() - 0.5) * 100000;
+
+      // La simulación solo genera la lectura cruda del freno
+      this.publish({
+        brake: { raw: SIMULATED_BASE_READING + Math.max(0, forceVariation) + noise }
+      });
+    }, GENERATED_FRAME_INTERVAL_MS);
+  }
+
+  onStop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.scenarioStartedAt = null;
+    console.log('\n🛑 Simulación detenida');
+  }
+
+  getStatus() {
+    if (!this.scenario) {
+      return { ...super.getStatus(), scenario: null };
+    }
+
+    const { name, durationMs, loop } = this.scenario;
+    const elapsedMs = this.scenarioStartedAt ? Date.now() - this.scenarioStartedAt : 0;
+
+    return {
+      ...super.getStatus(),
+      scenario: {
+        name: name,
+        durationMs: durationMs,
+        loop: loop,
+        elapsedMs: elapsedMs,
+        finished: !loop && elapsedMs >= durationMs
+      }
+    };
+  }
+}
+
+// Reproducción de una sesión grabada (las tramas las envía sessionPlayer)
+class ReplaySource extends DataSource {
+  constructor(hub) {
+    super('replay', hub);
+  }
+}
+
+// Valores fijados a mano desde la API (pruebas sin hardware). Se repiten
+// periódicamente para que los clientes reciban un flujo continuo.
+class ManualSource extends DataSource {
+  constructor(hub) {
+    super('manual', hub);
+    this.interval = null;
+    this.values = { throttle: 0, brake: 0, clutch: 0 };
+  }
+
+  // Validar porcentajes manuales (devuelve la lista de errores)
+  validateValues(values) {
+    const errors = [];
+
+    Object.keys(values || {}).forEach(pedal => {
+      if (!PEDALS.includes(pedal)) {
+        errors.push(`${pedal}: pedal desconocido (${PEDALS.join(', ')})`);
+      } else if (typeof values[pedal] !== 'number' || values[pedal] < 0 || values[pedal] > 100) {
+        errors.push(`${pedal}: debe ser un porcentaje entre 0 y 100`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Cambiar los porcentajes (los pedales no indicados conservan su valor)
+  setValues(values) {
+    this.values = { ...this.values, ...values };
+    this.publish(this.createFrame());
+    return this.values;
+  }
+
+  // Trama equivalente a la del firmware para los valores actuales
+  createFrame() {
+    return createPercentageFrame(this.values);
+  }
+
+  onStart() {
+    this.publish(this.createFrame());
+    this.interval = setInterval(() => this.publish(this.createFrame()), GENERATED_FRAME_INTERVAL_MS);
+  }
+
+  onStop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      values: this.values
+    };
+  }
+}
+
+// Crear las fuentes disponibles para un hub
+function createDataSources(hub) {
+  return {
+    arduino: new SerialSource(hub),
+    simulation: new SimulationSource(hub),
+    replay: new ReplaySource(hub),
+    manual: new ManualSource(hub)
+  };
+}
+
+module.exports = {
+  DataSource,
+  createDataSources
+};
@@ -0,0 +1,183 @@
+// Backend/services/dataWatchdog.js
+const EventEmitter = require('events');
+const pedalHub = require('./pedalHub');
+const { config } = require('../config');
+
+// Frecuencia de evaluación de los umbrales
+const CHECK_INTERVAL_MS = 250;
+
+// Vigilancia de la calidad de los datos de la fuente activa: frecuencia de tramas,
+// jitter entre tramas, proporción de líneas ilegibles y edad de la última trama.
+// Los datos se marcan como obsoletos al superar cualquiera de los umbrales.
+//
+// Eventos emitidos:
+//   'stale'     ({ reasons, metrics })  Los datos pasan a considerarse obsoletos
+//   'recovered' ({ metrics })           Los datos vuelven a estar dentro de los umbrales
+class DataWatchdog extends EventEmitter {
+  constructor(hub, thresholds = config.watchdog) {
+    super();
+    this.hub = hub;
+    this.thresholds = { ...thresholds };
+
+    // Instantes de tramas y errores dentro de la ventana de medición
+    this.frameTimes = [];
+    this.errorTimes = [];
+    this.lastFrameAt = null;
+    this.startedAt = Date.now();
+
+    this.stale = false;
+    this.staleSince = null;
+    this.reasons = [];
+
+    this.hub.on('frame', () => this.recordFrame());
+    this.hub.on('parse-error', () => this.recordParseError());
+
+    // Las métricas de una fuente no sirven para la siguiente
+    this.hub.on('source', () => this.reset());
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  // Olvidar las mediciones (cambio de fuente)
+  reset() {
+    this.frameTimes = [];
+    this.errorTimes = [];
+    this.lastFrameAt = null;
+    this.startedAt = Date.now();
+  }
+
+  // Registrar una trama válida
+  recordFrame() {
+    const now = Date.now();
+    this.lastFrameAt = now;
+    this.frameTimes.push(now);
+    this.trimWindow(now);
+  }
+
+  // Registrar una línea que no se pudo interpretar
+  recordParseError() {
+    const now = Date.now();
+    this.errorTimes.push(now);
+    this.trimWindow(now);
+  }
+
+  // Descartar las mediciones anteriores a la ventana
+  trimWindow(now) {
+    const windowStart = now - this.thresholds.windowMs;
+    while (this.frameTimes.length > 0 && this.frameTimes[0] < windowStart) this.frameTimes.shift();
+    while (this.errorTimes.length > 0 && this.errorTimes[0] < windowStart) this.errorTimes.shift();
+  }
+
+  // Calcular las métricas de la ventana actual
+  getMetrics() {
+    const now = Date.now();
+    this.trimWindow(now);
+
+    // Mientras la ventana no se llena se mide sobre el tiempo transcurrido
+    const elapsedMs = Math.min(this.thresholds.windowMs, now - this.startedAt);
+    const frames = this.frameTimes.length;
+    const parseErrors = this.errorTimes.length;
+
+    const intervals = [];
+    for (let i = 1; i < frames; i++) {
+      intervals.push(this.frameTimes[i] - this.frameTimes[i - 1]);
+    }
+
+    const meanIntervalMs = intervals.length > 0
+      ? intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length
+      : null;
+
+    // Jitter: desviación estándar de los intervalos entre tramas
+    const jitterMs = intervals.length > 1
+      ? Math.sqrt(intervals.reduce((sum, interval) => sum + Math.pow(interval - meanIntervalMs, 2), 0) / intervals.length)
+      : null;
+
+    return {
+      source: this.hub.source,
+      windowMs: this.thresholds.windowMs,
+      frames: frames,
+      parseErrors: parseErrors,
+      frameRateHz: elapsedMs > 0 ? Math.round((frames / elapsedMs) * 1000 * 10) / 10 : 0,
+      meanIntervalMs: meanIntervalMs !== null ? Math.round(meanIntervalMs * 10) / 10 : null,
+      jitterMs: jitterMs !== null ? Math.round(jitterMs * 10) / 10 : null,
+      parseErrorRatio: frames + parseErrors > 0 ? Math.round((parseErrors / (frames + parseErrors)) * 1000) / 1000 : 0,
+      lastFrameAt: this.lastFrameAt,
+      dataAgeMs: this.lastFrameAt ? now - this.lastFrameAt : null
+    };
+  }
+
+  // Comparar las métricas con los umbrales (devuelve los motivos de datos obsoletos)
+  evaluate(metrics) {
+    const { maxDataAgeMs, minFrameRateHz, maxJitterMs, maxParseErrorRatio, windowMs } = this.thresholds;
+    const reasons = [];
+    const warmingUp = Date.now() - this.startedAt < windowMs;
+
+    if (metrics.source === 'none') {
+      reasons.push('No hay ninguna fuente de datos activa');
+      return reasons;
+    }
+
+    if (metrics.dataAgeMs === null) {
+      if (Date.now() - this.startedAt > maxDataAgeMs) {
+        reasons.push(this.hub.isPortConnected()
+          ? 'El puerto está abierto pero no llegan tramas'
+          : 'No se ha recibido ninguna trama');
+      }
+    } else if (metrics.dataAgeMs > maxDataAgeMs) {
+      reasons.push(`${this.hub.isPortConnected() ? 'El puerto está abierto pero la última' : 'Última'} trama llegó hace ${metrics.dataAgeMs} ms (máximo ${maxDataAgeMs} ms)`);
+    }
+
+    // Frecuencia y jitter solo son fiables con la ventana completa
+    if (!warmingUp && metrics.frameRateHz < minFrameRateHz) {
+      reasons.push(`Frecuencia de ${metrics.frameRateHz} Hz (mínimo ${minFrameRateHz} Hz)`);
+    }
+
+    if (!warmingUp && metrics.jitterMs !== null && metrics.jitterMs > maxJitterMs) {
+      reasons.push(`Jitter de ${metrics.jitterMs} ms (máximo ${maxJitterMs} ms)`);
+    }
+
+    if (metrics.parseErrorRatio > maxParseErrorRatio) {
+      reasons.push(`${Math.round(metrics.parseErrorRatio * 100)}% de líneas ilegibles (máximo ${Math.round(maxParseErrorRatio * 100)}%)`);
+    }
+
+    return reasons;
+  }
+
+  // Evaluación periódica: notificar los cambios entre datos válidos y obsoletos
+  check() {
+    const metrics = this.getMetrics();
+    const reasons = this.evaluate(metrics);
+    const stale = reasons.length > 0;
+
+    this.reasons = reasons;
+
+    if (stale && !this.stale) {
+      this.stale = true;
+      this.staleSince = Date.now();
+      console.log(`\n⏱️ Datos obsoletos (${metrics.source}): ${reasons.join('; ')}`);
+      this.emit('stale', { reasons: reasons, metrics: metrics });
+    } else if (!stale && this.stale) {
+      this.stale = false;
+      this.staleSince = null;
+      console.log(`\n✅ Datos recuperados (${metrics.source})`);
+      this.emit('recovered', { metrics: metrics });
+    }
+  }
+
+  // Estado para los endpoints de salud
+  getStatus() {
+    return {
+      stale: this.stale,
+      staleSince: this.staleSince,
+      reasons: this.reasons,
+      metrics: this.getMetrics(),
+      thresholds: this.thresholds
+    };
+  }
+}
+
+// Crear instancia singleton
+const dataWatchdog = new DataWatchdog(pedalHub);
+
+module.exports = dataWatchdog;
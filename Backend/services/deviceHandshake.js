@@ -0,0 +1,122 @@
+// Backend/services/deviceHandshake.js
+const { PROTOCOL_VERSION } = require('./arduinoProtocol');
+
+// Versión mínima de firmware recomendada (las anteriores funcionan con avisos)
+const MIN_FIRMWARE_VERSION = '1.0.0';
+
+// Canales que espera el backend
+const EXPECTED_CHANNELS = ['throttle', 'brake', 'clutch'];
+
+// Reintentos de "identify": el Arduino se reinicia al abrir el puerto y tarda en responder
+const HANDSHAKE_RETRIES = 2;
+
+// Función para comparar versiones semánticas ("1.2.3"); devuelve -1, 0 o 1
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+// Función para evaluar la identidad devuelta por el firmware
+function evaluateIdentity(identity) {
+  const warnings = [];
+  const errors = [];
+
+  if (!identity || typeof identity !== 'object') {
+    return { compatible: false, warnings: warnings, errors: ['Respuesta de identificación vacía o inválida'] };
+  }
+
+  if (identity.protocol !== undefined && identity.protocol !== PROTOCOL_VERSION) {
+    errors.push(`Protocolo v${identity.protocol} incompatible (el backend usa v${PROTOCOL_VERSION})`);
+  }
+
+  if (typeof identity.firmware !== 'string') {
+    warnings.push('El firmware no informa su versión');
+  } else if (compareVersions(identity.firmware, MIN_FIRMWARE_VERSION) < 0) {
+    warnings.push(`Firmware ${identity.firmware} anterior al recomendado (${MIN_FIRMWARE_VERSION})`);
+  }
+
+  if (Array.isArray(identity.channels)) {
+    const missing = EXPECTED_CHANNELS.filter(channel => !identity.channels.includes(channel));
+    if (missing.length > 0) {
+      warnings.push(`Canales no disponibles en el dispositivo: ${missing.join(', ')}`);
+    }
+  } else {
+    warnings.push('El firmware no informa sus canales');
+  }
+
+  if (identity.sampleRateHz !== undefined && (typeof identity.sampleRateHz !== 'number' || identity.sampleRateHz <= 0)) {
+    warnings.push('Frecuencia de muestreo inválida');
+  }
+
+  return {
+    compatible: errors.length === 0,
+    warnings: warnings,
+    errors: errors
+  };
+}
+
+// Función para identificar el dispositivo recién conectado.
+// status: 'identified' | 'legacy' (no responde a identify) | 'incompatible'
+async function performHandshake(connection, { path = null } = {}) {
+  const startedAt = Date.now();
+  const handshake = {
+    status: 'pending',
+    path: path,
+    device: null,
+    compatible: null,
+    warnings: [],
+    errors: [],
+    attempts: 0,
+    startedAt: startedAt,
+    completedAt: null
+  };
+
+  try {
+    const reply = await connection.request('identify', {}, { retries: HANDSHAKE_RETRIES });
+    const identity = reply.result || {};
+    const evaluation = evaluateIdentity(identity);
+
+    handshake.attempts = reply.attempts;
+    handshake.device = {
+      name: identity.device || null,
+      board: identity.board || null,
+      serial: identity.serial || null,
+      firmware: identity.firmware || null,
+      protocol: identity.protocol !== undefined ? identity.protocol : null,
+      channels: Array.isArray(identity.channels) ? identity.channels : null,
+      sampleRateHz: typeof identity.sampleRateHz === 'number' ? identity.sampleRateHz : null
+    };
+    handshake.compatible = evaluation.compatible;
+    handshake.warnings = evaluation.warnings;
+    handshake.errors = evaluation.errors;
+    handshake.status = evaluation.compatible ? 'identified' : 'incompatible';
+  } catch (error) {
+    handshake.attempts = error.details && error.details.attempts ? error.details.attempts : 0;
+
+    if (error.code === 'TIMEOUT' || error.code === 'NACK') {
+      // Firmware original: solo envía texto y no entiende comandos
+      handshake.status = 'legacy';
+      handshake.compatible = true;
+      handshake.warnings.push('El dispositivo no responde a "identify": se asume firmware de solo texto (sin comandos)');
+    } else {
+      handshake.status = 'failed';
+      handshake.errors.push(error.message);
+    }
+  }
+
+  handshake.completedAt = Date.now();
+  return handshake;
+}
+
+module.exports = {
+  MIN_FIRMWARE_VERSION,
+  compareVersions,
+  evaluateIdentity,
+  performHandshake
+};
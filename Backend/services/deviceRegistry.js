@@ -0,0 +1,327 @@
+// Backend/services/deviceRegistry.js
+const EventEmitter = require('events');
+const ArduinoSerialConnection = require('./serialConnection');
+const { PEDALS, deriveStatus } = require('./arduinoProtocol');
+const { performHandshake } = require('./deviceHandshake');
+
+// Id del dispositivo principal (el que se elige al arrancar y usan /connect y /reconnect)
+const PRIMARY_DEVICE_ID = 'primary';
+
+// Sin tramas durante este tiempo un dispositivo conectado se considera inactivo
+const STALE_AFTER_MS = 1000;
+
+// Formato de los ids de dispositivo (se usan en URLs)
+const DEVICE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// Registro de placas conectadas a la vez. Cada dispositivo tiene su propio puerto,
+// baudios y mapeo de canales (qué pedales aporta); las tramas de todos se fusionan
+// en una única instantánea con los tres pedales.
+//
+// Eventos emitidos:
+//   'frame'            (snapshot)                           Instantánea fusionada tras una trama de cualquier dispositivo
+//   'parse-error'      ({ rawData, error, code, timestamp, device })
+//   'frame-loss'       ({ seq, missing, device })
+//   'device-open'      ({ id, path, baudRate })
+//   'device-close'     ({ id, path })
+//   'device-failed'    ({ id, attempts })                   Reintentos de reconexión agotados
+//   'device-state'     ({ id, from, to, reason, timestamp }) Cambio de estado de la conexión
+//   'handshake'        ({ id, ...handshake })
+class DeviceRegistry extends EventEmitter {
+  constructor() {
+    super();
+
+    this.devices = new Map();
+
+    // Última lectura de cada pedal y qué dispositivo la aportó
+    this.snapshot = {};
+    this.channelUpdates = {};
+  }
+
+  // Validar la definición de un dispositivo (devuelve la lista de errores)
+  validateDevice({ id, path, baudRate, channels }, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || id !== undefined) {
+      if (typeof id !== 'string' || !DEVICE_ID_PATTERN.test(id)) {
+        errors.push('id: debe tener 1-32 caracteres (letras, números, "-" o "_")');
+      }
+    }
+
+    if (!partial || path !== undefined) {
+      if (typeof path !== 'string' || path.trim() === '') {
+        errors.push('path: se requiere el puerto serie');
+      }
+    }
+
+    if (baudRate !== undefined && (!Number.isInteger(baudRate) || baudRate < 300 || baudRate > 2000000)) {
+      errors.push('baudRate: debe ser un entero entre 300 y 2000000');
+    }
+
+    if (!partial || channels !== undefined) {
+      if (!Array.isArray(channels) || channels.length === 0) {
+        errors.push(`channels: debe ser una lista con al menos un pedal (${PEDALS.join(', ')})`);
+      } else {
+        const unknown = channels.filter(channel => !PEDALS.includes(channel));
+        if (unknown.length > 0) {
+          errors.push(`channels: pedales desconocidos ${unknown.join(', ')}`);
+        }
+        if (new Set(channels).size !== channels.length) {
+          errors.push('channels: hay pedales repetidos');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Dispositivos que ya aportan alguno de los canales indicados
+  findChannelConflicts(channels, exceptId = null) {
+    const conflicts = [];
+
+    this.devices.forEach(device => {
+      if (device.id === exceptId) return;
+      channels
+        .filter(channel => device.channels.includes(channel))
+        .forEach(channel => conflicts.push({ channel: channel, device: device.id }));
+    });
+
+    return conflicts;
+  }
+
+  // Registrar un dispositivo (no abre el puerto: ver connect)
+  register({ id, path = null, baudRate = 9600, channels = PEDALS.slice(), retry = {}, binding = null }) {
+    const device = {
+      id: id,
+      path: path,
+      baudRate: baudRate,
+      channels: channels,
+      connection: new ArduinoSerialConnection({
+        maxRetries: retry.maxRetries,
+        retryDelayMs: retry.delayMs,
+        maxRetryDelayMs: retry.maxDelayMs,
+        retryJitter: retry.jitter,
+        binding: binding
+      }),
+      handshake: null,
+      frames: 0,
+      lastFrameAt: null,
+      connectedAt: null
+    };
+
+    const { connection } = device;
+
+    connection.on('frame', (frame) => this.mergeFrame(device, frame));
+
+    connection.on('parse-error', (parseError) => {
+      this.emit('parse-error', { ...parseError, device: id });
+    });
+
+    connection.on('frame-loss', (loss) => {
+      this.emit('frame-loss', { ...loss, device: id });
+    });
+
+    connection.on('open', ({ path: openedPath, baudRate: openedBaudRate }) => {
+      device.path = openedPath;
+      device.baudRate = openedBaudRate;
+      device.connectedAt = Date.now();
+      this.emit('device-open', { id: id, path: openedPath, baudRate: openedBaudRate });
+      this.runHandshake(device);
+    });
+
+    connection.on('close', ({ path: closedPath }) => {
+      device.connectedAt = null;
+      this.emit('device-close', { id: id, path: closedPath });
+    });
+
+    connection.on('reconnect-failed', ({ attempts }) => {
+      this.emit('device-failed', { id: id, attempts: attempts });
+    });
+
+    connection.on('state', (transition) => {
+      this.emit('device-state', { id: id, ...transition });
+    });
+
+    connection.on('port-changed', ({ to }) => {
+      device.path = to;
+    });
+
+    this.devices.set(id, device);
+    return device;
+  }
+
+  // Abrir el puerto de un dispositivo registrado
+  async connect(id) {
+    const device = this.devices.get(id);
+    if (!device) return false;
+
+    return await device.connection.connectToPort(device.path, device.baudRate);
+  }
+
+  // Cerrar y eliminar un dispositivo del registro
+  remove(id) {
+    const device = this.devices.get(id);
+    if (!device) return false;
+
+    device.connection.removeAllListeners();
+    device.connection.disconnect();
+    this.devices.delete(id);
+    this.releaseChannels(device.channels);
+    return true;
+  }
+
+  // Cambiar los pedales que aporta un dispositivo
+  setChannels(id, channels) {
+    const device = this.devices.get(id);
+    if (!device) return null;
+
+    this.releaseChannels(device.channels.filter(channel => !channels.includes(channel)));
+    device.channels = channels;
+    return device;
+  }
+
+  // Olvidar las lecturas de canales que ya no aporta ningún dispositivo
+  releaseChannels(channels) {
+    channels.forEach(channel => {
+      delete this.snapshot[channel];
+      delete this.channelUpdates[channel];
+    });
+  }
+
+  // Identificar un dispositivo; el firmware con protocolo incompatible se desconecta
+  async runHandshake(device) {
+    device.handshake = { status: 'pending', path: device.path, startedAt: Date.now() };
+
+    const handshake = await performHandshake(device.connection, { path: device.path });
+
+    // El dispositivo pudo eliminarse mientras se identificaba
+    if (this.devices.get(device.id) !== device) return handshake;
+
+    device.handshake = handshake;
+    this.emit('handshake', { id: device.id, ...handshake });
+
+    if (handshake.status === 'identified') {
+      const { name, board, firmware, sampleRateHz } = handshake.device;
+      console.log(`\n🤝 [${device.id}] Dispositivo identificado: ${name || 'desconocido'} (${board || 'placa desconocida'}) firmware ${firmware || '?'}${sampleRateHz ? ` @ ${sampleRateHz} Hz` : ''}`);
+
+      const reported = handshake.device.channels;
+      if (reported) {
+        const missing = device.channels.filter(channel => !reported.includes(channel));
+        if (missing.length > 0) {
+          handshake.warnings.push(`Canales asignados que el dispositivo no lee: ${missing.join(', ')}`);
+        }
+      }
+    } else if (handshake.status === 'incompatible') {
+      console.error(`\n⛔ [${device.id}] Firmware incompatible: ${handshake.errors.join('; ')}`);
+      device.connection.disconnect();
+    } else if (handshake.status === 'failed') {
+      console.error(`\n❌ [${device.id}] Identificación fallida: ${handshake.errors.join('; ')}`);
+    }
+
+    handshake.warnings.forEach(warning => console.log(`⚠️ [${device.id}] ${warning}`));
+    return handshake;
+  }
+
+  // Incorporar la trama de un dispositivo a la instantánea (solo sus canales asignados)
+  mergeFrame(device, frame) {
+    const now = Date.now();
+    device.frames++;
+    device.lastFrameAt = now;
+
+    device.channels.forEach(channel => {
+      if (!frame[channel]) return;
+      this.snapshot[channel] = frame[channel];
+      this.channelUpdates[channel] = { device: device.id, timestamp: now };
+    });
+
+    // Una sola placa con los tres pedales conserva su estado original
+    const ownsEveryPedal = PEDALS.every(pedal => device.channels.includes(pedal));
+
+    const merged = {
+      ...this.snapshot,
+      status: ownsEveryPedal && frame.status ? frame.status : deriveStatus(this.snapshot),
+      timestamp: now,
+      device: device.id,
+      channels: { ...this.channelUpdates }
+    };
+
+    if (frame.protocol) merged.protocol = frame.protocol;
+    if (frame.seq !== undefined) merged.seq = frame.seq;
+    if (frame.rawData !== undefined) merged.rawData = frame.rawData;
+
+    this.emit('frame', merged);
+  }
+
+  // Obtener un dispositivo
+  get(id) {
+    return this.devices.get(id) || null;
+  }
+
+  // ¿Hay al menos un dispositivo con el puerto abierto?
+  hasConnectedDevice() {
+    return Array.from(this.devices.values()).some(device => device.connection.isPortConnected());
+  }
+
+  // Dispositivo que aporta un pedal
+  findByChannel(channel) {
+    return Array.from(this.devices.values()).find(device => device.channels.includes(channel)) || null;
+  }
+
+  // Salud de un dispositivo
+  getDeviceHealth(device) {
+    const now = Date.now();
+    const connected = !!device.connection.isPortConnected();
+    const ageMs = device.lastFrameAt ? now - device.lastFrameAt : null;
+
+    return {
+      id: device.id,
+      path: device.path,
+      baudRate: device.baudRate,
+      channels: device.channels,
+      state: device.connection.state,
+      connected: connected,
+      stale: connected && (ageMs === null || ageMs > STALE_AFTER_MS),
+      frames: device.frames,
+      lastFrameAt: device.lastFrameAt,
+      ageMs: ageMs,
+      connectedAt: device.connectedAt,
+      handshake: device.handshake,
+      connection: device.connection.getConnectionState(),
+      protocol: device.connection.getProtocolStats()
+    };
+  }
+
+  // Salud de todos los dispositivos y canales sin dispositivo asignado
+  getStatus() {
+    const devices = Array.from(this.devices.values()).map(device => this.getDeviceHealth(device));
+    const unassignedChannels = PEDALS.filter(pedal => !this.findByChannel(pedal));
+
+    return {
+      total: devices.length,
+      connected: devices.filter(device => device.connected).length,
+      devices: devices,
+      unassignedChannels: unassignedChannels,
+      staleAfterMs: STALE_AFTER_MS
+    };
+  }
+
+  // Cerrar todas las conexiones y cancelar sus reintentos pendientes
+  disconnectAll() {
+    let wasConnected = false;
+
+    this.devices.forEach(device => {
+      if (device.connection.isPortConnected()) {
+        wasConnected = true;
+      }
+      if (device.connection.state !== 'disconnected') {
+        device.connection.disconnect();
+      }
+    });
+
+    return wasConnected;
+  }
+}
+
+module.exports = {
+  PRIMARY_DEVICE_ID,
+  DeviceRegistry
+};
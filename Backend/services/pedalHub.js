@@ -0,0 +1,540 @@
+// Backend/services/pedalHub.js
+const EventEmitter = require('events');
+const { PRIMARY_DEVICE_ID, DeviceRegistry } = require('./deviceRegistry');
+const { PEDALS, DeviceCommandError } = require('./arduinoProtocol');
+const { createDataSources } = require('./dataSources');
+const { SerialEmulator } = require('./serialEmulator');
+const { config } = require('../config');
+
+// Frecuencia con la que se revisa si la fuente activa sigue enviando datos
+const SOURCE_CHECK_INTERVAL_MS = 250;
+
+// Cambios de fuente conservados para la API
+const SOURCE_HISTORY_SIZE = 20;
+
+// Fuentes que se pueden elegir desde la API ('auto' devuelve el control a la política)
+const SELECTABLE_SOURCES = ['auto', 'arduino', 'simulation', 'manual'];
+
+// Eventos emitidos:
+//   'frame'            (frame)                        Trama publicada por la fuente activa
+//   'source'           ({ from, to, reason, timestamp }) Cambio de fuente activa
+//   'parse-error', 'frame-loss', 'handshake', 'connection-state' (reenviados del registro)
+class PedalHub extends EventEmitter {
+  constructor() {
+    super();
+
+    // Fuentes de datos: solo la activa publica tramas. La política cambia entre
+    // Arduino y el respaldo (simulación) salvo que el usuario haya fijado una fuente.
+    this.sources = createDataSources(this);
+    this.activeSource = null;
+    this.sourceLock = null;
+    this.sourceHistory = [];
+    this.sourceCheck = null;
+    this.lastFrame = null;
+
+    // Placas conectadas; sus tramas se fusionan en una sola instantánea
+    this.devices = new DeviceRegistry();
+
+    // En modo "emulator" el dispositivo principal es una placa virtual
+    this.emulator = config.serial.mode === 'emulator' ? this.createEmulator() : null;
+
+    // Dispositivo principal: los pedales de serial.channels o, si no se indican,
+    // los que no aporte ninguna de las placas adicionales declaradas
+    this.arduino = this.devices.register({
+      id: PRIMARY_DEVICE_ID,
+      channels: this.getPrimaryChannels(),
+      retry: config.serial.retry,
+      binding: this.emulator ? this.emulator.binding : null
+    }).connection;
+
+    this.devices.on('frame', (snapshot) => {
+      this.handleSerialFrame(snapshot);
+    });
+
+    this.devices.on('parse-error', (parseError) => {
+      this.emit('parse-error', parseError);
+    });
+
+    this.devices.on('frame-loss', (loss) => {
+      this.emit('frame-loss', loss);
+    });
+
+    this.devices.on('handshake', (handshake) => {
+      this.emit('handshake', handshake);
+    });
+
+    this.devices.on('device-state', (transition) => {
+      this.emit('connection-state', transition);
+    });
+  }
+
+  // Arrancar las fuentes de datos según la configuración (lo llama bin/www)
+  async start() {
+    console.log('\n🚗 Sistema de Pedales Iniciado');
+    console.log('═══════════════════════════════════════════════');
+    console.log(`⚙️ Modo de conexión: ${config.serial.mode}${config.configFile ? ` (${config.configFile})` : ''}`);
+    console.log(`🎛️ Dispositivo principal: ${this.devices.get(PRIMARY_DEVICE_ID).channels.join(', ') || 'sin pedales'}`);
+    console.log('═══════════════════════════════════════════════\n');
+
+    // Placas adicionales declaradas en la configuración
+    for (const device of config.devices) {
+      const errors = this.devices.validateDevice(device);
+      const conflicts = errors.length === 0 ? this.devices.findChannelConflicts(device.channels) : [];
+
+      if (errors.length > 0 || conflicts.length > 0) {
+        const problems = errors.concat(conflicts.map(c => `canal ${c.channel} ya asignado a "${c.device}"`));
+        console.error(`❌ Placa "${device.id}" ignorada: ${problems.join('; ')}`);
+        continue;
+      }
+
+      await this.addDevice(device);
+    }
+
+    // Vigilar que la fuente activa siga enviando datos
+    this.sourceCheck = setInterval(() => this.checkActiveSource(), SOURCE_CHECK_INTERVAL_MS);
+    this.sourceCheck.unref();
+
+    return await this.connectToArduino();
+  }
+
+  // Pedales del dispositivo principal según la configuración
+  getPrimaryChannels() {
+    if (config.serial.channels) {
+      return config.serial.channels.slice();
+    }
+
+    const claimed = config.devices.flatMap(device => Array.isArray(device.channels) ? device.channels : []);
+    return PEDALS.filter(pedal => !claimed.includes(pedal));
+  }
+
+  // Crear el dispositivo virtual del modo "emulator" (las formas de onda inválidas se ignoran)
+  createEmulator() {
+    const { waveforms, ...options } = config.emulator;
+    const emulator = new SerialEmulator(options);
+    const errors = emulator.validateWaveforms(waveforms || {});
+
+    if (errors.length > 0) {
+      console.error(`❌ Formas de onda del emulador ignoradas: ${errors.join('; ')}`);
+    } else {
+      emulator.setWaveforms(waveforms || {});
+    }
+
+    return emulator;
+  }
+
+  // Hay al menos una placa con el puerto abierto
+  get isArduinoConnected() {
+    return this.devices.hasConnectedDevice();
+  }
+
+  // Resultado de la identificación del dispositivo principal
+  get handshake() {
+    return this.devices.get(PRIMARY_DEVICE_ID).handshake;
+  }
+
+  // Fuente de datos activa
+  get source() {
+    return this.activeSource || 'none';
+  }
+
+  get isSimulating() {
+    return this.activeSource === 'simulation';
+  }
+
+  // Simulación con escenario (aporta los tres pedales)
+  get isRunningScenario() {
+    return this.isSimulating && !!this.sources.simulation.scenario;
+  }
+
+  get isReplaying() {
+    return this.activeSource === 'replay';
+  }
+
+  // ====================================================================================================================
+  // POLÍTICA DE FUENTES
+  // ====================================================================================================================
+
+  // Activar una fuente (null = ninguna) deteniendo la anterior
+  switchSource(name, reason) {
+    const previous = this.activeSource;
+    if (previous === name) return false;
+
+    if (previous) this.sources[previous].stop();
+    if (name) this.sources[name].start();
+    this.activeSource = name;
+
+    const change = { from: previous || 'none', to: name || 'none', reason: reason, timestamp: Date.now() };
+    this.sourceHistory.push(change);
+    if (this.sourceHistory.length > SOURCE_HISTORY_SIZE) {
+      this.sourceHistory.shift();
+    }
+
+    console.log(`\n🔀 Fuente de datos: ${change.from} → ${change.to} (${reason})`);
+    this.emit('source', change);
+    return true;
+  }
+
+  // Fuente de respaldo configurada (null si es "none")
+  get fallbackSource() {
+    return config.sources.fallback === 'none' ? null : config.sources.fallback;
+  }
+
+  // Fuente que elegiría la política ahora mismo
+  pickSource() {
+    return this.sources.arduino.hasFreshData(config.sources.staleAfterMs) && this.isArduinoConnected
+      ? 'arduino'
+      : this.fallbackSource;
+  }
+
+  // Pasar al respaldo si no hay una fuente útil (Arduino sin datos o ninguna)
+  applyFallback(reason) {
+    if (this.sourceLock) return false;
+    if (this.activeSource && this.activeSource !== 'arduino') return false;
+
+    return this.switchSource(this.fallbackSource, reason);
+  }
+
+  // Tramas de las placas: se publican si el Arduino es la fuente activa y, si no,
+  // sirven para volver al hardware tras varias tramas seguidas
+  handleSerialFrame(snapshot) {
+    const serial = this.sources.arduino;
+    const { staleAfterMs, failbackFrames } = config.sources;
+
+    serial.receive(snapshot, staleAfterMs);
+
+    // El Arduino tiene prioridad sobre la reproducción, pero no sobre valores fijados a mano
+    if (this.activeSource === 'arduino' || this.sourceLock === 'manual') return;
+
+    if (serial.streak >= failbackFrames) {
+      this.sourceLock = null;
+      this.switchSource('arduino', `${serial.streak} tramas seguidas del Arduino`);
+      serial.publish(snapshot);
+    }
+  }
+
+  // Revisión periódica: sin tramas recientes del Arduino se pasa al respaldo
+  checkActiveSource() {
+    const { staleAfterMs } = config.sources;
+
+    if (this.activeSource === 'arduino' && !this.sources.arduino.hasFreshData(staleAfterMs)) {
+      this.switchSource(this.fallbackSource, `Sin tramas del Arduino durante más de ${staleAfterMs} ms`);
+    }
+  }
+
+  // Elegir la fuente desde la API
+  selectSource(name) {
+    if (!SELECTABLE_SOURCES.includes(name)) {
+      return { changed: false, reason: `Fuente desconocida (${SELECTABLE_SOURCES.join(', ')})` };
+    }
+
+    if (this.sourceLock === 'replay') {
+      return { changed: false, reason: 'Hay una reproducción de sesión activa - Detenla primero' };
+    }
+
+    if (name === 'arduino' && !this.isArduinoConnected) {
+      return { changed: false, reason: 'No hay ninguna placa conectada' };
+    }
+
+    if (name === 'simulation' && this.sources.arduino.hasFreshData(config.sources.staleAfterMs) && this.isArduinoConnected) {
+      return { changed: false, reason: 'Arduino enviando datos - La simulación no es necesaria' };
+    }
+
+    this.sourceLock = name === 'manual' ? 'manual' : null;
+    const target = name === 'auto' ? this.pickSource() : name;
+    this.switchSource(target, name === 'auto' ? 'Selección automática' : 'Elegida por el usuario');
+
+    return { changed: true, reason: `Fuente activa: ${this.source}` };
+  }
+
+  // Estado de las fuentes, la política y los últimos cambios
+  getSourcesStatus() {
+    return {
+      active: this.source,
+      lock: this.sourceLock,
+      policy: { ...config.sources },
+      sources: Object.values(this.sources).map(source => source.getStatus()),
+      history: this.sourceHistory.slice()
+    };
+  }
+
+  // Publicar una trama de pedales para todos los suscriptores
+  publishFrame(frame, source) {
+    this.lastFrame = {
+      ...frame,
+      timestamp: frame.timestamp || Date.now(),
+      source: source
+    };
+    this.emit('frame', this.lastFrame);
+  }
+
+  // Recolectar lecturas de las próximas tramas (readSample extrae la lectura de cada trama)
+  collectSamples(readSample, count = 20, timeoutMs = Math.max(5000, count * 300)) {
+    return new Promise((resolve, reject) => {
+      const samples = [];
+
+      const onFrame = (frame) => {
+        const reading = readSample(frame);
+        if (typeof reading !== 'number') return;
+
+        samples.push(reading);
+        if (samples.length >= count) {
+          finish();
+          resolve(samples);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`Solo se recibieron ${samples.length}/${count} lecturas`));
+      }, timeoutMs);
+
+      const finish = () => {
+        clearTimeout(timer);
+        this.off('frame', onFrame);
+      };
+
+      this.on('frame', onFrame);
+    });
+  }
+
+  // Conectar el dispositivo principal según el modo configurado.
+  // La fuente cambia sola al Arduino cuando llegan sus tramas.
+  async connectToArduino() {
+    const { mode, path, baudRate } = config.serial;
+
+    try {
+      if (mode === 'simulation') {
+        console.log('🎮 Modo simulación configurado - No se abrirá ningún puerto');
+        this.switchSource('simulation', 'Modo simulación configurado');
+        return false;
+      }
+
+      let connected;
+      if (mode === 'emulator') {
+        console.log(`🧪 Modo emulador - Dispositivo virtual en ${this.emulator.path}`);
+        connected = await this.arduino.connectToPort(this.emulator.path, baudRate);
+      } else if (mode === 'fixed') {
+        connected = await this.arduino.connectToPort(path, baudRate);
+      } else if (mode === 'interactive') {
+        // Selección por consola: solo si se pide expresamente (bloquea esperando stdin)
+        connected = await this.arduino.connectInteractive(baudRate);
+      } else {
+        console.log('📡 Buscando Arduino...');
+        connected = await this.arduino.connect(null, baudRate);
+      }
+
+      if (connected) {
+        console.log('✅ Arduino conectado - Esperando tramas');
+        console.log('═══════════════════════════════════════════════\n');
+      }
+
+      // Respaldo mientras no lleguen datos del hardware
+      this.applyFallback(connected ? 'Esperando tramas del Arduino' : 'Arduino no encontrado');
+      return connected;
+    } catch (error) {
+      console.error('❌ Error conectando Arduino:', error.message);
+      this.applyFallback('Error conectando Arduino');
+      return false;
+    }
+  }
+
+  // Conectar el dispositivo principal a un puerto específico
+  async connectToPort(portPath, baudRate = 9600) {
+    // Desconectar si ya hay una conexión
+    if (this.arduino.isPortConnected()) {
+      this.arduino.disconnect();
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    return await this.arduino.connectToPort(portPath, baudRate);
+  }
+
+  // Desconectar todas las placas (sin reintentos) y pasar al respaldo
+  disconnect() {
+    const wasConnected = this.devices.disconnectAll();
+    this.applyFallback('Desconexión manual');
+    return wasConnected;
+  }
+
+  // Registrar y conectar una placa adicional
+  async addDevice({ id, path, baudRate = 9600, channels }) {
+    this.devices.register({ id: id, path: path, baudRate: baudRate, channels: channels, retry: config.serial.retry });
+    return await this.devices.connect(id);
+  }
+
+  // Cerrar y eliminar una placa (si era la única con datos, la revisión periódica pasa al respaldo)
+  removeDevice(id) {
+    return this.devices.remove(id);
+  }
+
+  // Reconectar Arduino (mantiene el respaldo hasta que lleguen tramas)
+  async reconnect() {
+    console.log('\n🔄 Reintentando conexión con Arduino...');
+
+    // Desconectar si está conectado
+    if (this.arduino.isPortConnected()) {
+      this.arduino.disconnect();
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    // Volver al último dispositivo conocido (su ruta puede haberse redescubierto)
+    const { mode, path, baudRate } = config.serial;
+    const target = this.arduino.target;
+    const portPath = target ? target.path : (mode === 'fixed' ? path : null);
+    const connected = await this.arduino.connect(portPath, target ? target.baudRate : baudRate);
+
+    if (!connected) {
+      console.log('⚠️ Reconexión fallida');
+    }
+    this.applyFallback(connected ? 'Esperando tramas del Arduino' : 'Reconexión fallida');
+
+    return connected;
+  }
+
+  // Iniciar simulación (solo si el Arduino no está enviando datos). Con un escenario
+  // se simulan los tres pedales; si la simulación ya está activa se cambia de escenario.
+  startSimulation({ name = null, scenario = null, loop } = {}) {
+    if (this.activeSource === 'arduino') {
+      return { started: false, reason: 'Arduino conectado - La simulación no es necesaria' };
+    }
+
+    if (this.isReplaying) {
+      return { started: false, reason: 'Hay una reproducción de sesión activa' };
+    }
+
+    if (this.isSimulating && !scenario) {
+      return { started: false, reason: 'La simulación ya está activa' };
+    }
+
+    const simulation = this.sources.simulation;
+    simulation.setScenario(name, scenario, { loop: loop });
+
+    if (this.isSimulating) {
+      return { started: true, reason: `Escenario "${name}"` };
+    }
+
+    this.sourceLock = null;
+    this.switchSource('simulation', scenario ? `Escenario "${name}"` : 'Solicitada por el usuario');
+    return { started: true, reason: scenario ? `Escenario "${name}"` : 'Arduino sin datos' };
+  }
+
+  // Detener simulación (el respaldo automático vuelve a ser el freno sinusoidal)
+  stopSimulation() {
+    if (!this.isSimulating) {
+      return false;
+    }
+
+    this.switchSource(null, 'Simulación detenida por el usuario');
+    this.sources.simulation.setScenario(null);
+    return true;
+  }
+
+  // Ceder la fuente de datos a una reproducción de sesión (solo sin datos del Arduino)
+  beginReplay() {
+    if (this.activeSource === 'arduino') {
+      return { started: false, reason: 'Arduino conectado - Desconéctalo para reproducir una sesión' };
+    }
+
+    if (this.isReplaying) {
+      return { started: false, reason: 'Ya hay una reproducción activa' };
+    }
+
+    this.sourceLock = 'replay';
+    this.switchSource('replay', 'Reproducción de sesión');
+    return { started: true, reason: 'Reproducción de sesión' };
+  }
+
+  // Terminar la reproducción y devolver la fuente a la política
+  endReplay() {
+    if (this.sourceLock !== 'replay' && !this.isReplaying) {
+      return false;
+    }
+
+    this.sourceLock = null;
+    if (this.isReplaying) {
+      this.switchSource(this.pickSource(), 'Reproducción terminada');
+    }
+    return true;
+  }
+
+  // Verificar si el puerto serie está abierto
+  isPortConnected() {
+    return this.arduino.isPortConnected();
+  }
+
+  // Obtener lista de puertos para API
+  async getPortsList() {
+    return await this.arduino.getPortsList();
+  }
+
+  // Estado de conexión resumido
+  getConnectionStatus() {
+    return {
+      isArduinoConnected: this.isArduinoConnected,
+      isSimulating: this.isSimulating,
+      isReplaying: this.isReplaying,
+      connectionStatus: this.arduino.isPortConnected() ? 'connected' : 'disconnected',
+      connectionState: this.arduino.state,
+      dataSource: this.source,
+      sourceLock: this.sourceLock,
+      lastDataUpdate: this.lastFrame ? this.lastFrame.timestamp : null,
+      hasArduinoData: !!this.lastFrame && this.lastFrame.source === 'arduino',
+      handshake: this.handshake,
+      devices: this.devices.getStatus().devices.map(({ id, channels, state, connected, stale }) => ({ id, channels, state, connected, stale }))
+    };
+  }
+
+  // Enviar un comando al firmware y esperar su confirmación.
+  // Sin dispositivo explícito se usa el que aporta el pedal del comando (o el principal).
+  sendDeviceCommand(command, args = {}, options = {}, deviceId = null) {
+    let device = deviceId ? this.devices.get(deviceId) : null;
+
+    if (!deviceId) {
+      device = (args.pedal && this.devices.findByChannel(args.pedal)) || this.devices.get(PRIMARY_DEVICE_ID);
+    }
+
+    if (!device) {
+      return Promise.reject(new DeviceCommandError(`Dispositivo "${deviceId}" no registrado`, 'UNKNOWN_DEVICE', { device: deviceId }));
+    }
+
+    return device.connection.request(command, args, options);
+  }
+
+  // Estadísticas del protocolo serie (formato detectado, errores y secuencia)
+  getProtocolStats() {
+    return this.arduino.getProtocolStats();
+  }
+
+  // Salud de todas las placas registradas
+  getDevicesStatus() {
+    return this.devices.getStatus();
+  }
+
+  // Método de limpieza al cerrar
+  cleanup() {
+    console.log('\n\n👋 Cerrando sistema de pedales...');
+
+    clearInterval(this.sourceCheck);
+    this.switchSource(null, 'Cierre del sistema');
+
+    this.devices.disconnectAll();
+
+    console.log('✅ Sistema cerrado correctamente');
+  }
+}
+
+// Crear instancia singleton
+const pedalHub = new PedalHub();
+
+// Manejar cierre graceful
+process.on('SIGINT', () => {
+  pedalHub.cleanup();
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  pedalHub.cleanup();
+  process.exit(0);
+});
+
+module.exports = pedalHub;
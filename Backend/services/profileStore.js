@@ -0,0 +1,125 @@
+// Backend/services/profileStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../config');
+
+// Nombres permitidos: letras, números, espacios, guiones y guiones bajos
+const PROFILE_NAME_PATTERN = /^[\w\- ]{1,64}$/;
+
+class ProfileStore {
+  constructor(dataDir = config.dataDir) {
+    this.dataDir = path.resolve(dataDir);
+    this.profilesDir = path.join(this.dataDir, 'profiles');
+    this.stateFile = path.join(this.dataDir, 'state.json');
+  }
+
+  // Verificar si un nombre de perfil es válido
+  isValidName(name) {
+    return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name) && name.trim() === name;
+  }
+
+  // Ruta del archivo JSON de un perfil
+  getProfilePath(name) {
+    return path.join(this.profilesDir, `${name}.json`);
+  }
+
+  // Crear los directorios de datos si no existen
+  async ensureDirectories() {
+    await fs.mkdir(this.profilesDir, { recursive: true });
+  }
+
+  // Listar perfiles guardados (solo metadatos)
+  async list() {
+    await this.ensureDirectories();
+    const files = await fs.readdir(this.profilesDir);
+    const profiles = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const profile = await this.read(path.basename(file, '.json'));
+        profiles.push({
+          name: profile.name,
+          description: profile.description || '',
+          createdAt: profile.createdAt,
+          updatedAt: profile.updatedAt
+        });
+      } catch (error) {
+        console.error(`❌ Perfil ilegible (${file}):`, error.message);
+      }
+    }
+
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Verificar si existe un perfil
+  async exists(name) {
+    try {
+      await fs.access(this.getProfilePath(name));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Leer un perfil (null si no existe)
+  async read(name) {
+    try {
+      const content = await fs.readFile(this.getProfilePath(name), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Escribir un perfil de forma atómica (archivo temporal + rename)
+  async write(name, profile) {
+    await this.ensureDirectories();
+    const target = this.getProfilePath(name);
+    const temporary = `${target}.tmp`;
+
+    await fs.writeFile(temporary, JSON.stringify(profile, null, 2), 'utf8');
+    await fs.rename(temporary, target);
+    return profile;
+  }
+
+  // Eliminar un perfil
+  async remove(name) {
+    try {
+      await fs.unlink(this.getProfilePath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Leer el estado persistido (perfil activo)
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  // Obtener el nombre del perfil activo
+  async getActiveProfileName() {
+    const state = await this.readState();
+    return state.activeProfile || null;
+  }
+
+  // Guardar el nombre del perfil activo (null para ninguno)
+  async setActiveProfileName(name) {
+    await this.ensureDirectories();
+    const state = await this.readState();
+    state.activeProfile = name;
+    await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2), 'utf8');
+  }
+}
+
+// Crear instancia singleton
+const profileStore = new ProfileStore();
+
+module.exports = profileStore;
@@ -0,0 +1,85 @@
+// Backend/services/scenarioLibrary.js
+const fs = require('fs').promises;
+const path = require('path');
+const { validateScenario, compileScenario, getScenarioDuration } = require('../models/scenarioModel');
+
+// Escenarios predefinidos incluidos con el backend (un JSON por escenario)
+const DEFAULT_SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+// Nombres permitidos: letras, números, guiones y guiones bajos (nombre del archivo sin .json)
+const SCENARIO_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+class ScenarioLibrary {
+  constructor(scenariosDir = DEFAULT_SCENARIOS_DIR) {
+    this.scenariosDir = path.resolve(scenariosDir);
+  }
+
+  // Verificar si un nombre de escenario es válido
+  isValidName(name) {
+    return typeof name === 'string' && SCENARIO_NAME_PATTERN.test(name);
+  }
+
+  // Ruta del archivo JSON de un escenario
+  getScenarioPath(name) {
+    return path.join(this.scenariosDir, `${name}.json`);
+  }
+
+  // Listar escenarios disponibles (los inválidos se omiten)
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.scenariosDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const scenarios = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const name = path.basename(file, '.json');
+      try {
+        const scenario = await this.read(name);
+        const validation = validateScenario(scenario);
+
+        if (!validation.isValid) {
+          console.error(`❌ Escenario inválido (${file}): ${validation.errors.join('; ')}`);
+          continue;
+        }
+
+        scenarios.push(this.describe(name, scenario));
+      } catch (error) {
+        console.error(`❌ Escenario ilegible (${file}):`, error.message);
+      }
+    }
+
+    return scenarios.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Leer un escenario (null si no existe)
+  async read(name) {
+    try {
+      const content = await fs.readFile(this.getScenarioPath(name), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Resumen de un escenario para la API
+  describe(name, scenario) {
+    return {
+      name: name,
+      description: scenario.description || '',
+      loop: !!scenario.loop,
+      durationMs: getScenarioDuration(compileScenario(scenario)),
+      pedals: Object.keys(scenario.tracks)
+    };
+  }
+}
+
+// Crear instancia singleton
+const scenarioLibrary = new ScenarioLibrary();
+
+module.exports = scenarioLibrary;
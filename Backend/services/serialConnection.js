@@ -1,9 +1,54 @@
 // Backend/services/serialConnection.js
+const EventEmitter = require('events');
 const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
-
-class ArduinoSerialConnection {
-  constructor() {
+const {
+  DEVICE_COMMANDS,
+  DeviceCommandError,
+  parseArduinoLine,
+  parseReplyLine,
+  encodeCommand,
+  createSequenceTracker,
+  trackSequence
+} = require('./arduinoProtocol');
+
+// Valores por defecto de las peticiones al firmware
+const DEFAULT_COMMAND_TIMEOUT_MS = 1000;
+const DEFAULT_COMMAND_RETRIES = 2;
+
+// Máquina de estados de la conexión: estado → estados a los que puede pasar
+//   disconnected - sin puerto (inicial o tras desconexión manual)
+//   connecting   - abriendo el puerto o buscando el dispositivo
+//   connected    - puerto abierto
+//   backoff      - esperando para reintentar tras un fallo
+//   failed       - reintentos agotados (solo sale con una conexión explícita)
+const STATE_TRANSITIONS = {
+  disconnected: ['connecting'],
+  connecting: ['connected', 'backoff', 'failed', 'disconnected'],
+  connected: ['backoff', 'failed', 'disconnected'],
+  backoff: ['connecting', 'disconnected'],
+  failed: ['connecting', 'disconnected']
+};
+
+// Transiciones recientes conservadas para la API
+const STATE_HISTORY_SIZE = 20;
+
+// Eventos emitidos:
+//   'frame'            (data)                            Trama de pedales válida
+//   'parse-error'      ({ rawData, error, code, timestamp }) Línea que no se pudo interpretar
+//   'frame-loss'       ({ seq, missing })                Hueco en la secuencia (protocolo JSON)
+//   'reply'            ({ id, ok, result, error })       Respuesta ACK/NACK a un comando
+//   'open'             ({ path, baudRate })              Puerto abierto
+//   'close'            ({ path })                        Puerto cerrado
+//   'state'            ({ from, to, reason, timestamp }) Cambio de estado de la conexión
+//   'reconnecting'     ({ attempt, maxRetries, delay })  Reintento de conexión programado
+//   'reconnect-failed' ({ attempts })                    Reintentos agotados
+//   'port-changed'     ({ from, to })                    El dispositivo reapareció en otra ruta
+class ArduinoSerialConnection extends EventEmitter {
+  constructor({ maxRetries = 5, retryDelayMs = 3000, maxRetryDelayMs = 30000, retryJitter = 0.3, binding = null } = {}) {
+    super();
+    // Binding de serialport (null = el del sistema; el emulador aporta el suyo)
+    this.binding = binding;
     this.port = null;
     this.parser = null;
     this.isConnected = false;
@@ -14,15 +59,66 @@ class ArduinoSerialConnection {
       status: 'LIBERADOS',
       timestamp: Date.now()
     };
-    this.dataCallback = null;
     this.connectionAttempts = 0;
-    this.maxRetries = 5;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.retryJitter = retryJitter;
+
+    // Estado de la conexión y dispositivo al que reconectar
+    this.state = 'disconnected';
+    this.stateChangedAt = Date.now();
+    this.stateHistory = [];
+    this.target = null;
+    this.manualDisconnect = false;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+
+    // Protocolo detectado y estadísticas de recepción
+    this.sequence = createSequenceTracker();
+    this.protocolStats = this.createProtocolStats();
+
+    // Peticiones al firmware pendientes de ACK/NACK (id → petición)
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+  }
+
+  // Estadísticas de protocolo vacías
+  createProtocolStats() {
+    return {
+      protocol: null,
+      frames: 0,
+      parseErrors: 0,
+      checksumErrors: 0,
+      droppedFrames: 0
+    };
+  }
+
+  // Estadísticas del protocolo de la conexión actual
+  getProtocolStats() {
+    return {
+      ...this.protocolStats,
+      sequence: {
+        lastSeq: this.sequence.lastSeq,
+        received: this.sequence.received,
+        lost: this.sequence.lost,
+        duplicates: this.sequence.duplicates,
+        outOfOrder: this.sequence.outOfOrder,
+        resets: this.sequence.resets
+      }
+    };
+  }
+
+  // Listar los puertos serie visibles para el binding en uso
+  async listPorts() {
+    return this.binding ? await this.binding.list() : await SerialPort.list();
   }
 
   // Buscar puertos disponibles
   async findArduinoPorts() {
     try {
-      const ports = await SerialPort.list();
+      const ports = await this.listPorts();
       console.log('\n🔍 Puertos serie disponibles:');
       console.log('════════════════════════════════════════');
       
@@ -69,7 +165,7 @@ class ArduinoSerialConnection {
     });
 
     try {
-      const availablePorts = await SerialPort.list();
+      const availablePorts = await this.listPorts();
       
       if (availablePorts.length === 0) {
         console.log('❌ No se encontraron puertos serie disponibles');
@@ -129,14 +225,19 @@ class ArduinoSerialConnection {
     }
   }
 
-  // Conectar al Arduino
-  async connect(portPath = null, baudRate = 9600, interactive = true) {
+  // Conectar al Arduino (sin puerto se usa el primero detectado; interactive pregunta por consola)
+  async connect(portPath = null, baudRate = 9600, interactive = false) {
     try {
       if (this.isConnected) {
         console.log('⚠️ Ya hay una conexión activa');
         return false;
       }
 
+      // Una conexión pedida explícitamente sustituye a cualquier reintento pendiente
+      this.cancelReconnection();
+      this.manualDisconnect = false;
+      this.connectionAttempts = 0;
+
       let targetPort = portPath;
       
       // Si no se especifica puerto y está en modo interactivo
@@ -145,11 +246,13 @@ class ArduinoSerialConnection {
         
         if (targetPort === 'SIMULATION_MODE') {
           console.log('🎮 Modo simulación activado por selección del usuario');
+          this.setState('disconnected', { reason: 'Simulación elegida por el usuario' });
           return false;
         }
         
         if (!targetPort) {
           console.log('❌ No se pudo seleccionar un puerto');
+          this.setState('disconnected', { reason: 'Ningún puerto seleccionado' });
           return false;
         }
       } else if (!targetPort) {
@@ -157,21 +260,48 @@ class ArduinoSerialConnection {
         const availablePorts = await this.findArduinoPorts();
         if (availablePorts.length === 0) {
           console.log('❌ No se encontraron puertos serie disponibles');
+          this.setState('disconnected', { reason: 'No hay puertos serie disponibles' });
           return false;
         }
         targetPort = availablePorts[0].path;
         console.log(`🎯 Usando puerto automático: ${targetPort}`);
       }
 
+      // Recordar el dispositivo para volver a encontrarlo si cambia de ruta
+      this.target = {
+        path: targetPort,
+        baudRate: baudRate,
+        identity: await this.lookupPortIdentity(targetPort)
+      };
+
+      return this.openPort(targetPort, baudRate);
+    } catch (error) {
+      console.error('❌ Error conectando al Arduino:', error.message);
+      this.lastError = error.message;
+      this.setState('disconnected', { reason: error.message });
+      return false;
+    }
+  }
+
+  // Abrir el puerto serie y enlazar sus eventos con la máquina de estados
+  openPort(targetPort, baudRate) {
+    try {
+      this.setState('connecting', { reason: `Abriendo ${targetPort}`, path: targetPort });
       console.log(`🔌 Intentando conectar al puerto: ${targetPort}`);
-      
+
+      // Los eventos del puerto anterior ya no deben afectar al estado
+      if (this.port) {
+        this.port.removeAllListeners();
+      }
+
       this.port = new SerialPort({
         path: targetPort,
         baudRate: baudRate,
         dataBits: 8,
         parity: 'none',
         stopBits: 1,
-        flowControl: false
+        flowControl: false,
+        ...(this.binding ? { binding: this.binding } : {})
       });
 
       this.parser = this.port.pipe(new ReadlineParser({ delimiter: '\n' }));
@@ -180,20 +310,27 @@ class ArduinoSerialConnection {
       this.port.on('open', () => {
         this.isConnected = true;
         this.connectionAttempts = 0;
+        this.lastError = null;
+        this.target.path = targetPort;
+        this.sequence = createSequenceTracker();
+        this.protocolStats = this.createProtocolStats();
         console.log('✅ Conexión serie establecida');
         console.log(`📡 Puerto: ${targetPort} | Baudios: ${baudRate}`);
+        this.setState('connected', { reason: 'Puerto abierto', path: targetPort });
+        this.emit('open', { path: targetPort, baudRate: baudRate });
       });
 
       this.port.on('error', (err) => {
         console.error('❌ Error en puerto serie:', err.message);
-        this.isConnected = false;
-        this.attemptReconnection();
+        this.lastError = err.message;
+        this.handleConnectionLoss('error');
       });
 
       this.port.on('close', () => {
         console.log('🔌 Conexión serie cerrada');
-        this.isConnected = false;
-        this.attemptReconnection();
+        this.rejectPendingRequests('Puerto cerrado');
+        this.emit('close', { path: targetPort });
+        this.handleConnectionLoss('close');
       });
 
       // Procesar datos recibidos
@@ -204,8 +341,8 @@ class ArduinoSerialConnection {
       return true;
     } catch (error) {
       console.error('❌ Error conectando al Arduino:', error.message);
-      this.isConnected = false;
-      this.attemptReconnection();
+      this.lastError = error.message;
+      this.handleConnectionLoss('error');
       return false;
     }
   }
@@ -217,56 +354,62 @@ class ArduinoSerialConnection {
   }
 
   // Listar y conectar interactivamente
-  async connectInteractive() {
-    return await this.connect(null, 9600, true);
+  async connectInteractive(baudRate = 9600) {
+    return await this.connect(null, baudRate, true);
   }
 
-  // Procesar datos del Arduino
+  // Procesar datos del Arduino (protocolo JSON o texto original)
   parseArduinoData(rawData) {
+    let frame;
     try {
-      // Ejemplo de datos: "Acel: 0/1023 (0%) | Freno: 512/1023 (50%) | Clutch: 0/1023 (0%) | FRENANDO"
-      
-      // Expresiones regulares para extraer datos
-      const throttleMatch = rawData.match(/Acel:\s*(\d+)\/1023\s*\((\d+)%\)/);
-      const brakeMatch = rawData.match(/Freno:\s*(\d+)\/1023\s*\((\d+)%\)/);
-      const clutchMatch = rawData.match(/Clutch:\s*(\d+)\/1023\s*\((\d+)%\)/);
-      const statusMatch = rawData.match(/(ACELERANDO|FRENANDO|EMBRAGUE|LIBERADOS)$/);
-
-      if (throttleMatch && brakeMatch && clutchMatch && statusMatch) {
-        // Actualizar datos actuales
-        this.currentData = {
-          throttle: {
-            value: parseInt(throttleMatch[1]),
-            percentage: parseInt(throttleMatch[2]),
-            active: parseInt(throttleMatch[2]) > 0
-          },
-          brake: {
-            value: parseInt(brakeMatch[1]),
-            percentage: parseInt(brakeMatch[2]),
-            active: parseInt(brakeMatch[2]) > 0
-          },
-          clutch: {
-            value: parseInt(clutchMatch[1]),
-            percentage: parseInt(clutchMatch[2]),
-            active: parseInt(clutchMatch[2]) > 0
-          },
-          status: statusMatch[1],
-          timestamp: Date.now(),
-          rawData: rawData
-        };
-
-        // Mostrar en terminal con formato mejorado
-        this.displayPedalData();
-
-        // Ejecutar callback si existe
-        if (this.dataCallback) {
-          this.dataCallback(this.currentData);
-        }
+      // Las respuestas a comandos no son tramas de pedales
+      const reply = parseReplyLine(rawData);
+      if (reply) {
+        this.handleReply(reply);
+        return;
       }
+
+      frame = parseArduinoLine(rawData);
     } catch (error) {
-      console.error('❌ Error procesando datos del Arduino:', error.message);
-      console.log('📦 Datos recibidos:', rawData);
+      this.protocolStats.parseErrors++;
+      if (error.code === 'CHECKSUM') this.protocolStats.checksumErrors++;
+
+      this.emit('parse-error', {
+        rawData: rawData,
+        error: error.message,
+        code: error.code || 'UNKNOWN',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    this.protocolStats.protocol = frame.protocol;
+
+    // Descartar tramas repetidas o desordenadas y avisar de las perdidas
+    if (frame.seq !== undefined) {
+      const result = trackSequence(this.sequence, frame.seq);
+      if (result.status === 'duplicate' || result.status === 'out-of-order') {
+        this.protocolStats.droppedFrames++;
+        return;
+      }
+      if (result.status === 'gap') {
+        this.emit('frame-loss', { seq: frame.seq, missing: result.missing });
+      }
+      if (result.status === 'reset') {
+        console.log(`\n🔁 Secuencia reiniciada en ${frame.seq} (¿reinicio de la placa?)`);
+      }
     }
+
+    this.protocolStats.frames++;
+
+    // Actualizar datos actuales
+    this.currentData = frame;
+
+    // Mostrar en terminal con formato mejorado
+    this.displayPedalData();
+
+    // Notificar a todos los suscriptores
+    this.emit('frame', this.currentData);
   }
 
   // Mostrar datos de pedales en terminal
@@ -316,10 +459,13 @@ class ArduinoSerialConnection {
     // Limpiar línea y mostrar datos
     process.stdout.write('\r\x1b[K');
     
+    // Las placas que solo leen algunos pedales muestran "--" en el resto
+    const formatPercentage = (pedal) => pedal ? pedal.percentage.toString().padStart(3) + '%' : ' --';
+
     const display = `${colors.bold}🚗 PEDALES:${colors.reset} ` +
-                   `${colors.green}🚀${throttle.percentage.toString().padStart(3)}%${colors.reset} ` +
-                   `${colors.red}🛑${brake.percentage.toString().padStart(3)}%${colors.reset} ` +
-                   `${colors.yellow}🔧${clutch.percentage.toString().padStart(3)}%${colors.reset} ` +
+                   `${colors.green}🚀${formatPercentage(throttle)}${colors.reset} ` +
+                   `${colors.red}🛑${formatPercentage(brake)}${colors.reset} ` +
+                   `${colors.yellow}🔧${formatPercentage(clutch)}${colors.reset} ` +
                    `${statusColor}${statusIcon} ${status}${colors.reset}`;
     
     process.stdout.write(display);
@@ -327,31 +473,202 @@ class ArduinoSerialConnection {
     // Mostrar barras detalladas ocasionalmente
     if (Date.now() % 3000 < 100) { // Cada 3 segundos aprox
       console.log('\n');
-      console.log(`🚀 Acelerador: ${colors.green}[${createBar(throttle.percentage)}]${colors.reset} ${throttle.percentage}%`);
-      console.log(`🛑 Freno:      ${colors.red}[${createBar(brake.percentage)}]${colors.reset} ${brake.percentage}%`);
-      console.log(`🔧 Embrague:   ${colors.yellow}[${createBar(clutch.percentage)}]${colors.reset} ${clutch.percentage}%`);
+      if (throttle) console.log(`🚀 Acelerador: ${colors.green}[${createBar(throttle.percentage)}]${colors.reset} ${throttle.percentage}%`);
+      if (brake) console.log(`🛑 Freno:      ${colors.red}[${createBar(brake.percentage)}]${colors.reset} ${brake.percentage}%`);
+      if (clutch) console.log(`🔧 Embrague:   ${colors.yellow}[${createBar(clutch.percentage)}]${colors.reset} ${clutch.percentage}%`);
       console.log('────────────────────────────────────────────────');
     }
   }
 
+  // Cambiar de estado (solo transiciones permitidas) y notificarlo
+  setState(next, { reason = null, ...details } = {}) {
+    const previous = this.state;
+    if (previous === next) return true;
+
+    if (!STATE_TRANSITIONS[previous].includes(next)) {
+      console.error(`❌ Transición de conexión no permitida: ${previous} → ${next}`);
+      return false;
+    }
+
+    const transition = {
+      from: previous,
+      to: next,
+      reason: reason,
+      timestamp: Date.now(),
+      ...details
+    };
+
+    this.state = next;
+    this.stateChangedAt = transition.timestamp;
+    this.stateHistory.push(transition);
+    if (this.stateHistory.length > STATE_HISTORY_SIZE) {
+      this.stateHistory.shift();
+    }
+
+    this.emit('state', transition);
+    return true;
+  }
+
+  // Estado de la conexión, destino recordado y últimas transiciones
+  getConnectionState() {
+    return {
+      state: this.state,
+      since: this.stateChangedAt,
+      path: this.target ? this.target.path : null,
+      baudRate: this.target ? this.target.baudRate : null,
+      identity: this.target ? this.target.identity : null,
+      attempt: this.connectionAttempts,
+      maxRetries: this.maxRetries,
+      nextRetryAt: this.nextRetryAt,
+      lastError: this.lastError,
+      history: this.stateHistory.slice()
+    };
+  }
+
+  // Reaccionar a un error o cierre del puerto. Un mismo fallo suele llegar como
+  // 'error' y 'close': solo el primero programa el reintento.
+  handleConnectionLoss(cause) {
+    this.isConnected = false;
+
+    if (this.manualDisconnect) {
+      this.setState('disconnected', { reason: 'Desconexión manual' });
+      return;
+    }
+
+    if (this.state === 'backoff' || this.state === 'failed') {
+      return;
+    }
+
+    this.attemptReconnection(cause);
+  }
+
+  // Espera antes del intento n: crece exponencialmente hasta maxRetryDelayMs, con jitter
+  getBackoffDelay(attempt) {
+    const exponential = Math.min(this.maxRetryDelayMs, this.retryDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(exponential * (1 - this.retryJitter * Math.random()));
+  }
+
   // Intentar reconexión automática
-  attemptReconnection() {
+  attemptReconnection(cause = 'error') {
     if (this.connectionAttempts < this.maxRetries) {
       this.connectionAttempts++;
-      console.log(`🔄 Reintentando conexión (${this.connectionAttempts}/${this.maxRetries}) en 3 segundos...`);
-      
-      setTimeout(() => {
-        this.connect();
-      }, 3000);
+      const delay = this.getBackoffDelay(this.connectionAttempts);
+      this.nextRetryAt = Date.now() + delay;
+
+      console.log(`🔄 Reintentando conexión (${this.connectionAttempts}/${this.maxRetries}) en ${(delay / 1000).toFixed(1)} segundos...`);
+      this.setState('backoff', {
+        reason: this.lastError || `Conexión perdida (${cause})`,
+        attempt: this.connectionAttempts,
+        delay: delay
+      });
+      this.emit('reconnecting', {
+        attempt: this.connectionAttempts,
+        maxRetries: this.maxRetries,
+        delay: delay
+      });
+
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.nextRetryAt = null;
+        this.retryConnection();
+      }, delay);
     } else {
       console.log('❌ Máximo número de reintentos alcanzado');
       console.log('💡 Verifica que el Arduino esté conectado y funcionando');
+      this.nextRetryAt = null;
+      this.setState('failed', { reason: 'Reintentos agotados', attempts: this.connectionAttempts });
+      this.emit('reconnect-failed', { attempts: this.connectionAttempts });
+    }
+  }
+
+  // Reintento programado: buscar de nuevo el dispositivo (sin preguntar nunca por consola)
+  async retryConnection() {
+    this.setState('connecting', { reason: 'Buscando el dispositivo', attempt: this.connectionAttempts });
+
+    const portPath = await this.rediscoverPort();
+    if (!portPath) {
+      this.lastError = 'Dispositivo no encontrado';
+      this.attemptReconnection();
+      return;
+    }
+
+    this.openPort(portPath, this.target ? this.target.baudRate : 9600);
+  }
+
+  // Cancelar el reintento programado
+  cancelReconnection() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  // Número de serie y VID/PID del puerto (null si no se pueden obtener)
+  async lookupPortIdentity(portPath) {
+    try {
+      const ports = await this.listPorts();
+      const port = ports.find(p => p.path === portPath);
+      if (!port) return null;
+
+      return {
+        serialNumber: port.serialNumber || null,
+        vendorId: port.vendorId || null,
+        productId: port.productId || null,
+        manufacturer: port.manufacturer || null
+      };
+    } catch (error) {
+      return null;
     }
   }
 
-  // Establecer callback para datos
+  // Encontrar el puerto actual del dispositivo: por número de serie, luego por VID/PID
+  // y por último la ruta anterior. Sin destino previo se usa el primer puerto tipo Arduino.
+  async rediscoverPort() {
+    let ports;
+    try {
+      ports = await this.listPorts();
+    } catch (error) {
+      // Sin listado de puertos solo se puede reintentar la ruta conocida
+      return this.target ? this.target.path : null;
+    }
+
+    if (!this.target) {
+      const candidate = ports.find(port => this.isArduinoLikePort(port));
+      if (candidate) {
+        this.target = { path: candidate.path, baudRate: 9600, identity: await this.lookupPortIdentity(candidate.path) };
+      }
+      return candidate ? candidate.path : null;
+    }
+
+    const { path: previousPath, identity } = this.target;
+    let match = null;
+
+    if (identity && identity.serialNumber) {
+      match = ports.find(port => port.serialNumber === identity.serialNumber);
+    } else if (identity && identity.vendorId && identity.productId) {
+      const sameModel = ports.filter(port => port.vendorId === identity.vendorId && port.productId === identity.productId);
+      // Con varias placas iguales solo es fiable la ruta anterior
+      match = sameModel.find(port => port.path === previousPath) || (sameModel.length === 1 ? sameModel[0] : null);
+    } else {
+      match = ports.find(port => port.path === previousPath);
+    }
+
+    if (!match) return null;
+
+    if (match.path !== previousPath) {
+      console.log(`🔎 Dispositivo encontrado en una nueva ruta: ${previousPath} → ${match.path}`);
+      this.emit('port-changed', { from: previousPath, to: match.path });
+      this.target.path = match.path;
+    }
+
+    return match.path;
+  }
+
+  // Suscribirse a las tramas de datos (admite varios suscriptores)
   onDataReceived(callback) {
-    this.dataCallback = callback;
+    this.on('frame', callback);
+    return () => this.off('frame', callback);
   }
 
   // Obtener datos actuales
@@ -364,9 +681,12 @@ class ArduinoSerialConnection {
     return this.isConnected && this.port && this.port.isOpen;
   }
 
-  // Cerrar conexión
+  // Cerrar conexión (sin reintentos automáticos)
   disconnect() {
     try {
+      this.manualDisconnect = true;
+      this.cancelReconnection();
+
       if (this.port && this.port.isOpen) {
         this.port.close((err) => {
           if (err) {
@@ -377,25 +697,118 @@ class ArduinoSerialConnection {
         });
       }
       this.isConnected = false;
+      this.setState('disconnected', { reason: 'Desconexión manual' });
     } catch (error) {
       console.error('❌ Error desconectando:', error.message);
     }
   }
 
-  // Enviar comando al Arduino (si necesitas enviar algo)
+  // Enviar una línea al Arduino sin esperar respuesta
   sendCommand(command) {
     if (this.isPortConnected()) {
       this.port.write(command + '\n');
       console.log(`📤 Comando enviado: ${command}`);
+      return true;
     } else {
       console.log('❌ No hay conexión para enviar comando');
+      return false;
+    }
+  }
+
+  // Enviar un comando y esperar su ACK/NACK (reintenta con el mismo id si vence el timeout)
+  request(command, args = {}, options = {}) {
+    const definition = DEVICE_COMMANDS[command] || {};
+    const timeoutMs = options.timeoutMs || definition.timeoutMs || DEFAULT_COMMAND_TIMEOUT_MS;
+    const retries = options.retries !== undefined ? options.retries : DEFAULT_COMMAND_RETRIES;
+
+    if (!this.isPortConnected()) {
+      return Promise.reject(new DeviceCommandError('No hay conexión con el dispositivo', 'NOT_CONNECTED'));
     }
+
+    const id = this.nextRequestId;
+    this.nextRequestId = this.nextRequestId % 65535 + 1;
+    const line = encodeCommand(id, command, args);
+
+    return new Promise((resolve, reject) => {
+      const pending = {
+        id: id,
+        command: command,
+        attempts: 0,
+        sentAt: Date.now(),
+        timer: null,
+        resolve: resolve,
+        reject: reject
+      };
+
+      const send = () => {
+        pending.attempts++;
+        this.port.write(line + '\n');
+        console.log(`📤 Comando #${id} enviado (intento ${pending.attempts}): ${command}`);
+
+        pending.timer = setTimeout(() => {
+          if (pending.attempts <= retries && this.isPortConnected()) {
+            send();
+            return;
+          }
+
+          this.pendingRequests.delete(id);
+          reject(new DeviceCommandError(
+            `Sin respuesta del dispositivo a "${command}" tras ${pending.attempts} intentos`,
+            'TIMEOUT',
+            { id: id, attempts: pending.attempts, timeoutMs: timeoutMs }
+          ));
+        }, timeoutMs);
+      };
+
+      this.pendingRequests.set(id, pending);
+      send();
+    });
+  }
+
+  // Resolver la petición pendiente que corresponde a una respuesta
+  handleReply(reply) {
+    this.emit('reply', reply);
+
+    const pending = this.pendingRequests.get(reply.id);
+    if (!pending) {
+      console.log(`⚠️ Respuesta #${reply.id} sin petición pendiente (duplicada o tardía)`);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(reply.id);
+
+    const outcome = {
+      id: reply.id,
+      command: pending.command,
+      attempts: pending.attempts,
+      latencyMs: Date.now() - pending.sentAt
+    };
+
+    if (reply.ok) {
+      pending.resolve({ ...outcome, ok: true, result: reply.result });
+    } else {
+      pending.reject(new DeviceCommandError(
+        `El dispositivo rechazó "${pending.command}": ${reply.error}`,
+        'NACK',
+        { ...outcome, reason: reply.error }
+      ));
+    }
+  }
+
+  // Rechazar todas las peticiones pendientes (al cerrar el puerto)
+  rejectPendingRequests(reason) {
+    this.pendingRequests.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new DeviceCommandError(reason, 'DISCONNECTED', { id: pending.id, attempts: pending.attempts }));
+    });
+    this.pendingRequests.clear();
   }
 
   // Obtener lista de puertos para API
   async getPortsList() {
     try {
-      const ports = await SerialPort.list();
+      const ports = await this.listPorts();
       return ports.map(port => ({
         path: port.path,
         manufacturer: port.manufacturer || 'Desconocido',
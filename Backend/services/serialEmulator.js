@@ -0,0 +1,643 @@
+// Backend/services/serialEmulator.js
+const EventEmitter = require('events');
+const {
+  PROTOCOL_VERSION,
+  PEDALS,
+  FRAME_PROTOCOLS,
+  computeChecksum,
+  deriveStatus,
+  encodeJsonFrame
+} = require('./arduinoProtocol');
+
+// Formas de onda de cada pedal (porcentajes entre min y max)
+//   constant - siempre "value"
+//   sine     - seno de min a max con periodo periodMs
+//   ramp     - diente de sierra de min a max
+//   triangle - sube de min a max y vuelve a bajar
+//   square   - mitad del periodo en min y mitad en max
+const WAVEFORM_TYPES = ['constant', 'sine', 'ramp', 'triangle', 'square'];
+
+// Fallos que se pueden inyectar
+//   garbage       - las próximas "count" líneas son bytes sin sentido
+//   partial       - las próximas "count" tramas se cortan sin salto de línea
+//   disconnect    - el dispositivo desaparece durante durationMs (opcionalmente vuelve en otra ruta)
+//   baud-mismatch - el dispositivo transmite a otros baudios durante durationMs
+//   silence       - el puerto sigue abierto pero no se envían tramas durante durationMs
+const FAULT_TYPES = ['garbage', 'partial', 'disconnect', 'baud-mismatch', 'silence'];
+
+// Identidad que devuelve el comando "identify"
+const EMULATOR_IDENTITY = {
+  device: 'Pedalera emulada',
+  board: 'Emulador',
+  firmware: '1.0.0'
+};
+
+// Datos del puerto tal como los lista el sistema (VID/PID de un Arduino Uno)
+const EMULATOR_PORT_INFO = {
+  manufacturer: 'Arduino (emulado)',
+  vendorId: '2341',
+  productId: '0043'
+};
+
+// Fallos recientes conservados para la API
+const FAULT_HISTORY_SIZE = 20;
+
+const COMMAND_LINE_PATTERN = /^(\{.*\})\*([0-9A-Fa-f]{2})$/;
+
+// Función para crear el error con el que se cancelan las lecturas al cerrar el puerto
+function createCanceledError(message) {
+  const error = new Error(message);
+  error.canceled = true;
+  return error;
+}
+
+// Puerto abierto por el backend sobre el emulador. Implementa la interfaz de
+// bindings de serialport (read/write/close...), así que la conexión usa el mismo
+// SerialPort, parser y máquina de estados que con una placa real.
+class EmulatedPortBinding {
+  constructor(emulator, openOptions) {
+    this.emulator = emulator;
+    this.openOptions = openOptions;
+    this.isOpen = true;
+    this.buffer = Buffer.alloc(0);
+    this.pendingRead = null;
+    this.readError = null;
+  }
+
+  // Datos enviados por el "firmware" hacia el backend
+  push(data) {
+    if (!this.isOpen) return;
+
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(data)]);
+    if (this.pendingRead) {
+      const { resolve } = this.pendingRead;
+      this.pendingRead = null;
+      resolve();
+    }
+  }
+
+  // Desconexión física: la lectura en curso falla y serialport cierra el puerto
+  unplug(error) {
+    if (this.pendingRead) {
+      const { reject } = this.pendingRead;
+      this.pendingRead = null;
+      reject(error);
+    } else {
+      this.readError = error;
+    }
+  }
+
+  async read(buffer, offset, length) {
+    if (!this.isOpen) throw createCanceledError('Puerto cerrado');
+
+    if (this.buffer.length === 0 && !this.readError) {
+      await new Promise((resolve, reject) => {
+        this.pendingRead = { resolve, reject };
+      });
+    }
+
+    if (this.readError) {
+      const error = this.readError;
+      this.readError = null;
+      throw error;
+    }
+
+    const bytesRead = this.buffer.copy(buffer, offset, 0, length);
+    this.buffer = this.buffer.subarray(bytesRead);
+    return { bytesRead: bytesRead, buffer: buffer };
+  }
+
+  async write(buffer) {
+    if (!this.isOpen) throw new Error('Puerto cerrado');
+    this.emulator.receive(buffer);
+  }
+
+  async close() {
+    if (!this.isOpen) throw new Error('Puerto cerrado');
+
+    this.isOpen = false;
+    this.buffer = Buffer.alloc(0);
+    if (this.pendingRead) {
+      const { reject } = this.pendingRead;
+      this.pendingRead = null;
+      reject(createCanceledError('Puerto cerrado'));
+    }
+    this.emulator.detach(this);
+  }
+
+  async update({ baudRate }) {
+    this.openOptions.baudRate = baudRate;
+  }
+
+  async set() {}
+
+  async get() {
+    return { cts: true, dsr: true, dcd: true };
+  }
+
+  async getBaudRate() {
+    return { baudRate: this.openOptions.baudRate };
+  }
+
+  async flush() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async drain() {}
+}
+
+// Dispositivo serie virtual que habla el protocolo del firmware. Sirve para probar
+// de punta a punta (conexión, parser, reconexión y API) sin placa física.
+//
+// Se usa como binding de serialport: new ArduinoSerialConnection({ binding: emulator.binding })
+//
+// Eventos emitidos:
+//   'open'    ({ path, baudRate })       El backend abrió el puerto
+//   'close'   ({ path })                 El backend cerró el puerto
+//   'command' ({ id, cmd, args })        Comando recibido del backend
+//   'fault'   ({ type, ... })            Fallo inyectado
+class SerialEmulator extends EventEmitter {
+  constructor({
+    path = '/dev/ttyEMU0',
+    baudRate = 9600,
+    protocol = 'json-v1',
+    sampleRateHz = 50,
+    channels = PEDALS.slice(),
+    waveforms = {},
+    serialNumber = 'EMU0001'
+  } = {}) {
+    super();
+
+    if (!FRAME_PROTOCOLS.includes(protocol)) {
+      throw new Error(`Protocolo de emulador desconocido: ${protocol} (${FRAME_PROTOCOLS.join(', ')})`);
+    }
+
+    this.path = path;
+    this.baudRate = baudRate;
+    this.protocol = protocol;
+    this.sampleRateHz = sampleRateHz;
+    this.channels = channels;
+    this.serialNumber = serialNumber;
+
+    this.waveforms = {};
+    PEDALS.forEach(pedal => {
+      this.waveforms[pedal] = { type: 'constant', value: 0 };
+    });
+    this.setWaveforms(waveforms);
+
+    // Puerto abierto por el backend (solo uno a la vez, como un puerto real)
+    this.port = null;
+    this.timer = null;
+    this.startedAt = Date.now();
+    this.seq = 0;
+    this.linesSent = 0;
+    this.commandsReceived = 0;
+    this.inputBuffer = '';
+
+    // Fallos pendientes o en curso
+    this.pendingFaults = { garbage: 0, partial: 0 };
+    this.unpluggedUntil = null;
+    this.silenceUntil = null;
+    this.mismatchUntil = null;
+    this.mismatchBaudRate = null;
+    this.faultTimers = [];
+    this.faultHistory = [];
+
+    // Binding de serialport que abre este dispositivo
+    this.binding = {
+      list: () => this.list(),
+      open: (options) => this.open(options)
+    };
+  }
+
+  // Validar formas de onda (devuelve la lista de errores)
+  validateWaveforms(waveforms) {
+    const errors = [];
+
+    if (!waveforms || typeof waveforms !== 'object' || Array.isArray(waveforms)) {
+      return ['waveforms: se esperaba un objeto { pedal: forma de onda }'];
+    }
+
+    Object.keys(waveforms).forEach(pedal => {
+      const waveform = waveforms[pedal];
+
+      if (!PEDALS.includes(pedal)) {
+        errors.push(`${pedal}: pedal desconocido (${PEDALS.join(', ')})`);
+        return;
+      }
+      if (!waveform || typeof waveform !== 'object') {
+        errors.push(`${pedal}: se esperaba un objeto`);
+        return;
+      }
+      if (!WAVEFORM_TYPES.includes(waveform.type)) {
+        errors.push(`${pedal}.type: debe ser uno de ${WAVEFORM_TYPES.join(', ')}`);
+      }
+
+      ['value', 'min', 'max'].forEach(key => {
+        const value = waveform[key];
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+          errors.push(`${pedal}.${key}: debe ser un porcentaje entre 0 y 100`);
+        }
+      });
+
+      if (waveform.min !== undefined && waveform.max !== undefined && waveform.min > waveform.max) {
+        errors.push(`${pedal}: min no puede ser mayor que max`);
+      }
+      if (waveform.periodMs !== undefined && (typeof waveform.periodMs !== 'number' || waveform.periodMs < 100)) {
+        errors.push(`${pedal}.periodMs: debe ser un número mayor o igual a 100`);
+      }
+      if (waveform.phase !== undefined && (typeof waveform.phase !== 'number' || waveform.phase < 0 || waveform.phase > 1)) {
+        errors.push(`${pedal}.phase: debe ser un número entre 0 y 1`);
+      }
+      if (waveform.noise !== undefined && (typeof waveform.noise !== 'number' || waveform.noise < 0 || waveform.noise > 100)) {
+        errors.push(`${pedal}.noise: debe ser un porcentaje entre 0 y 100`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Cambiar la forma de onda de los pedales indicados (los demás se conservan)
+  setWaveforms(waveforms) {
+    Object.keys(waveforms).forEach(pedal => {
+      this.waveforms[pedal] = {
+        min: 0,
+        max: 100,
+        periodMs: 4000,
+        phase: 0,
+        noise: 0,
+        ...waveforms[pedal]
+      };
+    });
+    return this.waveforms;
+  }
+
+  // Porcentaje de un pedal en el instante t (ms desde el arranque)
+  sampleWaveform(waveform, t) {
+    const { type, min, max, periodMs, phase, noise } = waveform;
+    const position = ((t / periodMs) + phase) % 1;
+    let percentage;
+
+    switch (type) {
+      case 'sine':
+        percentage = min + (max - min) * (0.5 - 0.5 * Math.cos(2 * Math.PI * position));
+        break;
+      case 'ramp':
+        percentage = min + (max - min) * position;
+        break;
+      case 'triangle':
+        percentage = min + (max - min) * (position < 0.5 ? position * 2 : (1 - position) * 2);
+        break;
+      case 'square':
+        percentage = position < 0.5 ? min : max;
+        break;
+      default:
+        percentage = waveform.value !== undefined ? waveform.value : min;
+    }
+
+    if (noise) {
+      percentage += (Math.random() - 0.5) * noise;
+    }
+
+    return Math.min(100, Math.max(0, percentage));
+  }
+
+  // Trama de los canales del dispositivo en el instante actual
+  createFrame() {
+    const t = Date.now() - this.startedAt;
+    const frame = {};
+
+    // El formato de texto siempre lleva los tres pedales
+    const pedals = this.protocol === 'legacy' ? PEDALS : this.channels;
+
+    pedals.forEach(pedal => {
+      const percentage = Math.round(this.sampleWaveform(this.waveforms[pedal], t));
+      frame[pedal] = {
+        value: Math.round((percentage / 100) * 1023),
+        percentage: percentage
+      };
+    });
+
+    // El estado se deduce igual que en el parser: pedal activo si su porcentaje es mayor que 0
+    const activity = {};
+    pedals.forEach(pedal => {
+      activity[pedal] = { active: frame[pedal].percentage > 0 };
+    });
+    frame.status = deriveStatus(activity);
+    return frame;
+  }
+
+  // Línea tal como la enviaría el firmware
+  encodeFrame(frame) {
+    if (this.protocol === 'legacy') {
+      const { throttle, brake, clutch } = frame;
+      return `Acel: ${throttle.value}/1023 (${throttle.percentage}%) | Freno: ${brake.value}/1023 (${brake.percentage}%) | Clutch: ${clutch.value}/1023 (${clutch.percentage}%) | ${frame.status}`;
+    }
+
+    const line = encodeJsonFrame(frame, this.seq);
+    this.seq = (this.seq + 1) % 65536;
+    return line;
+  }
+
+  // ====================================================================================================================
+  // BINDING DE SERIALPORT
+  // ====================================================================================================================
+
+  // Puertos visibles (ninguno mientras el dispositivo está "desenchufado")
+  async list() {
+    if (this.isUnplugged()) return [];
+
+    return [{
+      path: this.path,
+      ...EMULATOR_PORT_INFO,
+      serialNumber: this.serialNumber,
+      pnpId: undefined,
+      locationId: undefined
+    }];
+  }
+
+  // Abrir el puerto desde el backend
+  async open(options) {
+    await new Promise(resolve => process.nextTick(resolve));
+
+    if (this.isUnplugged() || options.path !== this.path) {
+      throw new Error(`No existe el puerto ${options.path}`);
+    }
+    if (this.port) {
+      throw new Error(`El puerto ${options.path} ya está en uso`);
+    }
+
+    this.port = new EmulatedPortBinding(this, { ...options });
+    this.inputBuffer = '';
+    this.startStreaming();
+
+    this.emit('open', { path: this.path, baudRate: options.baudRate });
+    return this.port;
+  }
+
+  // El backend cerró el puerto
+  detach(port) {
+    if (this.port !== port) return;
+
+    this.port = null;
+    this.stopStreaming();
+    this.emit('close', { path: this.path });
+  }
+
+  // Enviar tramas periódicamente mientras el puerto esté abierto
+  startStreaming() {
+    this.stopStreaming();
+    this.timer = setInterval(() => this.tick(), Math.round(1000 / this.sampleRateHz));
+    this.timer.unref();
+  }
+
+  stopStreaming() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Enviar una trama aplicando los fallos en curso
+  tick() {
+    if (!this.port) return;
+    if (this.silenceUntil && Date.now() < this.silenceUntil) return;
+
+    let line = this.encodeFrame(this.createFrame());
+    let terminator = '\n';
+
+    if (this.pendingFaults.garbage > 0) {
+      this.pendingFaults.garbage--;
+      line = this.createGarbage(line.length);
+    } else if (this.pendingFaults.partial > 0) {
+      // Sin salto de línea: la trama se pega a la siguiente
+      this.pendingFaults.partial--;
+      line = line.slice(0, Math.max(1, Math.floor(line.length * Math.random())));
+      terminator = '';
+    }
+
+    this.transmit(line + terminator);
+  }
+
+  // Enviar bytes al backend (ilegibles si los baudios no coinciden)
+  transmit(text) {
+    if (!this.port) return;
+
+    const deviceBaudRate = this.mismatchBaudRate && Date.now() < this.mismatchUntil ? this.mismatchBaudRate : this.baudRate;
+    const data = deviceBaudRate === this.port.openOptions.baudRate
+      ? Buffer.from(text)
+      : this.garble(Buffer.from(text));
+
+    this.linesSent++;
+    this.port.push(data);
+  }
+
+  // Bytes aleatorios imprimibles (ruido en la línea)
+  createGarbage(length) {
+    let garbage = '';
+    for (let i = 0; i < length; i++) {
+      garbage += String.fromCharCode(33 + Math.floor(Math.random() * 94));
+    }
+    return garbage;
+  }
+
+  // Lo que recibe una UART a otra velocidad: bytes alterados, sin perder los saltos de línea
+  garble(data) {
+    return Buffer.from(data.map(byte => byte === 0x0A ? byte : ((byte * 7 + 0x55) & 0xFF) || 0x3F));
+  }
+
+  // ====================================================================================================================
+  // COMANDOS DEL BACKEND
+  // ====================================================================================================================
+
+  // Bytes escritos por el backend (comandos terminados en salto de línea)
+  receive(data) {
+    this.inputBuffer += Buffer.from(data).toString();
+
+    const lines = this.inputBuffer.split('\n');
+    this.inputBuffer = lines.pop();
+
+    lines.map(line => line.trim()).filter(Boolean).forEach(line => this.handleCommandLine(line));
+  }
+
+  // Responder a un comando como el firmware (el formato de texto original no entiende comandos)
+  handleCommandLine(line) {
+    if (this.protocol === 'legacy') return;
+
+    const match = line.match(COMMAND_LINE_PATTERN);
+    if (!match || computeChecksum(match[1]) !== match[2].toUpperCase()) return;
+
+    let command;
+    try {
+      command = JSON.parse(match[1]);
+    } catch (error) {
+      return;
+    }
+    if (!Number.isInteger(command.id)) return;
+
+    this.commandsReceived++;
+    this.emit('command', command);
+
+    const args = command.args || {};
+    switch (command.cmd) {
+      case 'ping':
+        this.reply(command.id, true, { uptimeMs: Date.now() - this.startedAt });
+        break;
+      case 'identify':
+        this.reply(command.id, true, {
+          ...EMULATOR_IDENTITY,
+          serial: this.serialNumber,
+          protocol: PROTOCOL_VERSION,
+          channels: this.channels,
+          sampleRateHz: this.sampleRateHz
+        });
+        break;
+      case 'set-sample-rate':
+        this.sampleRateHz = args.hz;
+        if (this.port) this.startStreaming();
+        this.reply(command.id, true, { hz: this.sampleRateHz });
+        break;
+      case 'tare':
+      case 'set-dead-zone':
+      case 'set-curve':
+        this.reply(command.id, true, null);
+        break;
+      default:
+        this.reply(command.id, false, null, `Comando desconocido: ${command.cmd}`);
+    }
+  }
+
+  // Enviar una respuesta ACK/NACK
+  reply(id, ok, result, error = null) {
+    const message = ok ? { ack: id, ok: true, result: result } : { ack: id, ok: false, error: error };
+    const payload = JSON.stringify(message);
+    this.transmit(`${payload}*${computeChecksum(payload)}\n`);
+  }
+
+  // ====================================================================================================================
+  // FALLOS INYECTADOS
+  // ====================================================================================================================
+
+  // Validar un fallo (devuelve la lista de errores)
+  validateFault({ type, count, durationMs, baudRate, path } = {}) {
+    const errors = [];
+
+    if (!FAULT_TYPES.includes(type)) {
+      errors.push(`type: debe ser uno de ${FAULT_TYPES.join(', ')}`);
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+      errors.push('count: debe ser un entero entre 1 y 1000');
+    }
+    if (durationMs !== undefined && (!Number.isInteger(durationMs) || durationMs < 0 || durationMs > 600000)) {
+      errors.push('durationMs: debe ser un entero entre 0 y 600000');
+    }
+    if (baudRate !== undefined && (!Number.isInteger(baudRate) || baudRate < 300 || baudRate > 2000000)) {
+      errors.push('baudRate: debe ser un entero entre 300 y 2000000');
+    }
+    if (path !== undefined && (typeof path !== 'string' || path.trim() === '')) {
+      errors.push('path: debe ser una ruta de puerto');
+    }
+
+    return errors;
+  }
+
+  // Inyectar un fallo; devuelve su descripción
+  injectFault({ type, count = 1, durationMs = 3000, baudRate, path } = {}) {
+    const now = Date.now();
+    let fault;
+
+    switch (type) {
+      case 'garbage':
+      case 'partial':
+        this.pendingFaults[type] += count;
+        fault = { type: type, count: count };
+        break;
+      case 'silence':
+        this.silenceUntil = now + durationMs;
+        fault = { type: type, durationMs: durationMs };
+        break;
+      case 'baud-mismatch':
+        this.mismatchBaudRate = baudRate || (this.baudRate === 115200 ? 9600 : 115200);
+        this.mismatchUntil = now + durationMs;
+        fault = { type: type, durationMs: durationMs, baudRate: this.mismatchBaudRate };
+        break;
+      case 'disconnect':
+        fault = this.unplug(durationMs, path);
+        break;
+    }
+
+    fault.timestamp = now;
+    this.faultHistory.push(fault);
+    if (this.faultHistory.length > FAULT_HISTORY_SIZE) {
+      this.faultHistory.shift();
+    }
+
+    console.log(`\n💥 Emulador: fallo "${type}" inyectado`);
+    this.emit('fault', fault);
+    return fault;
+  }
+
+  // Desenchufar el dispositivo; vuelve tras durationMs (en newPath si se indica)
+  unplug(durationMs, newPath = null) {
+    this.unpluggedUntil = Date.now() + durationMs;
+
+    if (this.port) {
+      this.port.unplug(new Error('Dispositivo desconectado'));
+    }
+
+    const timer = setTimeout(() => {
+      this.unpluggedUntil = null;
+      if (newPath) this.path = newPath;
+      console.log(`\n🔌 Emulador: dispositivo de nuevo disponible en ${this.path}`);
+    }, durationMs);
+    timer.unref();
+    this.faultTimers.push(timer);
+
+    return { type: 'disconnect', durationMs: durationMs, path: newPath || this.path };
+  }
+
+  isUnplugged() {
+    return this.unpluggedUntil !== null && Date.now() < this.unpluggedUntil;
+  }
+
+  // Cancelar los fallos pendientes y en curso
+  clearFaults() {
+    this.pendingFaults = { garbage: 0, partial: 0 };
+    this.silenceUntil = null;
+    this.mismatchUntil = null;
+    this.mismatchBaudRate = null;
+    this.unpluggedUntil = null;
+    this.faultTimers.forEach(timer => clearTimeout(timer));
+    this.faultTimers = [];
+  }
+
+  // Estado del emulador
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      path: this.path,
+      baudRate: this.baudRate,
+      protocol: this.protocol,
+      sampleRateHz: this.sampleRateHz,
+      channels: this.channels,
+      serialNumber: this.serialNumber,
+      open: !!this.port,
+      hostBaudRate: this.port ? this.port.openOptions.baudRate : null,
+      linesSent: this.linesSent,
+      commandsReceived: this.commandsReceived,
+      waveforms: this.waveforms,
+      faults: {
+        pending: { ...this.pendingFaults },
+        unplugged: this.isUnplugged(),
+        silent: !!this.silenceUntil && now < this.silenceUntil,
+        baudMismatch: !!this.mismatchUntil && now < this.mismatchUntil,
+        history: this.faultHistory.slice()
+      }
+    };
+  }
+}
+
+module.exports = {
+  WAVEFORM_TYPES,
+  FAULT_TYPES,
+  SerialEmulator
+};
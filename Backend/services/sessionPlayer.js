@@ -0,0 +1,183 @@
+// Backend/services/sessionPlayer.js
+const fs = require('fs').promises;
+const pedalHub = require('./pedalHub');
+const sessionRecorder = require('./sessionRecorder');
+const { parseArduinoLine } = require('./arduinoProtocol');
+const { parseSessionFile } = require('../models/sessionModel');
+
+// Límites del factor de velocidad de reproducción
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 20;
+
+class SessionPlayer {
+  constructor(hub, recorder) {
+    this.hub = hub;
+    this.recorder = recorder;
+
+    // Estado de la reproducción en curso
+    this.isPlaying = false;
+    this.timer = null;
+    this.file = null;
+    this.entries = [];
+    this.index = 0;
+    this.speed = 1;
+    this.loop = false;
+    this.loopCount = 0;
+    this.playStartedAt = null;
+    this.framesPublished = 0;
+    this.lastStopReason = null;
+  }
+
+  // Iniciar la reproducción de una grabación
+  async start({ file, speed = 1, loop = false } = {}) {
+    if (this.isPlaying) {
+      return { started: false, reason: `Ya se está reproduciendo ${this.file}` };
+    }
+
+    if (!this.recorder.isValidFileName(file)) {
+      return { started: false, reason: 'Archivo de grabación inválido' };
+    }
+
+    if (typeof speed !== 'number' || speed < MIN_SPEED || speed > MAX_SPEED) {
+      return { started: false, reason: `La velocidad debe estar entre ${MIN_SPEED} y ${MAX_SPEED}` };
+    }
+
+    if (this.recorder.isRecording && this.recorder.file === file) {
+      return { started: false, reason: 'No se puede reproducir una grabación en curso' };
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(this.recorder.getRecordingPath(file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { started: false, reason: `No existe la grabación ${file}`, notFound: true };
+      }
+      throw error;
+    }
+
+    let entries;
+    try {
+      entries = parseSessionFile(content, this.recorder.getFormat(file)).entries;
+    } catch (error) {
+      return { started: false, reason: `Grabación ilegible: ${error.message}` };
+    }
+
+    if (entries.length === 0) {
+      return { started: false, reason: 'La grabación no contiene tramas' };
+    }
+
+    const source = this.hub.beginReplay();
+    if (!source.started) {
+      return source;
+    }
+
+    this.file = file;
+    this.entries = entries;
+    this.speed = speed;
+    this.loop = !!loop;
+    this.loopCount = 0;
+    this.framesPublished = 0;
+    this.lastStopReason = null;
+    this.isPlaying = true;
+    this.restart();
+
+    console.log(`\n▶️ Reproduciendo ${file} (${entries.length} entradas, x${speed})`);
+    return { started: true, reason: `Reproduciendo ${file}` };
+  }
+
+  // Volver al inicio de la grabación
+  restart() {
+    this.index = 0;
+    this.playStartedAt = Date.now();
+    this.scheduleNext();
+  }
+
+  // Programar la siguiente entrada respetando los tiempos grabados
+  scheduleNext() {
+    const entry = this.entries[this.index];
+    const target = this.playStartedAt + entry.t / this.speed;
+    const delay = Math.max(0, target - Date.now());
+
+    this.timer = setTimeout(() => this.playEntry(entry), delay);
+  }
+
+  // Enviar una entrada por el mismo camino que los datos del Arduino
+  playEntry(entry) {
+    // El hub pudo cambiar de fuente (el Arduino real tiene prioridad sobre la reproducción)
+    if (!this.hub.isReplaying) {
+      this.stop(`La fuente de datos cambió a ${this.hub.source}`);
+      return;
+    }
+
+    if (entry.raw) {
+      try {
+        this.hub.sources.replay.publish(parseArduinoLine(entry.raw));
+        this.framesPublished++;
+      } catch (error) {
+        this.hub.emit('parse-error', {
+          rawData: entry.raw,
+          error: error.message,
+          code: error.code,
+          timestamp: Date.now(),
+          source: 'replay'
+        });
+      }
+    } else if (entry.type === 'frame' && entry.frame) {
+      this.hub.sources.replay.publish({ ...entry.frame, timestamp: Date.now() });
+      this.framesPublished++;
+    }
+
+    this.index++;
+    if (this.index < this.entries.length) {
+      this.scheduleNext();
+    } else if (this.loop) {
+      this.loopCount++;
+      this.restart();
+    } else {
+      this.stop('Fin de la grabación');
+    }
+  }
+
+  // Detener la reproducción (devuelve false si no había ninguna)
+  stop(reason = 'Detenida manualmente') {
+    if (!this.isPlaying) {
+      return false;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isPlaying = false;
+    this.lastStopReason = reason;
+    this.hub.endReplay();
+
+    console.log(`\n⏹️ Reproducción detenida: ${reason}`);
+    return true;
+  }
+
+  // Estado de la reproducción
+  getStatus() {
+    const total = this.entries.length;
+    const durationMs = total > 0 ? this.entries[total - 1].t : 0;
+
+    return {
+      isPlaying: this.isPlaying,
+      file: this.file,
+      speed: this.speed,
+      loop: this.loop,
+      loopCount: this.loopCount,
+      position: this.index,
+      totalEntries: total,
+      progress: total > 0 ? Math.round((this.index / total) * 100) : 0,
+      framesPublished: this.framesPublished,
+      durationMs: durationMs,
+      elapsedMs: this.isPlaying ? Math.round((Date.now() - this.playStartedAt) * this.speed) : null,
+      lastStopReason: this.lastStopReason
+    };
+  }
+}
+
+// Crear instancia singleton
+const sessionPlayer = new SessionPlayer(pedalHub, sessionRecorder);
+
+module.exports = sessionPlayer;
@@ -0,0 +1,180 @@
+// Backend/services/sessionRecorder.js
+const fs = require('fs');
+const path = require('path');
+const pedalHub = require('./pedalHub');
+const { config } = require('../config');
+const {
+  SESSION_FORMATS,
+  createSessionHeader,
+  createFrameEntry,
+  createParseErrorEntry,
+  serializeHeader,
+  serializeEntry
+} = require('../models/sessionModel');
+
+// Nombres de grabación permitidos: letras, números, espacios, guiones y guiones bajos + extensión
+const RECORDING_FILE_PATTERN = /^[\w\- ]{1,64}\.(ndjson|csv)$/;
+
+class SessionRecorder {
+  constructor(hub, dataDir = config.dataDir) {
+    this.hub = hub;
+    this.recordingsDir = path.join(path.resolve(dataDir), 'recordings');
+
+    // Estado de la grabación en curso
+    this.isRecording = false;
+    this.stream = null;
+    this.file = null;
+    this.format = null;
+    this.startedAt = null;
+    this.frameCount = 0;
+    this.parseErrorCount = 0;
+
+    this.onFrame = (frame) => this.writeEntry(createFrameEntry(frame, this.startedAt));
+    this.onParseError = (parseError) => {
+      this.parseErrorCount++;
+      this.writeEntry(createParseErrorEntry(parseError, this.startedAt));
+    };
+  }
+
+  // Verificar si un nombre de archivo de grabación es válido
+  isValidFileName(file) {
+    return typeof file === 'string' && RECORDING_FILE_PATTERN.test(file) && file.trim() === file;
+  }
+
+  // Ruta de un archivo de grabación
+  getRecordingPath(file) {
+    return path.join(this.recordingsDir, file);
+  }
+
+  // Formato de un archivo según su extensión
+  getFormat(file) {
+    return path.extname(file).slice(1);
+  }
+
+  // Nombre por defecto: session-AAAAMMDD-HHMMSS
+  defaultName(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `session-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+
+  // Iniciar una grabación
+  async start({ name, format = 'ndjson' } = {}) {
+    if (this.isRecording) {
+      return { started: false, reason: `Ya se está grabando en ${this.file}` };
+    }
+
+    if (!SESSION_FORMATS.includes(format)) {
+      return { started: false, reason: `Formato no soportado (usa ${SESSION_FORMATS.join(' o ')})` };
+    }
+
+    const file = `${name || this.defaultName()}.${format}`;
+    if (!this.isValidFileName(file)) {
+      return { started: false, reason: 'El nombre debe tener 1-64 caracteres (letras, números, espacios, "-" o "_")' };
+    }
+
+    await fs.promises.mkdir(this.recordingsDir, { recursive: true });
+    try {
+      await fs.promises.access(this.getRecordingPath(file));
+      return { started: false, reason: `Ya existe una grabación llamada ${file}` };
+    } catch (error) {
+      // No existe: se puede crear
+    }
+
+    this.file = file;
+    this.format = format;
+    this.startedAt = Date.now();
+    this.frameCount = 0;
+    this.parseErrorCount = 0;
+    this.stream = fs.createWriteStream(this.getRecordingPath(file), { flags: 'wx' });
+    this.stream.on('error', (error) => {
+      console.error('❌ Error escribiendo grabación:', error.message);
+      this.stop();
+    });
+
+    this.stream.write(serializeHeader(createSessionHeader(this.startedAt, format), format));
+    this.hub.on('frame', this.onFrame);
+    this.hub.on('parse-error', this.onParseError);
+    this.isRecording = true;
+
+    console.log(`\n⏺️ Grabación iniciada: ${file}`);
+    return { started: true, reason: `Grabando en ${file}` };
+  }
+
+  // Escribir una entrada en el archivo
+  writeEntry(entry) {
+    if (!this.isRecording) return;
+
+    if (entry.type === 'frame') this.frameCount++;
+    this.stream.write(serializeEntry(entry, this.format));
+  }
+
+  // Detener la grabación (null si no había ninguna)
+  async stop() {
+    if (!this.isRecording) {
+      return null;
+    }
+
+    this.isRecording = false;
+    this.hub.off('frame', this.onFrame);
+    this.hub.off('parse-error', this.onParseError);
+
+    const summary = this.getStatus();
+    summary.durationMs = Date.now() - this.startedAt;
+
+    const stream = this.stream;
+    await new Promise(resolve => stream.destroyed ? resolve() : stream.end(resolve));
+    this.stream = null;
+
+    console.log(`\n⏹️ Grabación detenida: ${summary.file} (${summary.frames} tramas)`);
+    return summary;
+  }
+
+  // Estado de la grabación
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      file: this.file,
+      format: this.format,
+      startedAt: this.startedAt,
+      frames: this.frameCount,
+      parseErrors: this.parseErrorCount
+    };
+  }
+
+  // Listar grabaciones guardadas
+  async list() {
+    await fs.promises.mkdir(this.recordingsDir, { recursive: true });
+    const files = (await fs.promises.readdir(this.recordingsDir)).filter(file => this.isValidFileName(file));
+    const recordings = [];
+
+    for (const file of files) {
+      const stats = await fs.promises.stat(this.getRecordingPath(file));
+      recordings.push({
+        file: file,
+        format: this.getFormat(file),
+        size: stats.size,
+        modifiedAt: stats.mtimeMs,
+        isRecording: this.isRecording && this.file === file
+      });
+    }
+
+    return recordings.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  // Eliminar una grabación
+  async remove(file) {
+    try {
+      await fs.promises.unlink(this.getRecordingPath(file));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+// Crear instancia singleton
+const sessionRecorder = new SessionRecorder(pedalHub);
+
+module.exports = sessionRecorder;
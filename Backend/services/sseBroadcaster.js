@@ -0,0 +1,132 @@
+// Backend/services/sseBroadcaster.js
+
+// Tamaño por defecto del buffer circular para reanudar con Last-Event-ID
+const DEFAULT_BUFFER_SIZE = 200;
+
+// Intervalo de los comentarios de heartbeat (mantienen viva la conexión en proxies)
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+// Tiempo de reconexión sugerido al navegador
+const RETRY_MS = 2000;
+
+// Difusión de eventos Server-Sent Events a todos los clientes de un stream.
+// Cada evento lleva un id creciente; los clientes que se reconectan con Last-Event-ID
+// reciben los eventos que se perdieron mientras sigan en el buffer.
+class SseBroadcaster {
+  constructor({ name, bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    this.name = name;
+    this.bufferSize = bufferSize;
+    this.heartbeatMs = heartbeatMs;
+
+    this.clients = new Set();
+    this.buffer = [];
+    this.lastEventId = 0;
+    this.heartbeat = null;
+  }
+
+  // Serializar un evento en formato SSE
+  formatEvent({ id, event, data }) {
+    return `id: ${id}\n${event ? `event: ${event}\n` : ''}data: ${data}\n\n`;
+  }
+
+  // Publicar un evento para todos los clientes conectados
+  publish(data, event) {
+    const entry = {
+      id: ++this.lastEventId,
+      event: event,
+      data: JSON.stringify(data)
+    };
+
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    const message = this.formatEvent(entry);
+    this.clients.forEach(res => res.write(message));
+    return entry.id;
+  }
+
+  // Registrar un cliente (req/res de Express) y reanudar desde Last-Event-ID si lo envía
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    this.replayMissed(res, req.headers['last-event-id'] || req.query.lastEventId);
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  // Enviar a un cliente los eventos posteriores a lastEventId
+  replayMissed(res, lastEventIdHeader) {
+    const lastEventId = parseInt(lastEventIdHeader, 10);
+
+    // Cliente nuevo (o id de una ejecución anterior del servidor): enviar solo el estado actual
+    if (isNaN(lastEventId) || lastEventId > this.lastEventId) {
+      const latest = this.buffer[this.buffer.length - 1];
+      if (latest) res.write(this.formatEvent(latest));
+      return;
+    }
+
+    const missed = this.buffer.filter(entry => entry.id > lastEventId);
+    const oldestAvailable = this.buffer.length > 0 ? this.buffer[0].id : this.lastEventId + 1;
+
+    // Parte de los eventos ya salió del buffer: avisar al cliente del hueco
+    if (oldestAvailable > lastEventId + 1) {
+      res.write(`event: gap\ndata: ${JSON.stringify({
+        from: lastEventId + 1,
+        to: oldestAvailable - 1,
+        dropped: oldestAvailable - lastEventId - 1
+      })}\n\n`);
+    }
+
+    missed.forEach(entry => res.write(this.formatEvent(entry)));
+  }
+
+  // Iniciar heartbeat compartido
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      const comment = `: heartbeat ${Date.now()}\n\n`;
+      this.clients.forEach(res => res.write(comment));
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  // Detener heartbeat cuando no quedan clientes
+  stopHeartbeat() {
+    if (!this.heartbeat) return;
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  // Estado del stream
+  getStatus() {
+    return {
+      name: this.name,
+      clients: this.clients.size,
+      lastEventId: this.lastEventId,
+      buffered: this.buffer.length,
+      bufferSize: this.bufferSize,
+      heartbeatMs: this.heartbeatMs
+    };
+  }
+}
+
+module.exports = SseBroadcaster;
@@ -0,0 +1,77 @@
+// Backend/services/statsBuffer.js
+const {
+  STATS_WINDOWS,
+  createStatsAccumulator,
+  accumulateSnapshot,
+  summarizeStats
+} = require('../models/statsModel');
+
+// Las instantáneas se guardan solo durante la ventana móvil más larga
+const MAX_WINDOW_MS = Math.max(...Object.values(STATS_WINDOWS)
+  .map(window => window.durationMs)
+  .filter(durationMs => durationMs !== null));
+
+// Serie temporal en memoria de los tres pedales. Las ventanas móviles se calculan
+// sobre las instantáneas guardadas; la sesión se acumula de forma incremental para
+// no crecer con el tiempo.
+class StatsBuffer {
+  constructor() {
+    this.reset();
+  }
+
+  // Empezar una sesión nueva
+  reset() {
+    this.snapshots = [];
+    this.recordedSnapshots = 0;
+    this.session = createStatsAccumulator();
+    this.resetAt = this.session.startedAt;
+  }
+
+  // Registrar una instantánea de los pedales
+  record(snapshot) {
+    this.snapshots.push(snapshot);
+    this.recordedSnapshots++;
+    accumulateSnapshot(this.session, snapshot);
+    this.trim(snapshot.timestamp);
+  }
+
+  // Descartar las instantáneas anteriores a la ventana más larga
+  trim(now) {
+    const windowStart = now - MAX_WINDOW_MS;
+    let expired = 0;
+    while (expired < this.snapshots.length && this.snapshots[expired].timestamp < windowStart) expired++;
+    if (expired > 0) this.snapshots.splice(0, expired);
+  }
+
+  // Estadísticas de una ventana ('10s', '1m', 'session')
+  getStats(windowName, options = {}) {
+    const window = STATS_WINDOWS[windowName];
+
+    if (window.durationMs === null) {
+      return { window: windowName, ...summarizeStats(this.session, options) };
+    }
+
+    const windowStart = Date.now() - window.durationMs;
+    const acc = createStatsAccumulator(Math.max(windowStart, this.resetAt));
+    this.snapshots
+      .filter(snapshot => snapshot.timestamp >= windowStart)
+      .forEach(snapshot => accumulateSnapshot(acc, snapshot));
+
+    return { window: windowName, ...summarizeStats(acc, options) };
+  }
+
+  // Estado del buffer
+  getStatus() {
+    return {
+      resetAt: this.resetAt,
+      bufferedSnapshots: this.snapshots.length,
+      bufferWindowMs: MAX_WINDOW_MS,
+      sessionSnapshots: this.recordedSnapshots
+    };
+  }
+}
+
+// Crear instancia singleton
+const statsBuffer = new StatsBuffer();
+
+module.exports = statsBuffer;
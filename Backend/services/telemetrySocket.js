@@ -0,0 +1,312 @@
+// Backend/services/telemetrySocket.js
+const { WebSocketServer } = require('ws');
+const pedalHub = require('./pedalHub');
+
+const SOCKET_PATH = '/ws/telemetry';
+
+// Límites de la frecuencia de envío elegida por el cliente (ms)
+const MIN_RATE_MS = 20;
+const MAX_RATE_MS = 5000;
+const DEFAULT_RATE_MS = 50;
+
+// Intervalo de ping para detectar clientes caídos
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Mensajes del cliente:
+//   { type: 'subscribe', channels: ['brake', ...], rate: 50 | 'on-change' }
+//   { type: 'unsubscribe', channels: ['brake', ...] }   (sin channels: todos)
+//   { type: 'command', id, command: 'brake.config', params: { ... } }
+//   { type: 'ping' }
+// Mensajes del servidor:
+//   { type: 'welcome' | 'subscribed' | 'unsubscribed' | 'telemetry' | 'result' | 'pong' | 'error', ... }
+class TelemetrySocket {
+  constructor(hub) {
+    this.hub = hub;
+    this.wss = null;
+    this.heartbeat = null;
+    this.clients = new Set();
+
+    // Canales de telemetría y comandos disponibles
+    this.channels = new Map();
+    this.commands = new Map();
+
+    // Las suscripciones "on-change" se evalúan con cada trama publicada
+    this.hub.on('frame', () => this.pushOnChange());
+  }
+
+  // Registrar un canal de telemetría (provider devuelve el estado actual)
+  registerChannel(name, provider) {
+    this.channels.set(name, provider);
+  }
+
+  // Registrar un comando (handler recibe params y devuelve { success, ... })
+  registerCommand(name, handler) {
+    this.commands.set(name, handler);
+  }
+
+  // Adaptar un handler Express (req, res) para usarlo como comando
+  fromHandler(handler, mapParams = (params) => ({ body: params })) {
+    return (params) => new Promise((resolve, reject) => {
+      const { body = {}, params: routeParams = {} } = mapParams(params);
+      const req = { body: body, params: routeParams, query: {} };
+      const res = {
+        statusCode: 200,
+        headersSent: false,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(payload) {
+          this.headersSent = true;
+          resolve({ status: this.statusCode, ...payload });
+          return this;
+        },
+        attachment() {
+          return this;
+        },
+        setHeader() {}
+      };
+
+      Promise.resolve(handler(req, res)).catch(reject);
+    });
+  }
+
+  // Montar el servidor WebSocket sobre el servidor HTTP
+  attach(server) {
+    this.wss = new WebSocketServer({ server: server, path: SOCKET_PATH, maxPayload: 64 * 1024 });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => {
+        if (!client.isAlive) {
+          client.socket.terminate();
+          return;
+        }
+        client.isAlive = false;
+        client.socket.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    console.log(`🔌 WebSocket de telemetría disponible en ${SOCKET_PATH}`);
+    return this.wss;
+  }
+
+  // Gestionar un cliente nuevo
+  handleConnection(socket, req) {
+    const client = {
+      socket: socket,
+      address: req.socket.remoteAddress,
+      isAlive: true,
+      subscriptions: new Map()
+    };
+    this.clients.add(client);
+
+    socket.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    socket.on('message', (message) => {
+      this.handleMessage(client, message).catch((error) => {
+        console.error('❌ Error procesando mensaje WebSocket:', error.message);
+        this.send(client, { type: 'error', error: 'Error procesando el mensaje' });
+      });
+    });
+
+    socket.on('close', () => {
+      this.unsubscribe(client);
+      this.clients.delete(client);
+    });
+
+    socket.on('error', (error) => {
+      console.error('❌ Error en WebSocket:', error.message);
+    });
+
+    this.send(client, {
+      type: 'welcome',
+      channels: [...this.channels.keys()],
+      commands: [...this.commands.keys()],
+      rate: { min: MIN_RATE_MS, max: MAX_RATE_MS, default: DEFAULT_RATE_MS, onChange: 'on-change' },
+      dataSource: this.hub.source
+    });
+  }
+
+  // Interpretar un mensaje del cliente
+  async handleMessage(client, message) {
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      this.send(client, { type: 'error', error: 'Mensaje JSON inválido' });
+      return;
+    }
+
+    // Solo se aceptan objetos JSON ({ "type": ... }); null, números o listas no son mensajes
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      this.send(client, { type: 'error', error: 'El mensaje debe ser un objeto JSON con "type"' });
+      return;
+    }
+
+    switch (request.type) {
+      case 'subscribe':
+        this.subscribe(client, request);
+        break;
+      case 'unsubscribe':
+        this.send(client, { type: 'unsubscribed', channels: this.unsubscribe(client, request.channels) });
+        break;
+      case 'command':
+        await this.runCommand(client, request);
+        break;
+      case 'ping':
+        this.send(client, { type: 'pong', timestamp: Date.now() });
+        break;
+      default:
+        this.send(client, { type: 'error', id: request.id, error: `Tipo de mensaje desconocido: ${request.type}` });
+    }
+  }
+
+  // Suscribir canales con una frecuencia fija o solo ante cambios
+  subscribe(client, { channels, rate = DEFAULT_RATE_MS, id }) {
+    const requested = Array.isArray(channels) ? channels : [channels];
+    const unknown = requested.filter(channel => !this.channels.has(channel));
+
+    if (requested.length === 0 || unknown.length > 0) {
+      this.send(client, {
+        type: 'error',
+        id: id,
+        error: unknown.length > 0 ? `Canales desconocidos: ${unknown.join(', ')}` : 'Se requiere al menos un canal'
+      });
+      return;
+    }
+
+    const onChange = rate === 'on-change';
+    if (!onChange && (typeof rate !== 'number' || rate < MIN_RATE_MS || rate > MAX_RATE_MS)) {
+      this.send(client, {
+        type: 'error',
+        id: id,
+        error: `rate debe ser "on-change" o un número entre ${MIN_RATE_MS} y ${MAX_RATE_MS} ms`
+      });
+      return;
+    }
+
+    this.unsubscribe(client, requested);
+    requested.forEach(channel => {
+      const subscription = { onChange: onChange, rate: onChange ? null : rate, signature: null, timer: null };
+      if (!onChange) {
+        subscription.timer = setInterval(() => this.pushChannel(client, channel), rate);
+      }
+      client.subscriptions.set(channel, subscription);
+    });
+
+    this.send(client, { type: 'subscribed', id: id, channels: requested, rate: rate });
+
+    // Enviar el estado actual inmediatamente
+    requested.forEach(channel => this.pushChannel(client, channel));
+  }
+
+  // Cancelar suscripciones (todas si no se indican canales)
+  unsubscribe(client, channels) {
+    const targets = Array.isArray(channels) ? channels : [...client.subscriptions.keys()];
+
+    targets.forEach(channel => {
+      const subscription = client.subscriptions.get(channel);
+      if (!subscription) return;
+      clearInterval(subscription.timer);
+      client.subscriptions.delete(channel);
+    });
+
+    return targets;
+  }
+
+  // Enviar un canal si su estado cambió desde el último envío a este cliente
+  pushChannel(client, channel) {
+    const subscription = client.subscriptions.get(channel);
+    if (!subscription) return;
+
+    const data = this.channels.get(channel)();
+
+    // El timestamp cambia en cada trama: no cuenta como cambio de estado
+    const signature = JSON.stringify({ ...data, timestamp: undefined });
+    if (signature === subscription.signature) return;
+
+    subscription.signature = signature;
+    this.send(client, {
+      type: 'telemetry',
+      channel: channel,
+      data: data,
+      source: this.hub.source,
+      timestamp: Date.now()
+    });
+  }
+
+  // Evaluar las suscripciones "on-change" de todos los clientes
+  pushOnChange() {
+    this.clients.forEach(client => {
+      client.subscriptions.forEach((subscription, channel) => {
+        if (subscription.onChange) this.pushChannel(client, channel);
+      });
+    });
+  }
+
+  // Ejecutar un comando y responder con el mismo id
+  async runCommand(client, { id, command, params = {} }) {
+    const handler = this.commands.get(command);
+
+    if (!handler) {
+      this.send(client, { type: 'result', id: id, command: command, success: false, error: `Comando desconocido: ${command}` });
+      return;
+    }
+
+    try {
+      const result = await handler(params);
+      this.send(client, { type: 'result', id: id, command: command, ...result });
+    } catch (error) {
+      this.send(client, {
+        type: 'result',
+        id: id,
+        command: command,
+        success: false,
+        error: 'Error ejecutando comando',
+        details: error.message
+      });
+    }
+  }
+
+  // Enviar un mensaje JSON si el socket sigue abierto
+  send(client, message) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Estado del servidor WebSocket
+  getStatus() {
+    return {
+      path: SOCKET_PATH,
+      isAttached: !!this.wss,
+      clients: this.clients.size,
+      subscriptions: [...this.clients].reduce((total, client) => total + client.subscriptions.size, 0)
+    };
+  }
+
+  // Cerrar conexiones y temporizadores
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => {
+      this.unsubscribe(client);
+      client.socket.terminate();
+    });
+    this.clients.clear();
+
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+}
+
+// Crear instancia singleton
+const telemetrySocket = new TelemetrySocket(pedalHub);
+
+module.exports = telemetrySocket;
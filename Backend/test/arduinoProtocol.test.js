@@ -0,0 +1,132 @@
+// Backend/test/arduinoProtocol.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ProtocolError,
+  computeChecksum,
+  parseArduinoLine,
+  parseReplyLine,
+  encodeJsonFrame,
+  createSequenceTracker,
+  trackSequence
+} = require('../services/arduinoProtocol');
+
+// Línea JSON con checksum tal como la enviaría el firmware
+function jsonLine(message) {
+  const payload = JSON.stringify(message);
+  return `${payload}*${computeChecksum(payload)}`;
+}
+
+// ====================================================================================================================
+// TRAMAS DE PEDALES
+// ====================================================================================================================
+
+test('interpreta el formato de texto original', () => {
+  const frame = parseArduinoLine('Acel: 512/1023 (50%) | Freno: 0/1023 (0%) | Clutch: 1023/1023 (100%) | EMBRAGUE');
+
+  assert.equal(frame.protocol, 'legacy');
+  assert.deepEqual(frame.throttle, { value: 512, percentage: 50, active: true });
+  assert.deepEqual(frame.brake, { value: 0, percentage: 0, active: false });
+  assert.equal(frame.clutch.percentage, 100);
+  assert.equal(frame.status, 'EMBRAGUE');
+});
+
+test('interpreta tramas JSON con checksum y deduce el estado', () => {
+  const frame = parseArduinoLine(jsonLine({ v: 1, seq: 7, brake: { raw: 8390123, value: 100, percentage: 10 } }));
+
+  assert.equal(frame.protocol, 'json-v1');
+  assert.equal(frame.seq, 7);
+  assert.deepEqual(frame.brake, { value: 100, percentage: 10, active: true, raw: 8390123 });
+  assert.equal(frame.throttle, undefined);
+  assert.equal(frame.status, 'FRENANDO');
+});
+
+test('encodeJsonFrame genera líneas que el parser acepta', () => {
+  const line = encodeJsonFrame({ throttle: { value: 1023, percentage: 100 }, status: 'ACELERANDO' }, 65537);
+  const frame = parseArduinoLine(line);
+
+  assert.equal(frame.seq, 1);
+  assert.equal(frame.throttle.percentage, 100);
+  assert.equal(frame.status, 'ACELERANDO');
+});
+
+test('rechaza líneas no válidas con el código del motivo', () => {
+  const valid = jsonLine({ v: 1, seq: 1, brake: { value: 0, percentage: 0 } });
+  const cases = [
+    ['basura', 'UNRECOGNIZED'],
+    ['Acel: 512/1023 (50%) | Freno: 0/1023 (0%)', 'UNRECOGNIZED'],
+    ['{"v":1,"seq":1}', 'MISSING_CHECKSUM'],
+    [valid.slice(0, -2) + (valid.endsWith('00') ? '01' : '00'), 'CHECKSUM'],
+    [jsonLine({ v: 2, seq: 1, brake: { value: 0, percentage: 0 } }), 'UNSUPPORTED_VERSION'],
+    [jsonLine({ v: 1, seq: 70000, brake: { value: 0, percentage: 0 } }), 'INVALID_FIELD'],
+    [jsonLine({ v: 1, seq: 1, brake: { value: '0', percentage: 0 } }), 'INVALID_FIELD'],
+    [jsonLine({ v: 1, seq: 1 }), 'INVALID_FIELD']
+  ];
+
+  cases.forEach(([line, code]) => {
+    assert.throws(() => parseArduinoLine(line), (error) => error instanceof ProtocolError && error.code === code, line);
+  });
+});
+
+// ====================================================================================================================
+// RESPUESTAS A COMANDOS
+// ====================================================================================================================
+
+test('interpreta respuestas ACK/NACK en texto y JSON', () => {
+  assert.deepEqual(parseReplyLine('ACK 3 {"hz":100}'), { id: 3, ok: true, result: { hz: 100 }, error: null });
+  assert.deepEqual(parseReplyLine('NACK 4 fuera de rango'), { id: 4, ok: false, result: null, error: 'fuera de rango' });
+  assert.deepEqual(parseReplyLine(jsonLine({ ack: 5, ok: true, result: null })), { id: 5, ok: true, result: null, error: null });
+  assert.equal(parseReplyLine(jsonLine({ v: 1, seq: 1, brake: { value: 0, percentage: 0 } })), null);
+});
+
+// ====================================================================================================================
+// NÚMERO DE SECUENCIA
+// ====================================================================================================================
+
+test('cuenta tramas perdidas, duplicadas y desordenadas', () => {
+  const tracker = createSequenceTracker();
+
+  assert.equal(trackSequence(tracker, 10).status, 'ok');
+  assert.deepEqual(trackSequence(tracker, 13), { status: 'gap', missing: 2 });
+  assert.equal(trackSequence(tracker, 13).status, 'duplicate');
+  assert.equal(trackSequence(tracker, 12).status, 'out-of-order');
+  assert.equal(trackSequence(tracker, 14).status, 'ok');
+
+  assert.equal(tracker.lost, 2);
+  assert.equal(tracker.duplicates, 1);
+  assert.equal(tracker.outOfOrder, 1);
+  assert.equal(tracker.resets, 0);
+});
+
+test('continúa al dar la vuelta el número de secuencia', () => {
+  const tracker = createSequenceTracker();
+
+  trackSequence(tracker, 65535);
+  assert.equal(trackSequence(tracker, 0).status, 'ok');
+  assert.equal(tracker.lost, 0);
+});
+
+test('se resincroniza tras un reinicio de la placa', () => {
+  const tracker = createSequenceTracker();
+
+  trackSequence(tracker, 30000);
+  assert.equal(trackSequence(tracker, 0).status, 'reset');
+  assert.equal(trackSequence(tracker, 1).status, 'ok');
+  assert.equal(tracker.resets, 1);
+  assert.equal(tracker.outOfOrder, 0);
+});
+
+test('se resincroniza si el desorden se repite aunque el salto sea pequeño', () => {
+  const tracker = createSequenceTracker();
+  trackSequence(tracker, 20);
+
+  const statuses = [];
+  for (let seq = 0; seq < 8; seq++) {
+    statuses.push(trackSequence(tracker, seq).status);
+  }
+
+  assert.deepEqual(statuses.slice(0, 7), new Array(7).fill('out-of-order'));
+  assert.equal(statuses[7], 'reset');
+  assert.equal(tracker.lastSeq, 7);
+  assert.equal(trackSequence(tracker, 8).status, 'ok');
+});
@@ -0,0 +1,322 @@
+// Backend/test/emulatorApi.test.js
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Configuración de las pruebas: reintentos y cambio de fuente rápidos
+const TEST_ENV = {
+  PEDAL_EMULATOR_RATE_HZ: '100',
+  PEDAL_RETRY_MAX: '10',
+  PEDAL_RETRY_DELAY_MS: '100',
+  PEDAL_RETRY_MAX_DELAY_MS: '400',
+  PEDAL_RETRY_JITTER: '0',
+  PEDAL_STALE_AFTER_MS: '300'
+};
+
+// Puerto libre para el servidor de la prueba
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Repetir la comprobación hasta que devuelva un valor (falla si no ocurre a tiempo)
+async function waitUntil(check, message, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  let lastError = null;
+
+  while (Date.now() < deadline) {
+    try {
+      const result = await check();
+      if (result) return result;
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`${message} (${timeoutMs} ms)${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+// Petición a la API; devuelve estado, cabeceras y cuerpo JSON
+async function api(server, method, route, body) {
+  const response = await fetch(`${server.baseUrl}${route}`, {
+    method: method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Arrancar bin/www en modo emulador con una configuración aislada del entorno del
+// desarrollador: sin su .env, su archivo de configuración ni su carpeta de datos
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pedales-test-'));
+  const configFile = path.join(dataDir, 'pedals.json');
+  fs.writeFileSync(configFile, '{}');
+  const port = await findFreePort();
+
+  const childEnv = { ...process.env };
+  Object.keys(childEnv)
+    .filter(name => name === 'PORT' || name.startsWith('PEDAL_'))
+    .forEach(name => delete childEnv[name]);
+
+  // dotenv no pisa variables ya definidas y la configuración ignora las vacías
+  const envFile = path.join(BACKEND_DIR, '.env');
+  if (fs.existsSync(envFile)) {
+    Object.keys(dotenv.parse(fs.readFileSync(envFile))).forEach(name => {
+      childEnv[name] = '';
+    });
+  }
+
+  Object.assign(childEnv, TEST_ENV, {
+    PORT: String(port),
+    PEDAL_SERIAL_MODE: 'emulator',
+    PEDAL_CONFIG_FILE: configFile,
+    PEDAL_DATA_DIR: dataDir
+  }, env);
+
+  const child = spawn(process.execPath, [path.join(BACKEND_DIR, 'bin', 'www')], {
+    cwd: BACKEND_DIR,
+    env: childEnv,
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  const server = { baseUrl: `http://127.0.0.1:${port}`, child: child, dataDir: dataDir, stderr: '', exited: false };
+  child.stderr.on('data', (chunk) => {
+    server.stderr += chunk;
+  });
+  child.on('exit', () => {
+    server.exited = true;
+  });
+
+  try {
+    await waitUntil(async () => {
+      if (server.exited) throw new Error(`el servidor terminó: ${server.stderr.trim()}`);
+      const { body } = await api(server, 'GET', '/api/device/connection');
+      return body.data.connectionState === 'connected' && body.data.dataSource === 'arduino';
+    }, 'El servidor no recibió tramas del emulador', 10000);
+  } catch (error) {
+    await stopServer(server);
+    throw error;
+  }
+
+  return server;
+}
+
+// Parar el servidor (solo el proceso lanzado por la prueba) y borrar sus datos
+async function stopServer(server) {
+  if (!server.exited) {
+    const exited = new Promise(resolve => server.child.once('exit', resolve));
+    server.child.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(server.dataDir, { recursive: true, force: true });
+}
+
+// ====================================================================================================================
+// CONEXIÓN Y DATOS DE LOS PEDALES
+// ====================================================================================================================
+
+describe('API en modo emulador', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    if (server) await stopServer(server);
+  });
+
+  test('GET /api/device/connection informa del dispositivo emulado', async () => {
+    const { status, headers, body } = await api(server, 'GET', '/api/device/connection');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('x-data-source'), 'arduino');
+    assert.equal(body.data.connection.state, 'connected');
+    assert.equal(body.data.connection.path, '/dev/ttyEMU0');
+    assert.equal(body.data.handshake.status, 'identified');
+    assert.equal(body.data.protocol.protocol, 'json-v1');
+  });
+
+  test('GET /api/brake sigue la forma de onda del emulador', async () => {
+    const { status } = await api(server, 'PUT', '/api/device/emulator/waveforms', {
+      brake: { type: 'constant', value: 60 }
+    });
+    assert.equal(status, 200);
+
+    // 60% de la fuerza máxima por defecto (5 kg)
+    const brake = await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/brake');
+      return Math.abs(body.data.brake.force - 3) < 0.05 && body.data.brake;
+    }, 'La fuerza del freno no siguió la forma de onda');
+
+    assert.equal(brake.active, true);
+  });
+
+  test('rechaza fallos no válidos', async () => {
+    const { status, body } = await api(server, 'POST', '/api/device/emulator/faults', { type: 'meteorito' });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  test('PUT /api/brake/config limita las zonas muertas en kg al 50% de la fuerza máxima', async () => {
+    const configure = (changes) => api(server, 'PUT', '/api/brake/config', changes);
+
+    // Con 20 kg el límite son 10 kg, inclusive
+    const atLimit = await configure({ maxForce: 20, deadZoneUnit: 'units', deadZone: 10, upperDeadZone: 0 });
+    assert.equal(atLimit.status, 200);
+    assert.equal(atLimit.body.data.configuration.deadZone, 10);
+
+    const aboveLimit = await configure({ deadZone: 10.01 });
+    assert.equal(aboveLimit.status, 400);
+    assert.match(aboveLimit.body.details, /deadZone: value 10\.01 is above 50% of the pedal travel/);
+
+    const upperAboveLimit = await configure({ upperDeadZone: 10.5 });
+    assert.equal(upperAboveLimit.status, 400);
+    assert.match(upperAboveLimit.body.details, /upperDeadZone: value 10\.5 is above 50% of the pedal travel/);
+
+    const negative = await configure({ deadZone: -1 });
+    assert.equal(negative.status, 400);
+
+    // El límite sigue a la fuerza máxima: con 40 kg se admiten 15 kg, pero no bajar luego a 20 kg
+    const largerForce = await configure({ maxForce: 40, deadZone: 15 });
+    assert.equal(largerForce.status, 200);
+
+    const smallerForce = await configure({ maxForce: 20 });
+    assert.equal(smallerForce.status, 400);
+    assert.match(smallerForce.body.details, /deadZone: value 15 is above 50% of the pedal travel/);
+
+    const restored = await configure({ maxForce: 5, deadZone: 1, upperDeadZone: 0 });
+    assert.equal(restored.status, 200);
+  });
+
+  // ==================================================================================================================
+  // FALLOS INYECTADOS
+  // ==================================================================================================================
+
+  test('las líneas basura se cuentan como errores sin cambiar de fuente', async () => {
+    const parseErrorsBefore = (await api(server, 'GET', '/api/device/connection')).body.data.protocol.parseErrors;
+
+    const { status } = await api(server, 'POST', '/api/device/emulator/faults', { type: 'garbage', count: 5 });
+    assert.equal(status, 201);
+
+    const connection = await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/device/connection');
+      return body.data.protocol.parseErrors >= parseErrorsBefore + 5 && body.data;
+    }, 'No se contaron las líneas basura');
+
+    assert.equal(connection.dataSource, 'arduino');
+    assert.equal(connection.connectionState, 'connected');
+
+    // El watchdog del pedal también las cuenta en su ventana de medición
+    const health = await api(server, 'GET', '/api/brake/health');
+    assert.ok(health.body.data.watchdog.metrics.parseErrors >= 5);
+  });
+
+  test('una desconexión pasa a la fuente de respaldo y se recupera al volver el dispositivo', async () => {
+    const { status } = await api(server, 'POST', '/api/device/emulator/faults', { type: 'disconnect', durationMs: 1500 });
+    assert.equal(status, 201);
+
+    // Sin tramas se reintenta la conexión y los datos pasan a la simulación
+    await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/device/connection');
+      return body.data.connectionState !== 'connected' && body.data.dataSource === 'simulation';
+    }, 'No se pasó a la fuente de respaldo');
+
+    const brake = await api(server, 'GET', '/api/brake');
+    assert.equal(brake.headers.get('x-data-source'), 'simulation');
+    assert.equal(brake.body.data.isArduinoConnected, false);
+
+    // Al volver el dispositivo se reconecta y se vuelve al Arduino
+    const connection = await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/device/connection');
+      return body.data.connectionState === 'connected' && body.data.dataSource === 'arduino' && body.data;
+    }, 'No se recuperó la conexión con el emulador', 8000);
+
+    assert.ok(connection.connection.history.some(change => change.to === 'backoff'));
+  });
+});
+
+// ====================================================================================================================
+// CALIBRACIÓN MULTIPUNTO SIN LECTURA CRUDA
+// ====================================================================================================================
+
+describe('Calibración multipunto del freno con firmware sin lectura cruda', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ PEDAL_EMULATOR_PROTOCOL: 'legacy' });
+  });
+
+  after(async () => {
+    if (server) await stopServer(server);
+  });
+
+  // Fijar el freno del emulador y esperar a que la API reciba su valor 0-1023
+  async function holdBrake(percentage) {
+    await api(server, 'PUT', '/api/device/emulator/waveforms', { brake: { type: 'constant', value: percentage } });
+    const value = Math.round((percentage / 100) * 1023);
+
+    return waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/brake');
+      return body.data.brake.rawReading === value && body.data.brake;
+    }, `El freno no llegó al ${percentage}%`);
+  }
+
+  test('captura los puntos en vivo y los evalúa sobre el valor 0-1023', async () => {
+    await api(server, 'PUT', '/api/brake/config', { maxForce: 20 });
+
+    const brake = await holdBrake(20);
+    assert.equal(brake.readingInput, 'value');
+
+    const low = await api(server, 'POST', '/api/brake/calibration/points', { reference: 2, samples: 5 });
+    assert.equal(low.status, 200);
+    assert.equal(low.body.data.point.raw, 205);
+
+    await holdBrake(60);
+    const high = await api(server, 'POST', '/api/brake/calibration/points', { reference: 10, samples: 5 });
+    assert.equal(high.body.data.point.raw, 614);
+
+    const fit = await api(server, 'POST', '/api/brake/calibration/fit', { type: 'linear' });
+    assert.equal(fit.status, 200);
+
+    // 409/1023: entre los dos puntos, 2 + (409 - 205) · 8 / (614 - 205) kg
+    const expectedForce = 2 + (409 - 205) * 8 / (614 - 205);
+    await holdBrake(40);
+    await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/brake');
+      return Math.abs(body.data.brake.force - expectedForce) < 0.05;
+    }, 'La fuerza no siguió la curva multipunto');
+
+    // La curva no depende de la fuerza máxima
+    await api(server, 'PUT', '/api/brake/config', { maxForce: 30 });
+    await waitUntil(async () => {
+      const { body } = await api(server, 'GET', '/api/brake');
+      return Math.abs(body.data.brake.force - expectedForce) < 0.05;
+    }, 'La fuerza cambió al modificar maxForce');
+  });
+
+  test('la tara y la escala siguen exigiendo lecturas crudas', async () => {
+    const { status, body } = await api(server, 'POST', '/api/brake/calibration/tare', { samples: 5 });
+
+    assert.equal(status, 409);
+    assert.equal(body.success, false);
+  });
+});
@@ -0,0 +1,196 @@
+// Backend/test/serialEmulator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { SerialEmulator } = require('../services/serialEmulator');
+const ArduinoSerialConnection = require('../services/serialConnection');
+
+// Esperar al próximo evento que cumpla la condición (falla si no llega a tiempo)
+function waitFor(emitter, event, predicate = () => true, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const onEvent = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      emitter.off(event, onEvent);
+      resolve(payload);
+    };
+
+    const timer = setTimeout(() => {
+      emitter.off(event, onEvent);
+      reject(new Error(`No llegó el evento "${event}" en ${timeoutMs} ms`));
+    }, timeoutMs);
+
+    emitter.on(event, onEvent);
+  });
+}
+
+// Contar los eventos recibidos durante la prueba
+function countEvents(emitter, event) {
+  const counter = { count: 0, last: null };
+  emitter.on(event, (payload) => {
+    counter.count++;
+    counter.last = payload;
+  });
+  return counter;
+}
+
+// Emulador y conexión real enlazados por el binding; se cierran al terminar la prueba
+async function connectToEmulator(t, emulatorOptions = {}, connectionOptions = {}) {
+  const emulator = new SerialEmulator({ sampleRateHz: 100, ...emulatorOptions });
+  const connection = new ArduinoSerialConnection({
+    binding: emulator.binding,
+    retryDelayMs: 50,
+    retryJitter: 0,
+    ...connectionOptions
+  });
+
+  // Los mensajes de la conexión y la barra de pedales ensucian la salida del runner
+  connection.displayPedalData = () => {};
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  t.after(() => {
+    connection.disconnect();
+    emulator.clearFaults();
+  });
+
+  const opened = waitFor(connection, 'open');
+  assert.equal(await connection.connect(emulator.path, emulator.baudRate), true);
+  await opened;
+
+  return { emulator, connection };
+}
+
+// ====================================================================================================================
+// PROTOCOLO Y FORMAS DE ONDA
+// ====================================================================================================================
+
+test('el emulador y la conexión no dependen de la configuración local (.env, pedals.json)', () => {
+  const configModule = path.join(__dirname, '..', 'config', 'index.js');
+  assert.equal(require.cache[configModule], undefined);
+});
+
+test('la conexión recibe las formas de onda del emulador por el protocolo JSON', async (t) => {
+  const { connection } = await connectToEmulator(t, {
+    waveforms: { brake: { type: 'constant', value: 40 }, clutch: { type: 'constant', value: 0 } }
+  });
+
+  const frame = await waitFor(connection, 'frame');
+  assert.equal(frame.protocol, 'json-v1');
+  assert.deepEqual(frame.brake, { value: 409, percentage: 40, active: true });
+  assert.equal(frame.status, 'FRENANDO');
+  assert.equal(connection.getProtocolStats().parseErrors, 0);
+});
+
+test('la conexión interpreta el formato de texto original del emulador', async (t) => {
+  const { connection } = await connectToEmulator(t, {
+    protocol: 'legacy',
+    waveforms: { throttle: { type: 'constant', value: 100 } }
+  });
+
+  const frame = await waitFor(connection, 'frame');
+  assert.equal(frame.protocol, 'legacy');
+  assert.equal(frame.throttle.percentage, 100);
+  assert.equal(frame.status, 'ACELERANDO');
+});
+
+test('los comandos al firmware reciben su ACK', async (t) => {
+  const { connection } = await connectToEmulator(t, { serialNumber: 'EMU-TEST' });
+
+  const reply = await connection.request('identify');
+  assert.equal(reply.ok, true);
+  assert.equal(reply.result.serial, 'EMU-TEST');
+  assert.deepEqual(reply.result.channels, ['throttle', 'brake', 'clutch']);
+});
+
+// ====================================================================================================================
+// FALLOS INYECTADOS
+// ====================================================================================================================
+
+test('las líneas basura cuentan como errores de protocolo sin cortar las tramas', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+  const parseErrors = countEvents(connection, 'parse-error');
+
+  emulator.injectFault({ type: 'garbage', count: 3 });
+  await waitFor(connection, 'frame', () => parseErrors.count === 3);
+
+  assert.equal(connection.getProtocolStats().parseErrors, 3);
+  assert.equal(connection.isPortConnected(), true);
+});
+
+test('una trama cortada se descarta y las siguientes se aceptan', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+  const parseErrors = countEvents(connection, 'parse-error');
+
+  emulator.injectFault({ type: 'partial', count: 1 });
+  await waitFor(connection, 'frame', () => parseErrors.count === 1);
+
+  // La trama cortada se pega a la siguiente: se pierde una línea entera
+  assert.equal(connection.getProtocolStats().parseErrors, 1);
+  await waitFor(connection, 'frame');
+});
+
+test('con baudios distintos no llegan tramas válidas hasta que coinciden', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+
+  emulator.injectFault({ type: 'baud-mismatch', durationMs: 200 });
+  await waitFor(connection, 'parse-error');
+  const frames = countEvents(connection, 'frame');
+
+  await waitFor(connection, 'frame', () => true, 1000);
+  assert.ok(connection.getProtocolStats().parseErrors > 0);
+  assert.equal(frames.count, 1);
+  assert.equal(emulator.getStatus().faults.baudMismatch, false);
+});
+
+test('un reinicio de la placa resincroniza la secuencia sin descartar tramas', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+  emulator.seq = 1000;
+  await waitFor(connection, 'frame', (frame) => frame.seq > 1000);
+
+  // La numeración vuelve a empezar como tras encender el microcontrolador
+  emulator.seq = 0;
+  await waitFor(connection, 'frame', (frame) => frame.seq === 1);
+
+  const stats = connection.getProtocolStats();
+  assert.equal(stats.sequence.resets, 1);
+  assert.equal(stats.droppedFrames, 0);
+});
+
+// ====================================================================================================================
+// RECONEXIÓN
+// ====================================================================================================================
+
+test('tras una desconexión se reconecta al volver el dispositivo', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+  const reconnecting = countEvents(connection, 'reconnecting');
+
+  emulator.injectFault({ type: 'disconnect', durationMs: 150 });
+  await waitFor(connection, 'close');
+  await waitFor(connection, 'open');
+
+  assert.ok(reconnecting.count >= 1);
+  assert.equal(connection.state, 'connected');
+  await waitFor(connection, 'frame');
+});
+
+test('encuentra el dispositivo por número de serie si vuelve en otra ruta', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t);
+
+  const portChanged = waitFor(connection, 'port-changed');
+  emulator.injectFault({ type: 'disconnect', durationMs: 100, path: '/dev/ttyEMU1' });
+
+  assert.deepEqual(await portChanged, { from: '/dev/ttyEMU0', to: '/dev/ttyEMU1' });
+  const opened = await waitFor(connection, 'open');
+  assert.equal(opened.path, '/dev/ttyEMU1');
+});
+
+test('agota los reintentos si el dispositivo no vuelve', async (t) => {
+  const { emulator, connection } = await connectToEmulator(t, {}, { maxRetries: 2, retryDelayMs: 20 });
+
+  emulator.injectFault({ type: 'disconnect', durationMs: 60000 });
+  const failed = await waitFor(connection, 'reconnect-failed');
+
+  assert.deepEqual(failed, { attempts: 2 });
+  assert.equal(connection.state, 'failed');
+});